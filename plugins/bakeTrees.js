@@ -0,0 +1,62 @@
+import { SPECIES_PRESETS, getSpeciesConfig } from '../src/data/species.js';
+
+const VIRTUAL_ID = 'virtual:baked-trees';
+const RESOLVED_ID = '\0' + VIRTUAL_ID;
+
+/**
+ * bakeTrees — Vite plugin that grows trees in Node during `vite build`.
+ *
+ * The tree is deterministic from its config, so the skeleton, trunk
+ * geometry and leaf placement (tree/TreePipeline.js) run once at build
+ * time and each species is emitted as a binary-packed asset,
+ * `trees/<key>.bin`. The app imports `virtual:baked-trees` — the list of
+ * baked keys — and fetches a baked tree instead of generating it. In dev
+ * the list is empty and trees are generated as usual.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.species] - presets to bake (default: all)
+ */
+export function bakeTrees({ species = Object.keys(SPECIES_PRESETS) } = {}) {
+  let isBuild = false;
+  const bakedKeys = [];
+
+  return {
+    name: 'bake-trees',
+
+    configResolved(config) {
+      isBuild = config.command === 'build';
+    },
+
+    async buildStart() {
+      if (!isBuild) return;
+      // Loaded lazily so dev startup doesn't pull in the generator
+      const { buildTreeData, getTreeKey } = await import('../src/tree/TreePipeline.js');
+      const { encodeBinary } = await import('../src/utils/BinaryPack.js');
+
+      bakedKeys.length = 0;
+      for (const name of species) {
+        const t0 = performance.now();
+        const config = getSpeciesConfig(name);
+        const key = getTreeKey(config);
+        const buffer = encodeBinary(buildTreeData(config));
+        this.emitFile({
+          type: 'asset',
+          fileName: `trees/${key}.bin`,
+          source: new Uint8Array(buffer),
+        });
+        bakedKeys.push(key);
+        console.log(`[bakeTrees] ${name} → trees/${key}.bin (${(buffer.byteLength / 1024).toFixed(0)} KB, ${(performance.now() - t0).toFixed(0)}ms)`);
+      }
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id === RESOLVED_ID) {
+        return `export default ${JSON.stringify(bakedKeys)};`;
+      }
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { deflateSync } from 'node:zlib';
+import { getSpeciesConfig } from '../src/data/species.js';
+import { portfolioItems } from '../src/data/portfolio.js';
+import { buildTreeData, unpackTreeData } from '../src/tree/TreePipeline.js';
+import { FruitSystem } from '../src/tree/FruitSystem.js';
+import { buildTwigGeometry } from '../src/tree/TwigMesh.js';
+import { createExportScene, exportTree, EXPORT_FORMATS } from '../src/tree/TreeExporter.js';
+import { createPlaceholderBarkTextures } from '../src/utils/TextureLoader.js';
+
+/**
+ * exportTree — grow a species in Node and write it as GLB, glTF, OBJ or PLY
+ * (see src/tree/TreeExporter.js), the same tree the app shows, skeleton
+ * edits included.
+ *
+ *   npm run export -- [species] [format] [outDir]
+ *
+ * Node has no canvas to encode images with, so textures aren't embedded:
+ * the bark maps are written next to the model as PNGs and leaves export
+ * untextured, coloured from the species palette.
+ */
+
+// GLTFExporter reads its output back through FileReader, which Node lacks
+globalThis.FileReader ??= class FileReader {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((buffer) => {
+      this.result = buffer;
+      this.onloadend();
+    });
+  }
+
+  readAsDataURL(blob) {
+    blob.arrayBuffer().then((buffer) => {
+      this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`;
+      this.onloadend();
+    });
+  }
+};
+
+const [species = 'oak', format = 'glb', outDir = 'exports'] = process.argv.slice(2);
+if (!EXPORT_FORMATS[format]) {
+  console.error(`[exportTree] Unknown format "${format}" — use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  process.exit(1);
+}
+
+const t0 = performance.now();
+const config = getSpeciesConfig(species);
+const tree = unpackTreeData(buildTreeData(config), config);
+
+const fruitSystem = new FruitSystem(tree.skeleton, config, portfolioItems);
+fruitSystem.build();
+
+const scene = createExportScene({
+  trunkGeometry: tree.trunkGeometry,
+  rootGeometry: tree.rootGeometry,
+  twigGeometry: buildTwigGeometry(tree.skeleton, config, tree.leafInstances),
+  leafInstances: tree.leafInstances,
+  fruitGroup: fruitSystem.fruitGroup,
+}, config);
+const data = await exportTree(scene, format);
+
+await mkdir(outDir, { recursive: true });
+const file = join(outDir, `${config.species}.${EXPORT_FORMATS[format].extension}`);
+await writeFile(file, typeof data === 'string' ? data : Buffer.from(data));
+console.log(`[exportTree] ${config.species} → ${file} (${(performance.now() - t0).toFixed(0)}ms)`);
+
+for (const [name, texture] of Object.entries(createPlaceholderBarkTextures())) {
+  const { data: pixels, width, height } = texture.image;
+  const png = join(outDir, `${config.species}-bark-${name}.png`);
+  await writeFile(png, encodePNG(pixels, width, height));
+  console.log(`[exportTree] bark ${name} → ${png}`);
+}
+
+/**
+ * Minimal RGBA8 PNG encoder: one IDAT chunk, no row filtering.
+ */
+function encodePNG(pixels, width, height) {
+  const rows = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * width * 4, width * 4).copy(rows, y * (width * 4 + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, deflate, no filter, no interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function pngChunk(type, body) {
+  const chunk = Buffer.alloc(body.length + 12);
+  chunk.writeUInt32BE(body.length, 0);
+  chunk.write(type, 4, 'ascii');
+  body.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + body.length)), 8 + body.length);
+  return chunk;
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
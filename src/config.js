@@ -11,12 +11,55 @@ export const TREE_CONFIG = {
   maxIterations: 200,
   trunkHeight: 5,
 
+  // Crown envelope — null uses the ellipsoid above. Otherwise a shape spec
+  // (see tree/CrownEnvelope.js), e.g. a sun-leaning dome:
+  // { type: 'lopsided', amount: 3, shape: { type: 'hemisphere', center: [0, 7, 0], radii: [9, 9, 9] } }
+  crownEnvelope: null,
+
+  // Sun position — shared by Lighting and light-seeking growth
+  sunPosition: [5, 15, 7],
+
+  // Tropisms — added to the attractor direction of each new segment.
+  // Droop ramps from 0 at the trunk top to full strength droopDepth
+  // segments along a branch.
+  gravitropism: 0,
+  phototropism: 0.1,
+  droop: 0.35,
+  droopDepth: 20,
+
+  // Shadow propagation (Palubicki-style self-shading) — each node casts a
+  // pyramid of shadow shadowDepth voxels down, falling off by shadowFalloff
+  // per layer. Growth leans toward lit space by shadowBias; buds landing in
+  // voxels darker than shadowThreshold stay dormant.
+  shadowGrowth: false,
+  shadowVoxelSize: 0.5,
+  shadowDepth: 6,
+  shadowStrength: 1,
+  shadowFalloff: 1.6,
+  shadowBias: 0.4,
+  shadowThreshold: 6,
+
+  // Branch order — when on, mesh tiers, leaf placement and fruit follow
+  // Horton–Strahler order instead of radius and depth thresholds: tiers
+  // count down from the trunk's order, leaves grow on orders up to
+  // leafMaxOrder, fruit hang from twigs forking off orders up to
+  // fruitMaxForkOrder
+  useBranchOrder: false,
+  leafMaxOrder: 2,
+  fruitMaxForkOrder: 3,
+
   // Thickness (Leonardo's pipe model)
   pipeExponent: 2.3,
   trunkBaseRadius: 0.7,
 
-  // Cross-section
+  // Cross-section — profile is a list of { n, amp, phaseSpeed } harmonics,
+  // null for the lobed oak profile in tree/CrossSection.js
   crossSectionHarmonics: true,
+  crossSectionProfile: null,
+
+  // Hand edits applied to the grown skeleton, in order (see TreeSkeleton
+  // editing). Record them with Alt+click in dev — the editor logs this list.
+  skeletonEdits: [],
 
   // Gnarliness
   gnarliness: 0.6,
@@ -29,6 +72,16 @@ export const TREE_CONFIG = {
   flareAmount: 0.8,
   lobeCount: 5,
 
+  // Roots — space colonization down into a shallow disc of soil, one root
+  // per flare lobe; only roots breaking the surface are meshed. Base radius
+  // is a fraction of trunkBaseRadius; gravitropism pulls roots deeper.
+  roots: true,
+  rootAttractorCount: 1200,
+  rootSpread: 5,
+  rootDepth: 1.0,
+  rootBaseRadius: 0.45,
+  rootGravitropism: -0.05,
+
   // Burls
   burlCount: 5,
   burlRadiusMin: 0.15,
@@ -37,13 +90,28 @@ export const TREE_CONFIG = {
   burlHeightMax: 0.1,
   burlMinSpacing: 1.5,
 
-  // Dead stubs
+  // Cavities — hollows and knot holes carved into the wood, shaded dark
+  // inside. Radii and depths are fractions of the local branch radius
+  cavityCount: 2,
+  cavityRadiusMin: 0.35,
+  cavityRadiusMax: 0.6,
+  cavityDepth: 0.6,
+  knotHoleCount: 4,
+  knotHoleRadius: 0.3,
+  knotHoleDepth: 0.35,
+
+  // Dead stubs, and broken limbs — thicker stubs with splintered ends
   deadStubCount: 3,
   deadStubLength: 0.3,
+  brokenLimbCount: 2,
+  brokenLimbLength: 0.6,
 
-  // Branch junctions
+  // Branch junctions — side branches start embedded in their parent, are
+  // trimmed onto a cylinder junctionEmbed × its radius, and blend from the
+  // parent's spine noise and wind phase over junctionBlend × its radius
   collarSize: 0.15,
-  weldSpread: 1.2,
+  junctionEmbed: 0.85,
+  junctionBlend: 2,
 
   // Mesh resolution
   trunkRadialSegments: 12,
@@ -53,6 +121,97 @@ export const TREE_CONFIG = {
   trunkAxialSpacing: 0.2,
   branchAxialSpacing: 0.45,
 
+  // Trunk levels of detail (see TrunkMesh LOD_LEVELS) — camera distances
+  // at which the reduced and coarse meshes take over. PerformanceMonitor
+  // pulls them closer as it lowers quality.
+  trunkLODDistances: [24, 36],
+
+  // Bark shader — furrow/ridge tints, noise stretch (x across, y along the
+  // grain) and triplanar texture scale
+  barkFurrowTint: [0.12, 0.10, 0.08],
+  barkRidgeTint: [0.45, 0.35, 0.25],
+  barkStretch: [8.0, 2.0],
+  barkTexScale: 0.25,
+  barkProceduralWeight: 0.6,
+
+  // Fine bark relief: 'baked' renders it once at startup into a tileable
+  // barkBakeSize² texture the shader samples; 'procedural' evaluates it
+  // per pixel — crisper up close, but the bark shader's main cost
+  barkDetail: 'baked',
+  barkBakeSize: 1024,
+
+  // Bark weathering — moss on upward and shady faces, around forks and
+  // low down; lichen in crusty patches; damp darkening below dampHeight.
+  // Amounts are 0–1, mossFacing is the shady side (north, -Z)
+  mossAmount: 0.5,
+  mossTint: [0.16, 0.26, 0.05],
+  mossFacing: [0, 0, -1],
+  lichenAmount: 0.3,
+  lichenTint: [0.58, 0.62, 0.48],
+  lichenScale: 3.0,
+  dampHeight: 1.2,
+  dampDarkening: 0.35,
+
+  // Leaves — shape is one of 'oak', 'ovate', 'lanceolate', 'needle', 'palmate'.
+  // Palettes are dark → mid → light linear RGB tones.
+  leafShape: 'oak',
+  leafSize: 0.35,
+  leafPalette: [[0.12, 0.28, 0.06], [0.20, 0.42, 0.10], [0.35, 0.48, 0.12]],
+  leafAutumnPalette: [[0.55, 0.15, 0.05], [0.75, 0.35, 0.08], [0.85, 0.65, 0.12]],
+
+  // Seasons (see environment/Seasons.js) — deciduous trees leaf out in
+  // spring and drop in autumn; leafBlossomTint (linear RGB, or null) shows
+  // blossom on part of the crown as the leaves break bud
+  deciduous: true,
+  leafBlossomTint: null,
+
+  // Leaf placement (see tree/LeafPlacement.js) — petioles every
+  // leafSpacing along the leafy twigs, each leafDivergence degrees around
+  // from the last (137.5 spiral, 180 alternate) and leafAngle degrees off
+  // the twig; oak crowds leafTerminalCluster leaves at each tip bud.
+  // Spacing widens evenly past leafBudget leaves.
+  leafSpacing: 0.1,
+  leafDivergence: 137.5,
+  leafAngle: 50,
+  leafTerminalCluster: 5,
+  leafBudget: 30000,
+
+  // Twigs (see tree/TwigMesh.js) — petioles of leafPetioleLength reach from
+  // the twig to each leaf, and a leafBudLength shoot past each tip carries
+  // its bud cluster, twigRadius thick where the leaves are
+  leafPetioleLength: 0.06,
+  leafBudLength: 0.2,
+  twigRadius: 0.008,
+
+  // Falling leaves (see tree/FallingLeaves.js) — leafFallRate leaves a
+  // second let go at the height of leaf fall (Seasons scales it through the
+  // year), carried leafFallDrift metres a second downwind per unit wind;
+  // each lies on the ground fallenLeafLifetime seconds, at most
+  // leafFallCapacity falling and fallen at once
+  leafFallRate: 12,
+  leafFallDrift: 2,
+  fallenLeafLifetime: 60,
+  leafFallCapacity: 1500,
+
+  // Leaf impostors (see tree/LeafSystem.js) — leaves gather into cards
+  // about leafCardSize across, which fade in over them from
+  // leafLODDistances[0] from the camera; by [1] only cards are left.
+  // Both lie past the orbit (CameraController's maxDistance), so at full
+  // quality the crown is all leaves; PerformanceMonitor pulls them closer
+  // as it lowers quality, but never inside the orbit's max distance.
+  leafCardSize: 1.2,
+  leafLODDistances: [40, 55],
+
+  // Fruit — 'sphere', 'acorn', 'berry', 'cone', 'pod' or 'catkin'
+  fruitStyle: 'sphere',
+
+  // Growth animation — seconds for the intro to grow the tree from seed;
+  // each leaf unfurls over leafUnfurlSpan and each fruit swells over
+  // fruitAppearSpan of its phase of the timeline (see tree/GrowthTimeline.js)
+  growthDuration: 6,
+  leafUnfurlSpan: 0.2,
+  fruitAppearSpan: 0.4,
+
   // Seed
   seed: 42,
 };
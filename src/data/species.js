@@ -0,0 +1,216 @@
+import { TREE_CONFIG } from '../config.js';
+
+/**
+ * Species presets — named bundles of TREE_CONFIG overrides covering growth,
+ * cross-section harmonics, bark shading, leaf shape/palette and fruit style.
+ * TREE_CONFIG itself is tuned as the English oak, so `oak` overrides nothing.
+ */
+export const DEFAULT_SPECIES = 'oak';
+
+export const SPECIES_PRESETS = {
+  oak: {
+    label: 'English oak',
+    config: {},
+  },
+
+  birch: {
+    label: 'Silver birch',
+    config: {
+      crownEnvelope: {
+        type: 'superellipsoid', center: [0, 12.5, 0], radii: [4.5, 7, 4.5],
+        horizontalExponent: 2, verticalExponent: 1.6,
+      },
+      trunkHeight: 6.5,
+      attractorCount: 3000,
+      // Fine outer twigs hang slightly
+      droop: 0.5,
+      droopDepth: 25,
+      trunkBaseRadius: 0.32,
+      gnarliness: 0.25,
+      surfaceNoiseIntensity: 0.03,
+      flareHeight: 0.8,
+      flareAmount: 0.3,
+      lobeCount: 3,
+      burlCount: 0,
+      deadStubCount: 1,
+      crossSectionProfile: [
+        { n: 3, amp: 0.02, phaseSpeed: 0.3 },
+        { n: 5, amp: 0.01, phaseSpeed: 0.5 },
+      ],
+      // White papery bark with dark horizontal lenticels
+      barkFurrowTint: [0.06, 0.06, 0.06],
+      barkRidgeTint: [0.95, 0.93, 0.88],
+      barkStretch: [2.0, 9.0],
+      barkProceduralWeight: 0.35,
+      leafShape: 'ovate',
+      leafSize: 0.24,
+      leafPalette: [[0.18, 0.36, 0.08], [0.30, 0.50, 0.12], [0.45, 0.58, 0.16]],
+      leafAutumnPalette: [[0.70, 0.55, 0.08], [0.85, 0.70, 0.12], [0.95, 0.82, 0.25]],
+      fruitStyle: 'catkin',
+    },
+  },
+
+  willow: {
+    label: 'Weeping willow',
+    config: {
+      crownEnvelope: { type: 'ellipsoid', center: [0, 8, 0], radii: [9, 7, 9] },
+      trunkHeight: 4,
+      attractorCount: 4500,
+      // Strong, early droop arches every branch into weeping curtains
+      droop: 1.0,
+      droopDepth: 10,
+      trunkBaseRadius: 0.6,
+      gnarliness: 0.5,
+      flareAmount: 0.6,
+      crossSectionProfile: [
+        { n: 4, amp: 0.06, phaseSpeed: 0.4 },
+        { n: 7, amp: 0.03, phaseSpeed: 0.8 },
+      ],
+      // Deeply furrowed grey-brown bark
+      barkFurrowTint: [0.08, 0.08, 0.07],
+      barkRidgeTint: [0.42, 0.38, 0.32],
+      barkStretch: [10.0, 1.5],
+      leafShape: 'lanceolate',
+      leafSize: 0.3,
+      leafPalette: [[0.22, 0.35, 0.12], [0.35, 0.48, 0.20], [0.50, 0.60, 0.32]],
+      leafAutumnPalette: [[0.55, 0.50, 0.10], [0.72, 0.65, 0.15], [0.85, 0.80, 0.30]],
+      // Long narrow leaves spaced out along the whips, no tip rosette
+      leafSpacing: 0.08,
+      leafAngle: 35,
+      leafTerminalCluster: 1,
+      fruitStyle: 'catkin',
+    },
+  },
+
+  pine: {
+    label: 'Scots pine',
+    config: {
+      crownEnvelope: { type: 'cone', center: [0, 5, 0], radius: 5.5, height: 15 },
+      trunkHeight: 6,
+      attractorCount: 3500,
+      // Strong apical control: branches hold up rather than sag
+      gravitropism: 0.15,
+      droop: 0.1,
+      trunkBaseRadius: 0.5,
+      gnarliness: 0.35,
+      flareAmount: 0.4,
+      burlCount: 2,
+      crossSectionProfile: [
+        { n: 3, amp: 0.03, phaseSpeed: 0.4 },
+        { n: 6, amp: 0.02, phaseSpeed: 0.6 },
+      ],
+      // Orange-brown plated bark
+      barkFurrowTint: [0.10, 0.06, 0.04],
+      barkRidgeTint: [0.62, 0.36, 0.20],
+      barkStretch: [4.0, 3.0],
+      leafShape: 'needle',
+      leafSize: 0.3,
+      leafPalette: [[0.06, 0.18, 0.08], [0.10, 0.26, 0.10], [0.18, 0.32, 0.12]],
+      // Evergreen — autumn barely shifts the needles
+      leafAutumnPalette: [[0.10, 0.20, 0.07], [0.16, 0.28, 0.09], [0.26, 0.34, 0.12]],
+      deciduous: false,
+      // Needles packed in a tight spiral, swept forward along the shoot
+      leafSpacing: 0.05,
+      leafAngle: 30,
+      leafTerminalCluster: 8,
+      fruitStyle: 'cone',
+    },
+  },
+
+  baobab: {
+    label: 'Baobab',
+    config: {
+      crownEnvelope: { type: 'hemisphere', center: [0, 8, 0], radii: [8, 4.5, 8] },
+      trunkHeight: 8,
+      attractorCount: 2500,
+      pipeExponent: 2.8,
+      trunkBaseRadius: 1.6,
+      gnarliness: 0.3,
+      surfaceNoiseIntensity: 0.04,
+      flareHeight: 1.0,
+      flareAmount: 0.25,
+      lobeCount: 7,
+      burlCount: 2,
+      deadStubCount: 1,
+      crossSectionProfile: [
+        { n: 5, amp: 0.10, phaseSpeed: 0.2 },
+        { n: 7, amp: 0.06, phaseSpeed: 0.3 },
+        { n: 11, amp: 0.02, phaseSpeed: 0.5 },
+      ],
+      // Smooth grey-pink bark with faint folds
+      barkFurrowTint: [0.30, 0.25, 0.24],
+      barkRidgeTint: [0.62, 0.54, 0.50],
+      barkStretch: [3.0, 1.0],
+      barkProceduralWeight: 0.25,
+      // Dry savanna: little moss or damp
+      mossAmount: 0.1,
+      dampDarkening: 0.1,
+      leafShape: 'palmate',
+      leafSize: 0.4,
+      leafPalette: [[0.14, 0.30, 0.08], [0.24, 0.42, 0.12], [0.38, 0.50, 0.16]],
+      // Leaves crowd the ends of the stubby branches
+      leafSpacing: 0.3,
+      leafTerminalCluster: 8,
+      fruitStyle: 'pod',
+    },
+  },
+
+  cherry: {
+    label: 'Wild cherry',
+    config: {
+      crownEnvelope: { type: 'ellipsoid', center: [0, 10, 0], radii: [6, 5, 6] },
+      trunkHeight: 4.5,
+      attractorCount: 3500,
+      trunkBaseRadius: 0.42,
+      gnarliness: 0.45,
+      flareAmount: 0.5,
+      burlCount: 1,
+      crossSectionProfile: [
+        { n: 3, amp: 0.04, phaseSpeed: 0.5 },
+        { n: 4, amp: 0.02, phaseSpeed: 0.3 },
+      ],
+      // Glossy red-brown bark banded with horizontal lenticels
+      barkFurrowTint: [0.14, 0.06, 0.05],
+      barkRidgeTint: [0.52, 0.26, 0.20],
+      barkStretch: [1.5, 10.0],
+      leafShape: 'ovate',
+      leafSize: 0.3,
+      leafPalette: [[0.14, 0.30, 0.07], [0.22, 0.42, 0.10], [0.34, 0.48, 0.12]],
+      leafAutumnPalette: [[0.60, 0.10, 0.06], [0.80, 0.25, 0.08], [0.90, 0.50, 0.12]],
+      // Pale pink spring blossom
+      leafBlossomTint: [0.95, 0.70, 0.76],
+      fruitStyle: 'berry',
+    },
+  },
+};
+
+/**
+ * Resolve a species name to a registered preset, falling back to the
+ * default species for unknown or missing names.
+ *
+ * @param {string|null} name
+ * @returns {string}
+ */
+export function resolveSpeciesName(name) {
+  if (name && SPECIES_PRESETS[name]) return name;
+  if (name) {
+    console.warn(`[Species] Unknown species "${name}", using ${DEFAULT_SPECIES}`);
+  }
+  return DEFAULT_SPECIES;
+}
+
+/**
+ * Build a full tree config for a species: TREE_CONFIG with the preset's
+ * overrides applied on top.
+ *
+ * @param {string} [name] - key in SPECIES_PRESETS
+ * @returns {object} TREE_CONFIG-shaped config with a `species` field
+ */
+export function getSpeciesConfig(name = DEFAULT_SPECIES) {
+  const species = resolveSpeciesName(name);
+  return {
+    ...TREE_CONFIG,
+    ...SPECIES_PRESETS[species].config,
+    species,
+  };
+}
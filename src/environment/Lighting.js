@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { TREE_CONFIG } from '../config.js';
 
 /**
  * Lighting — HDRI environment + directional light with shadows.
@@ -23,7 +24,7 @@ export class Lighting {
 
     // Main directional (sun) — with shadows for god rays
     this.sunLight = new THREE.DirectionalLight(0xfff4e0, 1.8);
-    this.sunLight.position.set(5, 15, 7);
+    this.sunLight.position.fromArray(TREE_CONFIG.sunPosition);
     this.sunLight.castShadow = true;
 
     // Shadow map config
@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { smoothstep, lerp } from '../utils/math.js';
+
+export const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+/**
+ * Ground and light at the middle of each season; in between they blend.
+ */
+const SEASON_LOOKS = {
+  spring: { ground: 0x5a7040, sun: 0xfff2dc, sunIntensity: 1.7, ambient: 0x404050, ambientIntensity: 0.4 },
+  summer: { ground: 0x4a5a3a, sun: 0xfff4e0, sunIntensity: 1.8, ambient: 0x404050, ambientIntensity: 0.4 },
+  autumn: { ground: 0x6a5232, sun: 0xffdcb0, sunIntensity: 1.5, ambient: 0x484038, ambientIntensity: 0.35 },
+  winter: { ground: 0x8a8e90, sun: 0xe6ecff, sunIntensity: 1.2, ambient: 0x505868, ambientIntensity: 0.5 },
+};
+
+// Share of the autumn leaf fall rate that falls the rest of the year,
+// and from evergreens
+const STRAY_LEAF_FALL = 0.04;
+
+// Time zones south of the equator — the hemisphere is guessed from the
+// visitor's clock rather than asking for their location
+const SOUTHERN_TIME_ZONE = new RegExp([
+  '^Australia/', '^Antarctica/', '^Pacific/(Auckland|Chatham|Fiji|Tongatapu|Apia|Noumea|Efate)',
+  '^America/(Argentina|Sao_Paulo|Santiago|Montevideo|Asuncion|La_Paz|Lima|Punta_Arenas)',
+  '^Africa/(Johannesburg|Maputo|Harare|Lusaka|Windhoek|Gaborone|Maseru|Mbabane|Luanda)',
+  '^Indian/(Antananarivo|Mauritius|Reunion)',
+].join('|'));
+
+/**
+ * The visitor's hemisphere, guessed from their time zone.
+ * @returns {'north'|'south'}
+ */
+export function guessHemisphere() {
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+  return SOUTHERN_TIME_ZONE.test(zone) ? 'south' : 'north';
+}
+
+/**
+ * Position in the year for a date, 0–1 from the start of spring
+ * (meteorological seasons: March 1st in the north, September 1st in the
+ * south). Each season takes a quarter, in SEASONS order.
+ * @param {Date} [date]
+ * @param {'north'|'south'} [hemisphere]
+ * @returns {number}
+ */
+export function seasonPhaseFromDate(date = new Date(), hemisphere = guessHemisphere()) {
+  const yearStart = Date.UTC(date.getFullYear(), 0, 1);
+  const day = (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - yearStart) / 86400000;
+  const phase = (day - 59) / 365 + (hemisphere === 'south' ? 0.5 : 0);
+  return phase - Math.floor(phase);
+}
+
+/**
+ * Seasons — turns the tree through the year.
+ *
+ * A single phase (0–1 from the start of spring, see seasonPhaseFromDate)
+ * sets the leaf material's season uniforms: leaves break bud in spring,
+ * pale at first, with blossom for species that have config.leafBlossomTint;
+ * turn to the autumn palette and fall in autumn, each leaf in its own turn
+ * by colour variation; and are gone over winter, leaving bare branches.
+ * Evergreens (config.deciduous false) keep theirs. Ground colour and the
+ * sun and ambient light follow SEASON_LOOKS.
+ *
+ * Leaf chunks and cards are emptied while the tree is bare, so they
+ * neither draw nor cast shadows. With options.fallingLeaves, leaves fall
+ * at its configured rate at the height of autumn, the odd one through the
+ * rest of the year the tree is in leaf.
+ */
+export class Seasons {
+  /**
+   * @param {object} options
+   * @param {import('../tree/LeafSystem.js').LeafSystem} options.leafSystem
+   * @param {import('./Ground.js').Ground} [options.ground]
+   * @param {import('./Lighting.js').Lighting} [options.lighting]
+   * @param {import('../tree/FallingLeaves.js').FallingLeaves} [options.fallingLeaves]
+   * @param {object} options.config - the tree's config
+   */
+  constructor({ leafSystem, ground, lighting, fallingLeaves, config }) {
+    this.leafSystem = leafSystem;
+    this.ground = ground;
+    this.lighting = lighting;
+    this.fallingLeaves = fallingLeaves;
+    this.config = config;
+    this._state = { phase: 0.375 };
+    this._tween = null;
+
+    const uniforms = leafSystem.material.uniforms;
+    uniforms.uBlossomTint.value.fromArray(config.leafBlossomTint || [1, 1, 1]);
+    this._colour = new THREE.Color();
+  }
+
+  /**
+   * Current phase, 0–1 from the start of spring.
+   */
+  get phase() {
+    return this._state.phase;
+  }
+
+  /**
+   * Name of the season the phase falls in.
+   * @returns {'spring'|'summer'|'autumn'|'winter'}
+   */
+  get season() {
+    return SEASONS[Math.floor(this._state.phase * 4) % 4];
+  }
+
+  /**
+   * Jump, or ease over `duration` seconds, to the middle of a season.
+   * @param {'spring'|'summer'|'autumn'|'winter'} name
+   * @param {number} [duration=0]
+   */
+  setSeason(name, duration = 0) {
+    const index = SEASONS.indexOf(name);
+    if (index < 0) throw new Error(`Unknown season: ${name}`);
+    this.setPhase((index + 0.5) / 4, duration);
+  }
+
+  /**
+   * Season for a date in the visitor's (or a given) hemisphere.
+   * @param {Date} [date]
+   * @param {'north'|'south'} [hemisphere]
+   */
+  setFromDate(date = new Date(), hemisphere = guessHemisphere()) {
+    this.setPhase(seasonPhaseFromDate(date, hemisphere));
+    console.log(`[Seasons] ${this.season} (${hemisphere}ern hemisphere)`);
+  }
+
+  /**
+   * Jump, or ease over `duration` seconds, to a point in the year —
+   * always forward, so autumn follows summer through leaf fall.
+   * @param {number} phase - 0–1 from the start of spring
+   * @param {number} [duration=0]
+   */
+  setPhase(phase, duration = 0) {
+    this._tween?.kill();
+    this._tween = null;
+    this._state.phase -= Math.floor(this._state.phase);
+    let target = phase - Math.floor(phase);
+    if (duration <= 0) {
+      this._state.phase = target;
+      this.apply();
+      return;
+    }
+    if (target < this._state.phase) target += 1;
+    this._tween = gsap.to(this._state, {
+      phase: target,
+      duration,
+      ease: 'power1.inOut',
+      onUpdate: () => this.apply(),
+    });
+  }
+
+  /**
+   * Push the current phase to the leaves, ground and lights — again after
+   * the leaf chunks are rebuilt, e.g. by a TreeEditor edit.
+   */
+  apply() {
+    const p = this._state.phase - Math.floor(this._state.phase);
+    const uniforms = this.leafSystem.material.uniforms;
+    const deciduous = this.config.deciduous;
+
+    // Leaf progressions through the year, each 0–1; the shader staggers
+    // them per leaf
+    const leafOut = deciduous ? smoothstep(0.0, 0.15, p) : 1;
+    const drop = deciduous ? smoothstep(0.58, 0.75, p) : 0;
+    uniforms.uLeafOut.value = leafOut;
+    uniforms.uLeafDrop.value = drop;
+    uniforms.uFresh.value = 1 - smoothstep(0.1, 0.3, p);
+    uniforms.uSeasonMix.value = smoothstep(0.45, 0.65, p);
+    uniforms.uBlossom.value = this.config.leafBlossomTint
+      ? smoothstep(0.0, 0.05, p) * (1 - smoothstep(0.1, 0.16, p)) * 0.6
+      : 0;
+
+    const bare = leafOut === 0 || drop === 1;
+    for (const mesh of [...this.leafSystem.chunkMeshes, ...this.leafSystem.cardMeshes]) {
+      mesh.count = bare ? 0 : mesh.instanceMatrix.count;
+    }
+
+    if (this.fallingLeaves) {
+      // Peaks halfway through leaf fall; a few strays otherwise
+      const fall = bare || leafOut < 1 ? 0 : Math.max(STRAY_LEAF_FALL, 4 * drop * (1 - drop));
+      this.fallingLeaves.rate = this.config.leafFallRate * fall;
+    }
+
+    this._applyLook(p);
+  }
+
+  /**
+   * Blend the looks of the two seasons either side of the phase.
+   */
+  _applyLook(p) {
+    const t = p * 4 - 0.5;
+    const from = SEASON_LOOKS[SEASONS[(Math.floor(t) + 4) % 4]];
+    const to = SEASON_LOOKS[SEASONS[(Math.floor(t) + 5) % 4]];
+    const f = smoothstep(0, 1, t - Math.floor(t));
+    const blend = (out, a, b) => out.setHex(a).lerp(this._colour.setHex(b), f);
+
+    if (this.ground) {
+      blend(this.ground.mesh.material.color, from.ground, to.ground);
+    }
+    if (this.lighting) {
+      const { sunLight, ambientLight } = this.lighting;
+      blend(sunLight.color, from.sun, to.sun);
+      sunLight.intensity = lerp(from.sunIntensity, to.sunIntensity, f);
+      blend(ambientLight.color, from.ambient, to.ambient);
+      ambientLight.intensity = lerp(from.ambientIntensity, to.ambientIntensity, f);
+    }
+  }
+}
@@ -58,8 +58,13 @@ export class CameraController {
 
   /**
    * Cinematic intro: camera approaches from far away and rises to orbit.
+   * With a GrowthTimeline the tree grows from seed during the approach,
+   * which stretches to last as long as the growth.
+   *
+   * @param {number} duration - seconds for the camera move
+   * @param {import('../tree/GrowthTimeline.js').GrowthTimeline} [growth]
    */
-  playIntro(duration = 3.0) {
+  playIntro(duration = 3.0, growth = null) {
     return new Promise((resolve) => {
       this._isAnimating = true;
       this.controls.enabled = false;
@@ -68,8 +73,16 @@ export class CameraController {
       this.controls.target.set(0, 5, 0);
       this.controls.update();
 
+      let grown = Promise.resolve();
+      if (growth) {
+        duration = Math.max(duration, growth.duration);
+        growth.seek(0);
+        grown = growth.play();
+      }
+
       const tl = gsap.timeline({
-        onComplete: () => {
+        onComplete: async () => {
+          await grown;
           this._isAnimating = false;
           this.controls.enabled = true;
           this.controls.autoRotate = true;
@@ -45,7 +45,9 @@ export class FruitRaycaster {
 
   _raycast() {
     this.raycaster.setFromCamera(this.pointer, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.fruitMeshes, false);
+    // Fruit left without a branch tip by an edit are hidden
+    const intersects = this.raycaster.intersectObjects(this.fruitMeshes, false)
+      .filter((hit) => hit.object.userData.pivot.visible);
     return intersects.length > 0 ? intersects[0] : null;
   }
 
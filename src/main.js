@@ -2,19 +2,24 @@ import * as THREE from 'three';
 import { CSS2DRenderer } from 'three/addons/renderers/CSS2DRenderer.js';
 import CustomShaderMaterial from 'three-custom-shader-material/vanilla';
 import gsap from 'gsap';
-import { TreeSkeleton } from './tree/TreeSkeleton.js';
-import { TrunkMesh } from './tree/TrunkMesh.js';
+import { generateTree } from './tree/TreeGenerator.js';
+import { benchmarkTrunkMesh } from './tree/TrunkMesh.js';
 import { LeafSystem } from './tree/LeafSystem.js';
 import { FruitSystem } from './tree/FruitSystem.js';
-import { TREE_CONFIG } from './config.js';
+import { FallingLeaves } from './tree/FallingLeaves.js';
+import { BranchWind } from './tree/BranchWind.js';
+import { GrowthTimeline } from './tree/GrowthTimeline.js';
+import { getSpeciesConfig } from './data/species.js';
 import { portfolioItems } from './data/portfolio.js';
 import { createPlaceholderBarkTextures } from './utils/TextureLoader.js';
+import { bakeBarkDetail } from './utils/BarkDetailBaker.js';
 import { CameraController } from './interaction/CameraController.js';
 import { FruitRaycaster } from './interaction/Raycaster.js';
 import { HoverEffects } from './interaction/HoverEffects.js';
 import { PortfolioOverlay } from './interaction/PortfolioOverlay.js';
 import { Lighting } from './environment/Lighting.js';
 import { Ground } from './environment/Ground.js';
+import { Seasons, SEASONS } from './environment/Seasons.js';
 import { PostProcessing } from './environment/PostProcessing.js';
 import { LoadingManager } from './utils/LoadingManager.js';
 import { PerformanceMonitor } from './utils/PerformanceMonitor.js';
@@ -83,6 +88,11 @@ function getDeviceCapabilities() {
 
 const device = getDeviceCapabilities();
 
+// ── Species ──────────────────────────────────────────────────
+// Pick the tree with ?species=<name> (see data/species.js); defaults to oak
+const treeConfig = getSpeciesConfig(new URLSearchParams(window.location.search).get('species'));
+console.log(`[Species] ${treeConfig.species}`);
+
 // ── Loading Manager ──────────────────────────────────────────
 const loader = new LoadingManager();
 loader.registerSteps([
@@ -156,7 +166,7 @@ if (device.isLowEnd) {
 }
 
 // ── Ground Plane ─────────────────────────────────────────────
-new Ground(scene);
+const ground = new Ground(scene);
 
 // ── Dev FPS Monitor ─────────────────────────────────────────
 let stats = null;
@@ -171,18 +181,33 @@ if (import.meta.env.DEV) {
   });
 }
 
+// ── Wind ────────────────────────────────────────────────────
+// One hierarchical wind for bark, leaves and fruit, baked from the
+// skeleton once it has grown
+const branchWind = new BranchWind();
+
 // ── Bark Textures & Material ────────────────────────────────
 const barkTextures = createPlaceholderBarkTextures();
 const barkUniforms = {
-  uTime: { value: 0 },
-  uWindStrength: { value: 0.3 },
-  uWindDirection: { value: new THREE.Vector2(1.0, 0.3).normalize() },
+  ...branchWind.uniforms,
   uBarkDiffuse: { value: barkTextures.diffuse },
   uBarkNormal: { value: barkTextures.normal },
   uBarkRoughness: { value: barkTextures.roughness },
   uBarkAO: { value: barkTextures.ao },
-  uTexScale: { value: 0.25 },
-  uProceduralWeight: { value: 0.6 },
+  uBarkDetail: { value: null },
+  uTexScale: { value: treeConfig.barkTexScale },
+  uProceduralWeight: { value: treeConfig.barkProceduralWeight },
+  uBarkFurrowTint: { value: new THREE.Vector3().fromArray(treeConfig.barkFurrowTint) },
+  uBarkRidgeTint: { value: new THREE.Vector3().fromArray(treeConfig.barkRidgeTint) },
+  uBarkStretch: { value: new THREE.Vector2().fromArray(treeConfig.barkStretch) },
+  uMossAmount: { value: treeConfig.mossAmount },
+  uMossTint: { value: new THREE.Vector3().fromArray(treeConfig.mossTint) },
+  uLichenAmount: { value: treeConfig.lichenAmount },
+  uLichenTint: { value: new THREE.Vector3().fromArray(treeConfig.lichenTint) },
+  uLichenScale: { value: treeConfig.lichenScale },
+  uDampHeight: { value: treeConfig.dampHeight },
+  uDampDarkening: { value: treeConfig.dampDarkening },
+  uGrowth: { value: 1.0 },
 };
 
 const barkMaterial = new CustomShaderMaterial({
@@ -197,38 +222,72 @@ const barkMaterial = new CustomShaderMaterial({
   vertexColors: true,
 });
 
+// Bark relief: baked to a texture once, or evaluated live per pixel
+if (treeConfig.barkDetail === 'procedural') {
+  barkMaterial.defines.BARK_PROCEDURAL = '';
+} else {
+  barkUniforms.uBarkDetail.value = bakeBarkDetail(renderer, treeConfig).texture;
+}
+
 // ── Generate Tree ───────────────────────────────────────────
 const t0 = performance.now();
 
-console.time('skeleton');
-const skeleton = new TreeSkeleton(TREE_CONFIG);
-skeleton.generate();
-console.timeEnd('skeleton');
-loader.completeStep('Growing tree');
-
-console.time('mesh');
-const trunkMeshBuilder = new TrunkMesh(skeleton, TREE_CONFIG);
-const trunkGeometry = trunkMeshBuilder.build();
-console.timeEnd('mesh');
+// Meshes whose shadows are held back while the tree grows — the shadow
+// pass uses the plain depth material, which would cast the full-grown tree
+const treeShadowCasters = [];
+
+// Skeleton, trunk and root geometry and leaf placement run in a worker;
+// the loading bar follows its per-stage progress
+console.time('generate');
+const {
+  skeleton, trunkGeometry, trunkLODGeometries, rootGeometry, leafInstances,
+} = await generateTree(
+  treeConfig,
+  (step, fraction) => loader.setStepProgress(step, fraction)
+);
+console.timeEnd('generate');
+branchWind.bake(skeleton);
 
+// Full-resolution trunk up close; reduced and coarse levels further out
+let trunkMeshObj = null;
+let trunkLOD = null;
 if (trunkGeometry) {
-  const trunkMeshObj = new THREE.Mesh(trunkGeometry, barkMaterial);
-  trunkMeshObj.castShadow = true;
-  trunkMeshObj.receiveShadow = true;
-  scene.add(trunkMeshObj);
+  trunkLOD = new THREE.LOD();
+  [trunkGeometry, ...trunkLODGeometries].forEach((geometry, level) => {
+    const mesh = new THREE.Mesh(geometry, barkMaterial);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    trunkLOD.addLevel(mesh, level === 0 ? 0 : treeConfig.trunkLODDistances[level - 1]);
+    treeShadowCasters.push(mesh);
+  });
+  scene.add(trunkLOD);
+  trunkMeshObj = trunkLOD.levels[0].object;
   const triCount = trunkGeometry.index ? trunkGeometry.index.count / 3 : 0;
   console.log(`[TrunkMesh] triangles: ${triCount}, vertices: ${trunkGeometry.attributes.position.count}`);
 }
-loader.completeStep('Shaping bark');
+
+// Surface roots share the bark material; they shade the ground around the base
+if (rootGeometry) {
+  const rootMeshObj = new THREE.Mesh(rootGeometry, barkMaterial);
+  rootMeshObj.castShadow = true;
+  rootMeshObj.receiveShadow = true;
+  scene.add(rootMeshObj);
+  treeShadowCasters.push(rootMeshObj);
+  console.log(`[RootSystem] triangles: ${rootGeometry.index.count / 3}`);
+}
 
 // ── Leaf System ────────────────────────────────────────────
 console.time('leaves');
-const leafSystem = new LeafSystem(skeleton, TREE_CONFIG);
-const leafChunks = leafSystem.build();
+const leafSystem = new LeafSystem(skeleton, treeConfig, { wind: branchWind, twigMaterial: barkMaterial });
+// Leaf chunks, then the cards that stand in for them at a distance
+const leafChunks = leafSystem.build(leafInstances);
+// Twigs only read up close, so they ride on the full-resolution trunk level
+if (trunkMeshObj) trunkMeshObj.add(leafSystem.twigMesh);
 for (const chunk of leafChunks) {
   chunk.castShadow = true;
   chunk.receiveShadow = true;
   scene.add(chunk);
+  treeShadowCasters.push(chunk);
 }
 console.timeEnd('leaves');
 
@@ -238,14 +297,55 @@ loader.completeStep('Adding leaves');
 
 // ── Fruit System ───────────────────────────────────────────
 console.time('fruit');
-const fruitSystem = new FruitSystem(skeleton, TREE_CONFIG, portfolioItems);
+const fruitSystem = new FruitSystem(skeleton, treeConfig, portfolioItems, branchWind);
 const fruitGroup = fruitSystem.build();
 scene.add(fruitGroup);
 fruitGroup.traverse((child) => {
-  if (child.isMesh) child.castShadow = true;
+  if (child.isMesh) {
+    child.castShadow = true;
+    treeShadowCasters.push(child);
+  }
 });
 console.timeEnd('fruit');
 
+// ── Falling Leaves ─────────────────────────────────────────
+const fallingLeaves = new FallingLeaves(leafSystem, treeConfig, branchWind, {
+  groundHeight: ground.mesh.position.y,
+});
+scene.add(fallingLeaves.build());
+
+// ── Seasons ─────────────────────────────────────────────────
+// ?season=spring|summer|autumn|winter picks one; otherwise it is the
+// visitor's own, from today's date and their hemisphere (?hemisphere=south
+// to override the guess from their time zone)
+const seasons = new Seasons({ leafSystem, ground, lighting, fallingLeaves, config: treeConfig });
+{
+  const params = new URLSearchParams(window.location.search);
+  const season = params.get('season');
+  if (SEASONS.includes(season)) {
+    seasons.setSeason(season);
+  } else {
+    if (season) console.warn(`[Seasons] Unknown season "${season}", using today's`);
+    let hemisphere = params.get('hemisphere');
+    if (hemisphere && hemisphere !== 'north' && hemisphere !== 'south') {
+      console.warn(`[Seasons] Unknown hemisphere "${hemisphere}", guessing from the time zone`);
+      hemisphere = null;
+    }
+    seasons.setFromDate(new Date(), hemisphere || undefined);
+  }
+}
+
+// ── Growth Timeline ────────────────────────────────────────
+const growthTimeline = new GrowthTimeline({
+  wood: barkUniforms.uGrowth,
+  leaves: leafSystem.material.uniforms.uGrowth,
+  fruit: fruitSystem.growthUniform,
+}, treeConfig.growthDuration);
+
+function setTreeShadows(enabled) {
+  for (const mesh of treeShadowCasters) mesh.castShadow = enabled;
+}
+
 // ── Post-Processing Pipeline ──────────────────────────────
 let postProcessing = null;
 try {
@@ -308,11 +408,65 @@ console.log(`[Total generation] ${totalTime.toFixed(0)}ms`);
 // ── Performance Monitor ─────────────────────────────────────
 const perfMonitor = new PerformanceMonitor({
   postProcessing,
-  leafChunks,
+  leafSystem,
+  trunkLOD,
   sunLight,
   renderer,
+  maxViewDistance: cameraController.controls.maxDistance,
 });
 
+// ── Tree Editor (dev) ───────────────────────────────────────
+// window.treeEditor prunes, extends and grafts branches in place;
+// Alt+click on the bark removes the branch under the cursor. Each edit
+// logs the skeletonEdits list to paste into the species config.
+if (import.meta.env.DEV && trunkMeshObj) {
+  const { TreeEditor } = await import('./tree/TreeEditor.js');
+  const treeEditor = new TreeEditor({
+    scene, skeleton, config: treeConfig, trunkLOD, leafSystem, fruitSystem, wind: branchWind,
+  });
+  treeEditor.onLeavesReplaced = (removed, added) => {
+    for (const mesh of removed) treeShadowCasters.splice(treeShadowCasters.indexOf(mesh), 1);
+    treeShadowCasters.push(...added);
+    seasons.apply();
+  };
+  window.treeEditor = treeEditor;
+
+  const editRaycaster = new THREE.Raycaster();
+  const editPointer = new THREE.Vector2();
+  renderer.domElement.addEventListener('pointerdown', (e) => {
+    if (!e.altKey) return;
+    editPointer.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+    editRaycaster.setFromCamera(editPointer, camera);
+    const hit = editRaycaster.intersectObject(trunkMeshObj, false)[0];
+    if (!hit) return;
+    const node = treeEditor.findNearestNode(hit.point);
+    // The seeded trunk column comes first in the node list
+    if (node <= Math.ceil(treeConfig.trunkHeight / treeConfig.segmentLength)) {
+      console.warn('[TreeEditor] Not removing the trunk');
+      return;
+    }
+    treeEditor.removeSubtree(node);
+  });
+}
+
+// ── Tree Export (dev) ───────────────────────────────────────
+// Save the tree as currently edited for Blender, renders or AR viewers —
+// e: GLB, Shift+E: OBJ, Shift+P: PLY. Headless: npm run export
+async function exportCurrentTree(format) {
+  const { createExportScene, exportTree, downloadExport } = await import('./tree/TreeExporter.js');
+  const t = performance.now();
+  const exportScene = createExportScene({
+    trunkGeometry: trunkMeshObj ? trunkMeshObj.geometry : null,
+    rootGeometry,
+    twigGeometry: leafSystem.twigMesh.geometry,
+    leafInstances: leafSystem.instances,
+    fruitGroup,
+  }, treeConfig, { bark: barkTextures, leaf: leafSystem.leafTexture });
+  const data = await exportTree(exportScene, format);
+  downloadExport(data, treeConfig.species, format);
+  console.log(`[TreeExporter] ${format} in ${(performance.now() - t).toFixed(0)}ms`);
+}
+
 // ── Keyboard Shortcuts ──────────────────────────────────────
 window.addEventListener('keydown', (e) => {
   if ((e.key === 'r' || e.key === 'R') && !portfolioOverlay.isOpen) {
@@ -320,12 +474,41 @@ window.addEventListener('keydown', (e) => {
   }
   if (!import.meta.env.DEV) return;
   if (e.key === 'w') barkMaterial.wireframe = !barkMaterial.wireframe;
+  if (e.key === 'g') {
+    // Replay the growth animation
+    setTreeShadows(false);
+    growthTimeline.seek(0);
+    growthTimeline.play().then(() => setTreeShadows(true));
+  }
   if (e.key === 'i') {
     console.log('Draw calls:', renderer.info.render.calls);
     console.log('Triangles:', renderer.info.render.triangles);
     console.log('Textures:', renderer.info.memory.textures);
     console.log('Geometries:', renderer.info.memory.geometries);
   }
+  if (e.key === 'o') {
+    // Skeleton analytics — node/segment counts and lengths per Strahler order
+    console.log('[TreeSkeleton] stats:', skeleton.getStats());
+  }
+  if (e.key === 'b') {
+    // Trunk mesh benchmark — ms per deformation layer at 1×, 2× and 4× resolution
+    try {
+      console.log('[TrunkMesh] benchmark:');
+      console.table(benchmarkTrunkMesh(skeleton, treeConfig));
+    } catch (err) {
+      console.error('[TrunkMesh] Benchmark failed:', err);
+    }
+  }
+  if (e.key === 'e' || e.key === 'E' || e.key === 'P') {
+    const format = { e: 'glb', E: 'obj', P: 'ply' }[e.key];
+    exportCurrentTree(format).catch((err) => console.error('[TreeExporter] Export failed:', err));
+  }
+  if (e.key === 's') {
+    // Ease on to the next season
+    const next = SEASONS[(SEASONS.indexOf(seasons.season) + 1) % SEASONS.length];
+    seasons.setSeason(next, 2);
+    console.log(`[Seasons] → ${next}`);
+  }
   if (e.key === 'f' && stats) {
     stats.dom.style.display = stats.dom.style.display === 'none' ? 'block' : 'none';
   }
@@ -353,11 +536,12 @@ function animate() {
 
   const delta = clock.getDelta();
   const elapsed = clock.getElapsedTime();
-  barkUniforms.uTime.value = elapsed;
-  leafSystem.update(elapsed);
+  branchWind.update(elapsed);
   fruitSystem.update(elapsed);
+  fallingLeaves.update(elapsed, delta);
 
   cameraController.update();
+  leafSystem.updateLod(camera);
 
   if (postProcessing) {
     postProcessing.render(delta);
@@ -391,10 +575,14 @@ renderer.render(scene, camera);
 renderer.shadowMap.needsUpdate = true;
 
 async function startSequence() {
+  // Reveal an empty scene; the tree grows from seed during the intro
+  growthTimeline.seek(0);
+  setTreeShadows(false);
   await loader.hide();
   renderer.setAnimationLoop(animate);
+  await cameraController.playIntro(3.0, growthTimeline);
+  setTreeShadows(true);
   fruitRaycaster.enable();
-  await cameraController.playIntro(3.0);
 
   // URL hash navigation
   const hash = window.location.hash.slice(1);
@@ -1,7 +1,10 @@
 #include "noise.glsl"
+#include "barkHeight.glsl"
 
 varying vec3 vWorldPos;
 varying vec3 vWorldNrm;
+varying float vHollow;
+varying vec4 vWeather;
 
 uniform sampler2D uBarkDiffuse;
 uniform sampler2D uBarkNormal;
@@ -9,55 +12,38 @@ uniform sampler2D uBarkRoughness;
 uniform sampler2D uBarkAO;
 uniform float uTexScale;
 uniform float uProceduralWeight;
-
-// ── Bark height function for procedural normals ─────────────
-// Defines fine bark surface: vertical fissures, domain-warped ridges
-float barkHeight(vec2 p) {
-  // Stretch: wider horizontally, compressed vertically
-  // Creates vertical fissure pattern characteristic of English oak
-  vec2 stretched = p * vec2(8.0, 2.0);
-
-  // Domain warp for organic irregularity
-  vec2 q = vec2(
-    fbm2D_3(stretched),
-    fbm2D_3(stretched + vec2(5.2, 1.3))
-  );
-  vec2 warped = stretched + 1.5 * q;
-
-  // Primary ridges: ridged fBM creates sharp furrows
-  float ridges = ridgedFBM2D(warped * vec2(1.0, 0.3), 4);
-
-  // Secondary detail: smaller-scale cracks
-  float detail = fbm2D_3(warped * 4.0) * 0.15;
-
-  // Tertiary: very fine grain
-  float grain = snoise2D(warped * 16.0) * 0.05;
-
-  return ridges * 0.7 + detail + grain;
+uniform vec3 uBarkFurrowTint;
+uniform vec3 uBarkRidgeTint;
+uniform float uMossAmount;
+uniform vec3 uMossTint;
+uniform float uLichenAmount;
+uniform vec3 uLichenTint;
+uniform float uLichenScale;
+uniform float uDampHeight;
+uniform float uDampDarkening;
+
+// ── Bark detail ─────────────────────────────────────────────
+// Normal, height and crevice AO of the fine bark relief, in the
+// projection plane's tangent space. BARK_PROCEDURAL evaluates barkHeight
+// live — sharpest up close, but several fBM stacks per sample. Otherwise
+// it is read from the tile BarkDetailBaker renders at startup.
+#ifdef BARK_PROCEDURAL
+void barkDetail(vec2 p, out vec3 nrm, out float height, out float ao) {
+  nrm = computeBarkNormal(p);
+  height = barkHeight(p);
+  ao = smoothstep(0.0, 0.5, height);
 }
-
-// ── Compute procedural bark normal from height via central differences ──
-vec3 computeBarkNormal(vec2 pos) {
-  // Coarse normals: ridge-scale
-  float eps1 = 0.003;
-  float hL1 = barkHeight(pos - vec2(eps1, 0.0));
-  float hR1 = barkHeight(pos + vec2(eps1, 0.0));
-  float hD1 = barkHeight(pos - vec2(0.0, eps1));
-  float hU1 = barkHeight(pos + vec2(0.0, eps1));
-  vec3 coarseNrm = vec3(hL1 - hR1, hD1 - hU1, 2.0 * eps1);
-
-  // Fine normals: micro-crack detail
-  float eps2 = 0.001;
-  float hL2 = barkHeight(pos - vec2(eps2, 0.0));
-  float hR2 = barkHeight(pos + vec2(eps2, 0.0));
-  float hD2 = barkHeight(pos - vec2(0.0, eps2));
-  float hU2 = barkHeight(pos + vec2(0.0, eps2));
-  vec3 fineNrm = vec3(hL2 - hR2, hD2 - hU2, 2.0 * eps2);
-
-  // Combine: coarse provides structure, fine adds crispness
-  vec3 combined = normalize(coarseNrm) + normalize(fineNrm) * 0.4;
-  return normalize(combined);
+#else
+uniform sampler2D uBarkDetail;
+
+void barkDetail(vec2 p, out vec3 nrm, out float height, out float ao) {
+  vec4 texel = texture2D(uBarkDetail, p);
+  vec2 xy = texel.xy * 2.0 - 1.0;
+  nrm = vec3(xy, sqrt(max(0.0, 1.0 - dot(xy, xy))));
+  height = BARK_HEIGHT_MIN + texel.z * BARK_HEIGHT_RANGE;
+  ao = texel.w;
 }
+#endif
 
 void main() {
   vec3 wNorm = normalize(vWorldNrm);
@@ -110,10 +96,12 @@ void main() {
   vec3 texNormal = normalize(nmX * blend.x + nmY * blend.y + nmZ * blend.z + wNorm);
 
   // ── Tier 3: Procedural bark normals ───────────────────────
-  // Compute from each triplanar projection plane, then blend
-  vec3 procNX = computeBarkNormal(wPos.yz * sc);
-  vec3 procNY = computeBarkNormal(wPos.xz * sc);
-  vec3 procNZ = computeBarkNormal(wPos.xy * sc);
+  // Detail from each triplanar projection plane, then blend
+  vec3 procNX, procNY, procNZ;
+  float hX, hY, hZ, creviceX, creviceY, creviceZ;
+  barkDetail(wPos.yz * sc, procNX, hX, creviceX);
+  barkDetail(wPos.xz * sc, procNY, hY, creviceY);
+  barkDetail(wPos.xy * sc, procNZ, hZ, creviceZ);
 
   // Swizzle each to world space (same axes as texture normals)
   vec3 wpX = vec3(0.0, procNX.y, -procNX.x);
@@ -126,18 +114,11 @@ void main() {
   vec3 finalNormal = normalize(texNormal + procNormal * uProceduralWeight);
 
   // ── Bark height for colour/roughness modulation ───────────
-  // Sample height from dominant triplanar axis
-  float hX = barkHeight(wPos.yz * sc);
-  float hY = barkHeight(wPos.xz * sc);
-  float hZ = barkHeight(wPos.xy * sc);
   float height = hX * blend.x + hY * blend.y + hZ * blend.z;
 
   // ── Height-driven colour variation ────────────────────────
-  // Furrows: darker, cooler
-  vec3 furrowTint = vec3(0.12, 0.10, 0.08);
-  // Ridges: lighter, warmer
-  vec3 ridgeTint = vec3(0.45, 0.35, 0.25);
-  vec3 heightTint = mix(furrowTint, ridgeTint, smoothstep(0.2, 0.8, height));
+  // Furrows: darker, cooler. Ridges: lighter, warmer (species tints)
+  vec3 heightTint = mix(uBarkFurrowTint, uBarkRidgeTint, smoothstep(0.2, 0.8, height));
 
   // Modulate texture diffuse with height tint
   vec3 finalDiffuse = diffuse * heightTint * 2.0;
@@ -148,9 +129,48 @@ void main() {
   finalRoughness = mix(finalRoughness, texRoughness, 0.3);
 
   // ── Height-driven AO ─────────────────────────────────────
-  float proceduralAO = smoothstep(0.0, 0.5, height);
+  float proceduralAO = creviceX * blend.x + creviceY * blend.y + creviceZ * blend.z;
   float finalAO = texAO * proceduralAO;
 
+  // ── Cavities ──────────────────────────────────────────────
+  // Rotted heartwood inside hollows and knot holes: dark, rough and
+  // without bark relief, in shadow the deeper it goes
+  float hollow = smoothstep(0.0, 1.0, vHollow);
+  finalDiffuse = mix(finalDiffuse, uBarkFurrowTint * 0.35, hollow);
+  finalDiffuse *= 1.0 - 0.6 * hollow;
+  finalRoughness = mix(finalRoughness, 1.0, hollow);
+  finalNormal = normalize(mix(finalNormal, wNorm, hollow * 0.8));
+
+  // ── Weathering ────────────────────────────────────────────
+  // Damp darkens the base. Moss takes upward and shady faces, forks and
+  // low bark, furrows first, and softens the relief; lichen grows in
+  // crusty rosettes on the exposed ridges between
+  float upward = vWeather.x;
+  float shady = vWeather.y;
+  float groundHeight = vWeather.z;
+  float fork = vWeather.w;
+
+  float damp = (1.0 - smoothstep(0.0, uDampHeight, groundHeight)) * uDampDarkening;
+  finalDiffuse *= 1.0 - damp;
+  finalRoughness = mix(finalRoughness, 0.6, damp);
+
+  float mossNoise = fbm3(wPos * 2.5) * 0.5 + 0.5;
+  float low = 1.0 - smoothstep(0.0, 4.0, groundHeight);
+  float mossCover = uMossAmount * (upward * 0.5 + shady * 0.6 + fork * 0.7 + low * 0.5);
+  float moss = smoothstep(0.35, 0.6, mossCover + (mossNoise - 0.5) * 0.6 + (0.5 - height) * 0.3);
+  moss *= 1.0 - vHollow;
+  finalDiffuse = mix(finalDiffuse, uMossTint * (0.7 + 0.6 * mossNoise), moss);
+  finalRoughness = mix(finalRoughness, 1.0, moss);
+  finalNormal = normalize(mix(finalNormal, wNorm, moss * 0.5));
+
+  float lichenNoise = fbm3(wPos * uLichenScale * 0.5 + 7.3) * 0.5 + 0.5;
+  float lichen = smoothstep(1.0 - uLichenAmount, 1.1 - uLichenAmount, lichenNoise)
+    * smoothstep(0.3, 0.6, height) * (1.0 - moss) * (1.0 - vHollow);
+  if (lichen > 0.0) {
+    lichen *= 1.0 - smoothstep(0.2, 0.45, worley(wPos * uLichenScale).x);
+    finalDiffuse = mix(finalDiffuse, uLichenTint * (0.8 + 0.4 * lichenNoise), lichen * 0.85);
+  }
+
   // ── CSM Outputs ───────────────────────────────────────────
   csm_DiffuseColor = vec4(finalDiffuse, 1.0);
   csm_Roughness = finalRoughness;
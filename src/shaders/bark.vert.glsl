@@ -1,54 +1,59 @@
 #include "noise.glsl"
+#include "wind.glsl"
 
-// Wind uniforms
-uniform float uTime;
-uniform float uWindStrength;
-uniform vec2  uWindDirection;
+// Branch axis the vertex bends with (see BranchWind.js), -1 for none
+attribute float aBranch;
+
+// Growth animation: 0 = seed, 1 = fully grown
+uniform float uGrowth;
+attribute vec4 aGrowth; // xyz = spine point, w = birth time
+
+// Weathering exposure, baked by TrunkMesh: x = facing up, y = facing the
+// shady side, z = height above ground, w = nearness to a fork
+attribute vec4 aWeather;
 
 // Varyings to fragment
 varying vec3 vWorldPos;
 varying vec3 vWorldNrm;
+varying float vHollow;
+varying vec4 vWeather;
 
 void main() {
-  // Read wind encoding from vertex colours
-  float stiffness = color.b;      // 0=base, 1=tips
-  float branchPhase = color.g;    // per-branch random phase
+  float hollow = color.r;         // 0=bark, 1=deep in a cavity
 
   vec3 pos = csm_Position;
   vec3 nrm = csm_Normal;
+  float radius = distance(pos, aGrowth.xyz);
+
+  // ── Growth ────────────────────────────────────────────────
+  // Unborn rings collapse onto the spine, so the growing tip extrudes as a
+  // cone. Born rings fatten over the rest of the timeline; girth (cross-
+  // section area) rather than radius grows linearly, as in the pipe model.
+  float birth = aGrowth.w;
+  float girth = clamp((uGrowth - birth) / (1.0 - birth), 0.0, 1.0);
+  pos = mix(aGrowth.xyz, pos, sqrt(girth));
 
   // ── Tier 2: Medium bark ridge displacement ────────────────
   // Anisotropic noise — higher freq horizontally, lower vertically
-  // creates the vertical fissure pattern of English oak bark
+  // creates the vertical fissure pattern of English oak bark. Under 10 cm
+  // radius it scales down with the branch, so twigs keep their shape.
   vec3 noiseCoord = pos * vec3(8.0, 2.0, 8.0);
   float ridgeDisp = ridgedFBM(noiseCoord, 3);
   float smoothDisp = fbm3(pos * 3.0);
-  float totalDisp = ridgeDisp * 0.015 + smoothDisp * 0.008;
+  float relief = min(1.0, radius / 0.1);
+  float totalDisp = (ridgeDisp * 0.015 + smoothDisp * 0.008) * (1.0 - hollow) * relief;
   pos += nrm * totalDisp;
 
-  // ── Wind displacement ─────────────────────────────────────
-  float weight = stiffness * stiffness;
-
-  // Primary sway
-  float primaryWave = sin(uTime * 0.8 + pos.y * 0.3) * uWindStrength * 1.2;
-  pos.x += primaryWave * uWindDirection.x * weight;
-  pos.z += primaryWave * uWindDirection.y * weight;
-
-  // Secondary per-branch oscillation
-  float sec1 = sin(uTime * 1.975 + branchPhase * 6.2831) * 0.3;
-  float sec2 = sin(uTime * 0.793 + branchPhase * 12.56) * 0.2;
-  float secondary = (sec1 + sec2) * uWindStrength * weight;
-  pos.x += secondary * uWindDirection.x;
-  pos.z += secondary * uWindDirection.y;
-
-  // Gust variation
-  float gust = sin(uTime * 0.15 + pos.x * 0.1 + pos.z * 0.1) * 0.5 + 0.5;
-  pos.x += gust * uWindStrength * weight * 0.15 * uWindDirection.x;
-  pos.z += gust * uWindStrength * weight * 0.15 * uWindDirection.y;
+  // ── Wind ──────────────────────────────────────────────────
+  // Bent through the branch hierarchy, like the leaves and fruit on it
+  applyBranchWind(pos, nrm, aBranch);
 
   csm_Position = pos;
+  csm_Normal = nrm;
 
   // Pass world-space data to fragment
   vWorldPos = (modelMatrix * vec4(pos, 1.0)).xyz;
   vWorldNrm = normalize((modelMatrix * vec4(nrm, 0.0)).xyz);
+  vHollow = hollow;
+  vWeather = aWeather;
 }
@@ -0,0 +1,47 @@
+#include "noise.glsl"
+
+// One tile of bark detail, spanning bark coordinates 0–1 (world position
+// × uTexScale): xy = normal, z = height, w = AO. Normals come from the
+// tileable height so the seams match too.
+#define BARK_HEIGHT tiledBarkHeight
+float tiledBarkHeight(vec2 p);
+
+#include "barkHeight.glsl"
+
+varying vec2 vUv;
+
+// Width of the band along the far edges that cross-fades into the
+// opposite side, as a fraction of the tile
+#define BARK_TILE_BLEND 0.25
+
+// barkHeight made periodic over the unit tile: near the right and top
+// edges it fades into the height one tile back, which is what the left
+// and bottom edges show
+float tiledBarkHeight(vec2 p) {
+  vec2 f = fract(p);
+  vec2 w = smoothstep(1.0 - BARK_TILE_BLEND, 1.0, f);
+
+  float h = barkHeight(f);
+  if (w.x > 0.0) h = mix(h, barkHeight(f - vec2(1.0, 0.0)), w.x);
+  if (w.y > 0.0) {
+    float top = barkHeight(f - vec2(0.0, 1.0));
+    if (w.x > 0.0) top = mix(top, barkHeight(f - vec2(1.0, 1.0)), w.x);
+    h = mix(h, top, w.y);
+  }
+  return h;
+}
+
+void main() {
+  vec3 nrm = computeBarkNormal(vUv);
+  float height = tiledBarkHeight(vUv);
+
+  // Crevice AO is baked rather than derived from the filtered height, so
+  // distant mips average the shading, not the height it came from
+  float ao = smoothstep(0.0, 0.5, height);
+
+  gl_FragColor = vec4(
+    nrm.xy * 0.5 + 0.5,
+    (height - BARK_HEIGHT_MIN) / BARK_HEIGHT_RANGE,
+    ao
+  );
+}
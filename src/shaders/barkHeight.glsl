@@ -0,0 +1,65 @@
+// ── Bark Height ──────────────────────────────────────────────
+// Shared between the bark shader's live procedural path and the bark
+// detail bake (BarkDetailBaker.js). Include noise.glsl first.
+
+uniform vec2 uBarkStretch;
+
+// The bake stores height in 8 bits remapped from this range, which
+// covers everything barkHeight returns
+#define BARK_HEIGHT_MIN (-0.25)
+#define BARK_HEIGHT_RANGE 1.25
+
+// The height field computeBarkNormal differentiates — the bake declares
+// its tileable version and defines this before including
+#ifndef BARK_HEIGHT
+#define BARK_HEIGHT barkHeight
+#endif
+
+// Defines fine bark surface: vertical fissures, domain-warped ridges
+float barkHeight(vec2 p) {
+  // Stretch: wider horizontally, compressed vertically (oak default)
+  // Creates vertical fissure pattern characteristic of English oak;
+  // species with horizontal lenticels swap the axes
+  vec2 stretched = p * uBarkStretch;
+
+  // Domain warp for organic irregularity
+  vec2 q = vec2(
+    fbm2D_3(stretched),
+    fbm2D_3(stretched + vec2(5.2, 1.3))
+  );
+  vec2 warped = stretched + 1.5 * q;
+
+  // Primary ridges: ridged fBM creates sharp furrows
+  float ridges = ridgedFBM2D(warped * vec2(1.0, 0.3), 4);
+
+  // Secondary detail: smaller-scale cracks
+  float detail = fbm2D_3(warped * 4.0) * 0.15;
+
+  // Tertiary: very fine grain
+  float grain = snoise2D(warped * 16.0) * 0.05;
+
+  return ridges * 0.7 + detail + grain;
+}
+
+// ── Compute procedural bark normal from height via central differences ──
+vec3 computeBarkNormal(vec2 pos) {
+  // Coarse normals: ridge-scale
+  float eps1 = 0.003;
+  float hL1 = BARK_HEIGHT(pos - vec2(eps1, 0.0));
+  float hR1 = BARK_HEIGHT(pos + vec2(eps1, 0.0));
+  float hD1 = BARK_HEIGHT(pos - vec2(0.0, eps1));
+  float hU1 = BARK_HEIGHT(pos + vec2(0.0, eps1));
+  vec3 coarseNrm = vec3(hL1 - hR1, hD1 - hU1, 2.0 * eps1);
+
+  // Fine normals: micro-crack detail
+  float eps2 = 0.001;
+  float hL2 = BARK_HEIGHT(pos - vec2(eps2, 0.0));
+  float hR2 = BARK_HEIGHT(pos + vec2(eps2, 0.0));
+  float hD2 = BARK_HEIGHT(pos - vec2(0.0, eps2));
+  float hU2 = BARK_HEIGHT(pos + vec2(0.0, eps2));
+  vec3 fineNrm = vec3(hL2 - hR2, hD2 - hU2, 2.0 * eps2);
+
+  // Combine: coarse provides structure, fine adds crispness
+  vec3 combined = normalize(coarseNrm) + normalize(fineNrm) * 0.4;
+  return normalize(combined);
+}
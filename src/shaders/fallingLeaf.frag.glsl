@@ -0,0 +1,31 @@
+#include "leafShading.glsl"
+
+varying float vColourVariation;
+varying vec2 vLeafUv;
+varying float vFade;
+varying float vWeathered;
+
+uniform sampler2D uLeafTexture;
+
+void main() {
+  // Alpha test
+  vec4 texColour = texture2D(uLeafTexture, vLeafUv);
+  if (texColour.a < 0.5) discard;
+
+  // Crumble: cells of the blade drop out in a fixed random order
+  vec2 cell = floor(vLeafUv * 12.0);
+  if (fract(sin(dot(cell, vec2(12.9898, 78.233))) * 43758.5453) > vFade) discard;
+
+  // === COLOUR ===
+  // The canopy's colour for this leaf, at least half turned — even in
+  // summer the leaves that drop are the yellowing ones — drying to
+  // brown on the ground
+  vec3 leafColour = turnedLeafColour(vColourVariation, max(0.5, autumnTurn(vColourVariation)));
+  leafColour = mix(leafColour, leafColour * vec3(0.55, 0.42, 0.3), vWeathered);
+
+  float texLum = dot(texColour.rgb, vec3(0.299, 0.587, 0.114));
+  leafColour *= 0.7 + texLum * 0.6;
+
+  csm_DiffuseColor = vec4(leafColour, 1.0);
+  csm_Roughness = 0.75;
+}
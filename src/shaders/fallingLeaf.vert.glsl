@@ -0,0 +1,71 @@
+#include "wind.glsl"
+
+// Per-instance attributes (see FallingLeaves.js)
+attribute vec4 aOrigin;   // xyz = where the leaf let go, w = uTime it did
+attribute vec4 aRotation; // its orientation on the tree, as a quaternion
+attribute vec4 aFall;     // x = sink speed, y = flutter radius, z = flutter rate, w = phase
+attribute vec2 aLeaf;     // x = scale, y = colour variation
+
+// Varyings to fragment
+varying float vColourVariation;
+varying vec2 vLeafUv;
+varying float vFade;
+varying float vWeathered;
+
+uniform float uLeafDrift;      // metres downwind per second per unit wind
+uniform float uFallenLifetime; // seconds a leaf lies on the ground
+uniform float uGroundHeight;
+
+vec3 rotateByQuaternion(vec3 v, vec4 q) {
+  return v + 2.0 * cross(q.xyz, cross(q.xyz, v) + q.w * v);
+}
+
+// Orientation while falling: the pose it left the tree in, tumbling
+// about a tilted axis of its own
+vec3 tumble(vec3 v, float airborne) {
+  vec3 axis = normalize(vec3(sin(aFall.w * 3.1), 0.4, cos(aFall.w * 2.3)));
+  return rotateAxisAngle(rotateByQuaternion(v, aRotation), axis, airborne * aFall.z * 1.6);
+}
+
+void main() {
+  vColourVariation = aLeaf.y;
+  vLeafUv = uv;
+
+  float age = uTime - aOrigin.w;
+  float fallTime = max(0.0, aOrigin.y - uGroundHeight) / aFall.x;
+  float airborne = clamp(age, 0.0, fallTime);
+  float settled = age - fallTime;
+
+  // === Drift and flutter ===
+  // The wind carries the leaf downwind as it sinks, swinging round a
+  // small circle that starts where it let go
+  vec3 windDir = vec3(uWindDirection.x, 0.0, uWindDirection.y);
+  float swing = aFall.z * airborne + aFall.w;
+  vec3 flutter = (vec3(cos(swing), 0.0, sin(swing)) - vec3(cos(aFall.w), 0.0, sin(aFall.w))) * aFall.y;
+  vec3 centre = aOrigin.xyz + windDir * uWindStrength * uLeafDrift * airborne + flutter;
+  // Lift each settled leaf a hair above the last so the drift doesn't z-fight
+  centre.y = max(aOrigin.y - aFall.x * airborne, uGroundHeight + 0.005 + fract(aFall.w * 7.3) * 0.01);
+
+  // === Settling ===
+  // Over its last half second of fall the leaf stops tumbling and
+  // flattens onto the ground, face up or down as it was, at a yaw of its own
+  float spin = min(airborne, max(0.0, fallTime - 0.5));
+  float side = tumble(vec3(0.0, 0.0, 1.0), max(0.0, fallTime - 0.5)).y < 0.0 ? -1.0 : 1.0;
+  vec3 flatPos = rotateAxisAngle(vec3(position.x, position.z * side, -position.y * side), vec3(0.0, 1.0, 0.0), aFall.w);
+  vec3 flatNormal = vec3(0.0, side, 0.0);
+  float land = smoothstep(fallTime - 0.5, fallTime, age);
+
+  vec3 pos = mix(tumble(position, spin), flatPos, land);
+  vec3 nrm = normalize(mix(tumble(normal, spin), flatNormal, land));
+
+  // === Fade ===
+  // Leaves on the ground brown over their lifetime and crumble away
+  // through its last third
+  vWeathered = smoothstep(0.0, uFallenLifetime * 0.6, settled);
+  vFade = 1.0 - smoothstep(uFallenLifetime * 0.66, uFallenLifetime, settled);
+  // Free pool slots and gone leaves collapse to nothing
+  float alive = step(0.0, age) * step(0.001, vFade);
+
+  csm_Position = centre + pos * aLeaf.x * alive;
+  csm_Normal = nrm;
+}
@@ -1,7 +1,12 @@
+#include "wind.glsl"
+#include "leafLod.glsl"
+
 // Per-instance attributes
 attribute float aWindPhase;
 attribute float aColourVariation;
 attribute float aBranchStiffness;
+attribute float aBirth;
+attribute float aBranch; // branch axis the leaf grows on (see BranchWind.js)
 
 // Varyings to fragment
 varying float vColourVariation;
@@ -9,48 +14,59 @@ varying vec2 vLeafUv;
 varying vec3 vWorldPosition;
 varying vec3 vWorldNormal;
 varying vec3 vViewDir;
+varying float vLodFade;
+
+// Growth animation: 0 = bare, 1 = fully leafed
+uniform float uGrowth;
+uniform float uUnfurlSpan;
 
-uniform float uTime;
-uniform vec2  uWindDirection;
-uniform float uWindStrength;
+// Seasons: 0–1 progress of bud burst and of leaf fall through the canopy
+uniform float uLeafOut;
+uniform float uLeafDrop;
 
 void main() {
   vColourVariation = aColourVariation;
   vLeafUv = uv;
 
   vec3 pos = csm_Position;
+
+  // === Unfurl ===
+  // Each leaf opens over uUnfurlSpan of the timeline, starting in birth
+  // order so the last-born twigs still finish at uGrowth = 1. The blade
+  // lengthens before it widens.
+  float unfurl = clamp((uGrowth - aBirth * (1.0 - uUnfurlSpan)) / uUnfurlSpan, 0.0, 1.0);
+
+  // === Season ===
+  // Leaves break bud and fall one by one in colour-variation order — the
+  // same order they turn in autumn — so the canopy fills and thins gradually
+  float leafOut = smoothstep(aColourVariation * 0.5, aColourVariation * 0.5 + 0.5, uLeafOut);
+  float fallen = smoothstep(aColourVariation * 0.7, aColourVariation * 0.7 + 0.3, uLeafDrop);
+  unfurl *= leafOut * (1.0 - fallen);
+
+  pos.x *= unfurl * unfurl;
+  pos.yz *= unfurl;
+
   float stiffness = aBranchStiffness;
   float phase = aWindPhase;
-  vec3 windDir = normalize(vec3(uWindDirection.x, 0.0, uWindDirection.y));
-
-  // === TIER 1: Primary sway (whole tree bends) ===
-  float primarySway = sin(uTime * 0.5) * uWindStrength * stiffness;
-  pos += windDir * primarySway;
-
-  // === TIER 2: Secondary branch oscillation ===
-  float sec1 = sin(uTime * 1.975 + phase) * 0.3;
-  float sec2 = sin(uTime * 0.793 + phase * 2.0) * 0.2;
-  float sec3 = sin(uTime * 0.375 + phase * 0.5) * 0.1;
-  float secondary = (sec1 + sec2 + sec3) * uWindStrength * stiffness;
-  pos.x += secondary * windDir.x;
-  pos.z += secondary * windDir.z;
-  // Slight vertical bob
-  pos.y += sin(uTime * 1.2 + phase * 3.0) * uWindStrength * stiffness * 0.05;
-
-  // === TIER 3: Tertiary leaf flutter ===
-  // Edges move more than centre
+
+  // === Leaf flutter ===
+  // Edges move more than centre; outer leaves more than inner
   vec2 centreOffset = uv - 0.5;
   float edgeDist = length(centreOffset);
 
   float flutter = sin(uTime * 8.0 + phase * 12.56) * 0.02 * edgeDist;
   float flutter2 = cos(uTime * 11.3 + phase * 7.85) * 0.015 * edgeDist;
-  pos += csm_Normal * (flutter + flutter2) * uWindStrength;
+  pos += csm_Normal * (flutter + flutter2) * uWindStrength * (0.5 + stiffness);
 
-  // === GUST variation ===
-  vec3 worldPos = (modelMatrix * vec4(pos, 1.0)).xyz;
-  float gust = sin(worldPos.x * 0.08 + worldPos.z * 0.06 + uTime * 0.2);
-  gust = gust * gust * sign(gust) * 0.3;
-  pos += windDir * gust * uWindStrength * stiffness;
+  // === Branch wind ===
+  // The leaf rides its twig: its anchor is bent through the branch
+  // hierarchy like the bark there, and the offset brought into the
+  // instance's space
+  vec3 anchor = instanceMatrix[3].xyz;
+  vec3 bent = anchor;
+  vec3 anchorNrm = vec3(0.0, 1.0, 0.0);
+  applyBranchWind(bent, anchorNrm, aBranch);
+  pos += inverse(mat3(instanceMatrix)) * (bent - anchor);
 
   csm_Position = pos;
 
@@ -58,4 +74,5 @@ void main() {
   vWorldPosition = (modelMatrix * vec4(pos, 1.0)).xyz;
   vWorldNormal = normalize((modelMatrix * vec4(csm_Normal, 0.0)).xyz);
   vViewDir = normalize(cameraPosition - vWorldPosition);
+  vLodFade = leafLodFade(bent);
 }
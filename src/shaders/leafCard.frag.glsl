@@ -0,0 +1,40 @@
+#include "leafShading.glsl"
+#include "leafLod.glsl"
+
+varying vec2 vCardUv;
+varying vec2 vCardTile;
+varying float vCardSeed;
+varying vec3 vWorldNormal;
+varying vec3 vViewDir;
+varying float vLodFade;
+
+uniform sampler2D uCardTexture;
+uniform float uLeafOut;
+uniform float uLeafDrop;
+
+void main() {
+  // Leaves cover what the cards don't
+  if (lodDither(gl_FragCoord.xy) >= vLodFade) discard;
+
+  // The cluster is drawn in a disc, which the card spins within
+  vec2 local = vCardUv - 0.5;
+  if (dot(local, local) > 0.25) discard;
+
+  // Atlas texel: r = luminance, g = which leaf, b = how far in front, a = cover
+  vec4 texel = texture2D(uCardTexture, (vCardUv + vCardTile) * 0.5);
+  if (texel.a < 0.5) discard;
+
+  // Each leaf drawn on the card stands for a leaf of the canopy, so it
+  // breaks bud, turns and falls as one (see leaf.vert.glsl)
+  float variation = fract(texel.g + vCardSeed);
+  float leafOut = smoothstep(variation * 0.5, variation * 0.5 + 0.5, uLeafOut);
+  float fallen = smoothstep(variation * 0.7, variation * 0.7 + 0.3, uLeafDrop);
+  if (leafOut * (1.0 - fallen) < 0.5) discard;
+
+  // Leaves at the back of the cluster sit in its shade
+  vec3 leafColour = seasonalLeafColour(variation) * (0.7 + texel.r * 0.6) * texel.b;
+
+  csm_DiffuseColor = vec4(leafColour, 1.0);
+  csm_Emissive = leafTranslucency(leafColour, vWorldNormal, vViewDir);
+  csm_Roughness = 0.7;
+}
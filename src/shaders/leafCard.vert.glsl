@@ -0,0 +1,53 @@
+#include "wind.glsl"
+#include "leafLod.glsl"
+
+// Per-instance attributes (see LeafSystem._createCardMesh)
+attribute vec4 aCardCentre; // xyz = centre of the leaf cluster, w = its radius
+attribute vec4 aCardLeaf;   // x = random 0–1, y = mean leaf birth, z = branch axis, w = atlas tile
+
+// Varyings to fragment
+varying vec2 vCardUv;
+varying vec2 vCardTile;
+varying float vCardSeed;
+varying vec3 vWorldNormal;
+varying vec3 vViewDir;
+varying float vLodFade;
+
+// Growth animation: 0 = bare, 1 = fully leafed
+uniform float uGrowth;
+uniform float uUnfurlSpan;
+uniform vec3 uCrownCentre;
+
+void main() {
+  vCardSeed = aCardLeaf.x;
+  vCardTile = vec2(mod(aCardLeaf.w, 2.0), floor(aCardLeaf.w / 2.0));
+
+  // Each card turns its cluster a different way round
+  float spin = aCardLeaf.x * 6.2832;
+  vCardUv = mat2(cos(spin), sin(spin), -sin(spin), cos(spin)) * (uv - 0.5) + 0.5;
+
+  // === Unfurl ===
+  // The card grows in with its cluster's leaves, on average
+  float unfurl = clamp((uGrowth - aCardLeaf.y * (1.0 - uUnfurlSpan)) / uUnfurlSpan, 0.0, 1.0);
+
+  // === Branch wind ===
+  // The whole card rides the branch its cluster grows on
+  vec3 centre = aCardCentre.xyz;
+  vec3 centreNrm = vec3(0.0, 1.0, 0.0);
+  applyBranchWind(centre, centreNrm, aCardLeaf.z);
+
+  // === Billboard ===
+  // Facing the camera rendering it — the sun in the shadow pass, which
+  // casts the cluster's full silhouette
+  vec3 right = vec3(viewMatrix[0][0], viewMatrix[1][0], viewMatrix[2][0]);
+  vec3 up = vec3(viewMatrix[0][1], viewMatrix[1][1], viewMatrix[2][1]);
+  float size = aCardCentre.w * 2.0 * unfurl;
+  csm_Position = centre + (right * position.x + up * position.y) * size;
+
+  // Light the card as part of a rounded crown rather than a flat sheet
+  vViewDir = normalize(cameraPosition - centre);
+  vWorldNormal = normalize(vViewDir + normalize(centre - uCrownCentre) * 1.5);
+  csm_Normal = vWorldNormal;
+
+  vLodFade = leafLodFade(centre);
+}
@@ -0,0 +1,27 @@
+#include "leafLod.glsl"
+
+// Shadow pass for the leaf cards: the same cut-outs as leafCard.frag.glsl
+
+varying vec2 vCardUv;
+varying vec2 vCardTile;
+varying float vCardSeed;
+varying float vLodFade;
+
+uniform sampler2D uCardTexture;
+uniform float uLeafOut;
+uniform float uLeafDrop;
+
+void main() {
+  if (lodDither(gl_FragCoord.xy) >= vLodFade) discard;
+
+  vec2 local = vCardUv - 0.5;
+  if (dot(local, local) > 0.25) discard;
+
+  vec4 texel = texture2D(uCardTexture, (vCardUv + vCardTile) * 0.5);
+  if (texel.a < 0.5) discard;
+
+  float variation = fract(texel.g + vCardSeed);
+  float leafOut = smoothstep(variation * 0.5, variation * 0.5 + 0.5, uLeafOut);
+  float fallen = smoothstep(variation * 0.7, variation * 0.7 + 0.3, uLeafDrop);
+  if (leafOut * (1.0 - fallen) < 0.5) discard;
+}
@@ -0,0 +1,14 @@
+#include "leafLod.glsl"
+
+// Shadow pass for the leaves: the same cut-outs as leaf.frag.glsl
+
+varying vec2 vLeafUv;
+varying float vLodFade;
+
+uniform sampler2D uLeafTexture;
+
+void main() {
+  if (lodDither(gl_FragCoord.xy) < vLodFade) discard;
+
+  if (texture2D(uLeafTexture, vLeafUv).a < 0.5) discard;
+}
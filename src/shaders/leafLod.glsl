@@ -0,0 +1,19 @@
+// ── Leaf Level of Detail ─────────────────────────────────────
+// Shared by the leaf and leaf card shaders: past uLodRange.x from the
+// camera the cards fade in over the leaves, which are gone by uLodRange.y.
+// The two dither with the same screen-space pattern, so between them
+// they cover each pixel once. uLodCamera is the view camera's position,
+// not cameraPosition, so shadow passes fade the same way.
+
+uniform vec3 uLodCamera;
+uniform vec2 uLodRange;
+
+// 0 = leaves, 1 = cards
+float leafLodFade(vec3 worldPosition) {
+  return smoothstep(uLodRange.x, uLodRange.y, distance(worldPosition, uLodCamera));
+}
+
+// Interleaved gradient noise, 0–1 per pixel
+float lodDither(vec2 fragCoord) {
+  return fract(52.9829189 * fract(dot(fragCoord, vec2(0.06711056, 0.00583715))));
+}
@@ -0,0 +1,57 @@
+// ── Leaf Shading ─────────────────────────────────────────────
+// Shared by the leaf, leaf card and falling leaf shaders, so leaves, the
+// cards that stand in for them at a distance and the leaves that let go
+// colour and light alike.
+
+uniform vec3 uLightDirection;
+uniform float uTranslucencyPower;
+uniform float uTranslucencyScale;
+uniform float uSeasonMix;   // autumn progress through the canopy
+uniform float uFresh;       // spring: how new the leaves still are
+uniform float uBlossom;     // share of the crown in blossom
+uniform vec3 uBlossomTint;
+uniform vec3 uLeafPalette[3];
+uniform vec3 uAutumnPalette[3];
+
+// Blend a dark → mid → light palette by variation in [0, 1]
+vec3 samplePalette(vec3 dark, vec3 mid, vec3 light, float t) {
+  if (t < 0.5) return mix(dark, mid, t * 2.0);
+  return mix(mid, light, (t - 0.5) * 2.0);
+}
+
+// How far autumn has turned a leaf — it reaches each in colour-variation order
+float autumnTurn(float variation) {
+  return smoothstep(variation * 0.6, variation * 0.6 + 0.4, uSeasonMix);
+}
+
+// The species' summer tone for a leaf, turned `turn` of the way to its autumn one
+vec3 turnedLeafColour(float variation, float turn) {
+  vec3 leafColour = samplePalette(uLeafPalette[0], uLeafPalette[1], uLeafPalette[2], variation);
+  vec3 autumnColour = samplePalette(uAutumnPalette[0], uAutumnPalette[1], uAutumnPalette[2], variation);
+  return mix(leafColour, autumnColour, turn);
+}
+
+// === COLOUR VARIATION — 3 species tones, through the seasons ===
+// In spring young leaves open pale and yellowish, and blossom covers
+// part of the crown
+vec3 seasonalLeafColour(float variation) {
+  float turn = autumnTurn(variation);
+  vec3 leafColour = turnedLeafColour(variation, turn);
+  leafColour = mix(leafColour, uLeafPalette[2] * vec3(1.3, 1.35, 0.8), uFresh * (1.0 - turn));
+  if (variation < uBlossom) leafColour = uBlossomTint;
+  return leafColour;
+}
+
+// === TRANSLUCENCY / SSS ===
+// Warm yellow-green glow when backlit
+vec3 leafTranslucency(vec3 leafColour, vec3 worldNormal, vec3 viewDir) {
+  vec3 L = normalize(uLightDirection);
+  vec3 V = normalize(viewDir);
+  vec3 N = normalize(worldNormal);
+
+  // Distorted half-vector (Barré-Brisebois / Bouchard approximation)
+  vec3 H = normalize(L + N * 0.3);
+  float VdotH = pow(clamp(dot(V, -H), 0.0, 1.0), uTranslucencyPower);
+
+  return leafColour * vec3(1.3, 1.2, 0.5) * VdotH * uTranslucencyScale;
+}
@@ -1,38 +1,63 @@
 // ── Wind Functions ───────────────────────────────────────────
-// Shared between bark and leaf shaders.
-// Uses vertex color channels:
-//   R = 0 for wood (reserved for leaf edge flex)
-//   G = per-branch phase offset
-//   B = stiffness (0=base/rigid, 1=tip/flexible)
+// Shared between bark and leaf shaders; BranchWind.bend mirrors
+// applyBranchWind on the CPU for fruit.
+//
+// uBranchWind holds three texels per branch axis (see bakeBranchWind):
+//   0: pivot xyz, w = parent axis (-1 for the trunk)
+//   1: unit direction xyz pivot → tip, w = pivot-to-tip length
+//   2: x = flex, y = phase, z = sway frequency
+
+#define WIND_AXES_PER_ROW 256
+#define MAX_WIND_LEVELS 16
 
 uniform float uTime;
 uniform float uWindStrength;  // 0–1, overall wind intensity
 uniform vec2  uWindDirection; // normalised XZ direction
+uniform sampler2D uBranchWind;
+
+vec3 rotateAxisAngle(vec3 v, vec3 axis, float angle) {
+  float c = cos(angle);
+  float s = sin(angle);
+  return v * c + cross(axis, v) * s + axis * dot(axis, v) * (1.0 - c);
+}
 
-vec3 applyWind(vec3 position, float stiffness, float branchPhase) {
-  // Primary sway — large-scale trunk/branch movement
-  float primaryFreq = 0.8;
-  float primaryAmp = uWindStrength * 1.2;
-  float primaryWave = sin(uTime * primaryFreq + position.y * 0.3) * primaryAmp;
+// Rotate rel (and nrm) toward force, by angle scaled by how square the
+// force meets the branch
+void bendToward(inout vec3 rel, inout vec3 nrm, vec3 dir, vec3 force, float angle) {
+  vec3 axis = cross(dir, force);
+  float leverage = length(axis);
+  if (leverage > 1e-4) {
+    axis /= leverage;
+    rel = rotateAxisAngle(rel, axis, angle * leverage);
+    nrm = rotateAxisAngle(nrm, axis, angle * leverage);
+  }
+}
 
-  // Weight by stiffness — base doesn't move, tips move most
-  float weight = stiffness * stiffness; // quadratic falloff
+// Bend a point through its branch axis, then each ancestor down to the
+// trunk. Each axis bends about its pivot, quadratically toward its tip.
+void applyBranchWind(inout vec3 pos, inout vec3 nrm, float branch) {
+  vec3 windDir = vec3(uWindDirection.x, 0.0, uWindDirection.y);
+  vec3 crossWind = vec3(-uWindDirection.y, 0.0, uWindDirection.x);
 
-  vec3 offset = vec3(0.0);
-  offset.x += primaryWave * uWindDirection.x * weight;
-  offset.z += primaryWave * uWindDirection.y * weight;
+  int id = int(branch);
+  for (int level = 0; level < MAX_WIND_LEVELS; level++) {
+    if (id < 0) break;
+    ivec2 texel = ivec2((id % WIND_AXES_PER_ROW) * 3, id / WIND_AXES_PER_ROW);
+    vec4 pivotParent = texelFetch(uBranchWind, texel, 0);
+    vec4 dirChord = texelFetch(uBranchWind, texel + ivec2(1, 0), 0);
+    vec4 motion = texelFetch(uBranchWind, texel + ivec2(2, 0), 0);
 
-  // Secondary oscillation — per-branch variation
-  float secFreq = 2.3;
-  float secAmp = uWindStrength * 0.3;
-  float secWave = sin(uTime * secFreq + branchPhase * 6.2831) * secAmp;
-  offset.x += secWave * uWindDirection.x * weight * 0.5;
-  offset.z += secWave * uWindDirection.y * weight * 0.5;
+    vec3 rel = pos - pivotParent.xyz;
+    float along = clamp(dot(rel, dirChord.xyz) / dirChord.w, 0.0, 1.0);
+    float amount = uWindStrength * motion.x * along * along;
 
-  // Gust variation from noise (low frequency)
-  float gustPhase = uTime * 0.15 + position.x * 0.1 + position.z * 0.1;
-  float gust = sin(gustPhase) * 0.5 + 0.5; // 0–1
-  offset *= 0.7 + 0.3 * gust;
+    // Gusts roll through the crown downwind
+    float gust = 0.6 + 0.4 * sin(uTime * 0.35 - dot(pivotParent.xz, uWindDirection) * 0.12);
+    float t = uTime * motion.z + motion.y;
+    bendToward(rel, nrm, dirChord.xyz, windDir, amount * (gust * 0.6 + sin(t) * 0.4));
+    bendToward(rel, nrm, dirChord.xyz, crossWind, amount * sin(t * 1.37 + motion.y) * 0.25);
 
-  return position + offset;
+    pos = pivotParent.xyz + rel;
+    id = int(pivotParent.w);
+  }
 }
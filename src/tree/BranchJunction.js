@@ -6,6 +6,10 @@ import * as THREE from 'three';
  * strongest on the underside of the branch attachment.
  */
 
+// Scratch vectors — called for every vertex near a fork
+const _toVertex = new THREE.Vector3();
+const _radial = new THREE.Vector3();
+
 /**
  * Compute collar displacement for a vertex near a branch junction.
  *
@@ -17,10 +21,10 @@ import * as THREE from 'three';
  * @returns {number} displacement along surface normal
  */
 export function branchCollarDisplacement(vertexPos, junctionPoint, branchDirection, branchRadius, collarSize) {
-  const toVertex = vertexPos.clone().sub(junctionPoint);
+  const toVertex = _toVertex.subVectors(vertexPos, junctionPoint);
   const distAlongBranch = toVertex.dot(branchDirection);
-  const radialVec = toVertex.clone().sub(branchDirection.clone().multiplyScalar(distAlongBranch));
-  const distFromAxis = radialVec.length();
+  const radialVec = _radial.copy(branchDirection).multiplyScalar(distAlongBranch);
+  const distFromAxis = radialVec.subVectors(toVertex, radialVec).length();
 
   // Collar strongest close to junction, falls off along both trunk and branch
   const axialFalloff = Math.exp(-Math.abs(distAlongBranch) / (branchRadius * 2));
@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+
+/**
+ * Branch axes per row of the wind texture; each axis takes three texels.
+ * Must match WIND_AXES_PER_ROW in wind.glsl.
+ */
+export const WIND_AXES_PER_ROW = 256;
+
+/**
+ * Deepest chain of branches the wind bends through — axes further from
+ * the trunk lose their outermost ancestors. Must match wind.glsl.
+ */
+const MAX_WIND_LEVELS = 16;
+
+/**
+ * Bake per-branch wind data from a skeleton, pivot-painter style. Each
+ * branch axis (see TreeSkeleton.getBranchAxes) gets three RGBA float
+ * texels:
+ *
+ *   0: pivot xyz — where the axis leaves its parent (the trunk: its base)
+ *      w = parent axis index, -1 for the trunk
+ *   1: unit direction xyz from pivot to tip, w = pivot-to-tip length
+ *   2: x = flex (bend per unit wind), y = phase, z = sway frequency
+ *
+ * Axis indices follow getBranchAxes order, parents first, as do the
+ * aBranch attributes TrunkMesh and LeafSystem write.
+ *
+ * @param {import('./TreeSkeleton.js').TreeSkeleton} skeleton
+ * @returns {{ count: number, width: number, height: number, data: Float32Array, nodeAxis: Int32Array }}
+ *   nodeAxis maps each node to the axis it lies on (forks belong to their parent's)
+ */
+export function bakeBranchWind(skeleton) {
+  const nodes = skeleton.getNodes();
+  const axes = skeleton.getBranchAxes();
+  const pathLengths = skeleton.getPathLengths();
+
+  const width = WIND_AXES_PER_ROW * 3;
+  const height = Math.max(1, Math.ceil(axes.length / WIND_AXES_PER_ROW));
+  const data = new Float32Array(width * height * 4);
+  const nodeAxis = new Int32Array(nodes.length).fill(-1);
+  const levels = new Int32Array(axes.length);
+  const dir = new THREE.Vector3();
+  let deepest = 0;
+
+  axes.forEach((axis, a) => {
+    const isTrunk = axis[0] === 0 && axis[1] === skeleton.getMainChild(0);
+    const parent = isTrunk ? -1 : nodeAxis[axis[0]];
+    for (let i = isTrunk ? 0 : 1; i < axis.length; i++) nodeAxis[axis[i]] = a;
+    levels[a] = parent < 0 ? 0 : levels[parent] + 1;
+    deepest = Math.max(deepest, levels[a]);
+
+    const pivot = nodes[axis[0]].position;
+    const tip = nodes[axis[axis.length - 1]].position;
+    dir.subVectors(tip, pivot);
+    const chord = Math.max(1e-3, dir.length());
+    dir.divideScalar(chord);
+
+    // Thin axes bend most and long ones sway slowest: a few hundredths of
+    // a radian per unit wind for the trunk, a few tenths for twigs
+    const length = pathLengths[axis[axis.length - 1]] - pathLengths[axis[0]];
+    const thickness = Math.max(0.01, nodes[axis[1]].thickness);
+    const flex = Math.min(0.3, 0.004 * Math.sqrt(length) / thickness ** 1.2);
+    const frequency = 0.5 + 3 / (1 + length);
+    const phase = ((a * 0.618034) % 1) * Math.PI * 2;
+
+    const base = (Math.floor(a / WIND_AXES_PER_ROW) * width + (a % WIND_AXES_PER_ROW) * 3) * 4;
+    data.set([pivot.x, pivot.y, pivot.z, parent, dir.x, dir.y, dir.z, chord, flex, phase, frequency, 0], base);
+  });
+
+  if (deepest >= MAX_WIND_LEVELS) {
+    console.warn(`[BranchWind] ${deepest + 1} branch levels, wind follows the outer ${MAX_WIND_LEVELS}`);
+  }
+  return { count: axes.length, width, height, data, nodeAxis };
+}
+
+const _rel = new THREE.Vector3();
+const _pivot = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _windDir = new THREE.Vector3();
+const _crossWind = new THREE.Vector3();
+
+/**
+ * Rotate `rel` toward `force` about the pivot, by `angle` scaled by how
+ * square the force meets the branch.
+ */
+function bendToward(rel, dir, force, angle) {
+  _axis.crossVectors(dir, force);
+  const leverage = _axis.length();
+  if (leverage > 1e-4) rel.applyAxisAngle(_axis.divideScalar(leverage), angle * leverage);
+}
+
+/**
+ * BranchWind — hierarchical wind shared by everything on the tree.
+ *
+ * Each branch axis bends about its pivot, more toward its tip, and takes
+ * everything growing from it along; a vertex is bent by its own axis and
+ * then by each ancestor down to the trunk (wind.glsl). Bark vertices and
+ * leaves carry the axis they sit on, so leaves stay on their twigs, and
+ * fruit follow their branch tip through the same function on the CPU.
+ *
+ * The uniforms are shared by the bark and leaf materials, so all parts
+ * run on one clock and one wind.
+ */
+export class BranchWind {
+  constructor() {
+    this.uniforms = {
+      uTime: { value: 0 },
+      uWindStrength: { value: 0.3 },
+      uWindDirection: { value: new THREE.Vector2(1.0, 0.3).normalize() },
+      uBranchWind: { value: null },
+    };
+    this.baked = null;
+  }
+
+  /**
+   * (Re)bake from the skeleton — after generation and after every edit,
+   * before trunk and leaves are rebuilt.
+   * @param {import('./TreeSkeleton.js').TreeSkeleton} skeleton
+   */
+  bake(skeleton) {
+    this.baked = bakeBranchWind(skeleton);
+    const { data, width, height } = this.baked;
+
+    this.uniforms.uBranchWind.value?.dispose();
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    this.uniforms.uBranchWind.value = texture;
+  }
+
+  /**
+   * Branch axis a node moves with.
+   * @param {number} nodeIndex
+   * @returns {number}
+   */
+  branchOf(nodeIndex) {
+    return this.baked.nodeAxis[nodeIndex];
+  }
+
+  /**
+   * Where the wind carries a rest position on a branch — the CPU twin of
+   * applyBranchWind in wind.glsl.
+   * @param {THREE.Vector3} point - rest position
+   * @param {number} branch - axis index, -1 for none
+   * @param {THREE.Vector3} [out]
+   * @param {number} [time] - defaults to the current uTime
+   * @returns {THREE.Vector3} out
+   */
+  bend(point, branch, out = new THREE.Vector3(), time = this.uniforms.uTime.value) {
+    const { data, width } = this.baked;
+    const strength = this.uniforms.uWindStrength.value;
+    const wind = this.uniforms.uWindDirection.value;
+    _windDir.set(wind.x, 0, wind.y);
+    _crossWind.set(-wind.y, 0, wind.x);
+
+    out.copy(point);
+    let id = branch;
+    for (let level = 0; level < MAX_WIND_LEVELS && id >= 0; level++) {
+      const base = (Math.floor(id / WIND_AXES_PER_ROW) * width + (id % WIND_AXES_PER_ROW) * 3) * 4;
+      _pivot.fromArray(data, base);
+      _dir.fromArray(data, base + 4);
+      const chord = data[base + 7];
+      const flex = data[base + 8];
+      const phase = data[base + 9];
+      const frequency = data[base + 10];
+
+      _rel.subVectors(out, _pivot);
+      const along = Math.min(1, Math.max(0, _rel.dot(_dir) / chord));
+      const amount = strength * flex * along * along;
+
+      // Gusts roll through the crown downwind
+      const gust = 0.6 + 0.4 * Math.sin(time * 0.35 - (_pivot.x * wind.x + _pivot.z * wind.y) * 0.12);
+      const t = time * frequency + phase;
+      bendToward(_rel, _dir, _windDir, amount * (gust * 0.6 + Math.sin(t) * 0.4));
+      bendToward(_rel, _dir, _crossWind, amount * Math.sin(t * 1.37 + phase) * 0.25);
+
+      out.addVectors(_pivot, _rel);
+      id = data[base + 3];
+    }
+    return out;
+  }
+
+  /**
+   * Advance the wind clock — call each frame.
+   */
+  update(time) {
+    this.uniforms.uTime.value = time;
+  }
+
+  dispose() {
+    this.uniforms.uBranchWind.value?.dispose();
+  }
+}
@@ -4,6 +4,17 @@
  * The harmonics' phase and amplitude drift with height for organic variation.
  */
 
+/**
+ * Default oak profile: n=3 (triangular), n=4 (square-ish), n=5 (pentagonal), n=6.
+ * Amplitude decreases with frequency. Phase drifts along height.
+ */
+export const OAK_HARMONICS = [
+  { n: 3, amp: 0.08, phaseSpeed: 0.5 },
+  { n: 4, amp: 0.05, phaseSpeed: 0.3 },
+  { n: 5, amp: 0.03, phaseSpeed: 0.7 },
+  { n: 6, amp: 0.02, phaseSpeed: 0.4 },
+];
+
 /**
  * Compute radius at angle theta for a given height h along the trunk.
  *
@@ -12,20 +23,12 @@
  * @param {number} baseRadius - The base taper radius at this height
  * @param {number} seed      - Per-branch random seed
  * @param {function} noise1D - Seeded 1D noise function: (x, seedOffset) → [-1,1]
+ * @param {Array<{ n: number, amp: number, phaseSpeed: number }>} [harmonics] - profile, oak by default
  * @returns {number} Modified radius
  */
-export function getCrossSectionRadius(theta, h, baseRadius, seed, noise1D) {
+export function getCrossSectionRadius(theta, h, baseRadius, seed, noise1D, harmonics = OAK_HARMONICS) {
   let r = baseRadius;
 
-  // Harmonics: n=3 (triangular), n=4 (square-ish), n=5 (pentagonal), n=6
-  // Amplitude decreases with frequency. Phase drifts along height.
-  const harmonics = [
-    { n: 3, amp: 0.08, phaseSpeed: 0.5 },
-    { n: 4, amp: 0.05, phaseSpeed: 0.3 },
-    { n: 5, amp: 0.03, phaseSpeed: 0.7 },
-    { n: 6, amp: 0.02, phaseSpeed: 0.4 },
-  ];
-
   // Cross-section irregularity diminishes toward branch tips
   const intensityFalloff = Math.max(0, 1.0 - h * 0.7);
 
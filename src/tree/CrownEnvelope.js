@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+
+/**
+ * Crown envelopes — closed volumes that bound where attractors are scattered.
+ * Each shape answers `contains(x, y, z)` and exposes an axis-aligned
+ * `center`/`halfSize` box that SpaceColonization rejection-samples from.
+ *
+ * Shapes are described in TREE_CONFIG.crownEnvelope as plain objects:
+ *
+ *   { type: 'ellipsoid', center: [x, y, z], radii: [rx, ry, rz] }
+ *   { type: 'superellipsoid', center, radii, horizontalExponent, verticalExponent }
+ *   { type: 'hemisphere', center, radii }            // dome rising from center
+ *   { type: 'cylinder', center, radius, height }     // center = base
+ *   { type: 'cone', center, radius, height, apex }   // apex 'up' (default) or 'down'
+ *   { type: 'union', shapes: [...] }
+ *   { type: 'subtract', shape, cut: [...] }
+ *   { type: 'lopsided', shape, amount, direction }   // shear toward a light direction
+ *
+ * `direction` on a lopsided envelope defaults to TREE_CONFIG.sunPosition.
+ */
+
+class Ellipsoid {
+  constructor({ center = [0, 0, 0], radii = [1, 1, 1] }) {
+    this.center = new THREE.Vector3().fromArray(center);
+    this.halfSize = new THREE.Vector3().fromArray(radii);
+  }
+
+  contains(x, y, z) {
+    const nx = (x - this.center.x) / this.halfSize.x;
+    const ny = (y - this.center.y) / this.halfSize.y;
+    const nz = (z - this.center.z) / this.halfSize.z;
+    return nx * nx + ny * ny + nz * nz <= 1.0;
+  }
+}
+
+/**
+ * Barr superellipsoid. Exponent 2 on both axes is an ellipsoid; larger
+ * values square off the silhouette (columnar/boxy), smaller pinch it.
+ */
+class Superellipsoid {
+  constructor({ center = [0, 0, 0], radii = [1, 1, 1], horizontalExponent = 2, verticalExponent = 2 }) {
+    this.center = new THREE.Vector3().fromArray(center);
+    this.halfSize = new THREE.Vector3().fromArray(radii);
+    this.horizontalExponent = horizontalExponent;
+    this.verticalExponent = verticalExponent;
+  }
+
+  contains(x, y, z) {
+    const h = this.horizontalExponent;
+    const v = this.verticalExponent;
+    const nx = Math.abs((x - this.center.x) / this.halfSize.x);
+    const ny = Math.abs((y - this.center.y) / this.halfSize.y);
+    const nz = Math.abs((z - this.center.z) / this.halfSize.z);
+    const horizontal = Math.pow(Math.pow(nx, h) + Math.pow(nz, h), v / h);
+    return horizontal + Math.pow(ny, v) <= 1.0;
+  }
+}
+
+/**
+ * Upper half of an ellipsoid — a spreading, flat-bottomed dome.
+ */
+class Hemisphere {
+  constructor({ center = [0, 0, 0], radii = [1, 1, 1] }) {
+    this.base = new THREE.Vector3().fromArray(center);
+    this.radii = new THREE.Vector3().fromArray(radii);
+    this.center = new THREE.Vector3(this.base.x, this.base.y + this.radii.y / 2, this.base.z);
+    this.halfSize = new THREE.Vector3(this.radii.x, this.radii.y / 2, this.radii.z);
+  }
+
+  contains(x, y, z) {
+    if (y < this.base.y) return false;
+    const nx = (x - this.base.x) / this.radii.x;
+    const ny = (y - this.base.y) / this.radii.y;
+    const nz = (z - this.base.z) / this.radii.z;
+    return nx * nx + ny * ny + nz * nz <= 1.0;
+  }
+}
+
+class Cylinder {
+  constructor({ center = [0, 0, 0], radius = 1, height = 1 }) {
+    this.base = new THREE.Vector3().fromArray(center);
+    this.radius = radius;
+    this.height = height;
+    this.center = new THREE.Vector3(this.base.x, this.base.y + height / 2, this.base.z);
+    this.halfSize = new THREE.Vector3(radius, height / 2, radius);
+  }
+
+  contains(x, y, z) {
+    const t = (y - this.base.y) / this.height;
+    if (t < 0 || t > 1) return false;
+    const dx = x - this.base.x;
+    const dz = z - this.base.z;
+    return dx * dx + dz * dz <= this.radius * this.radius;
+  }
+}
+
+/**
+ * Circular cone. With apex 'up' it tapers from the base radius to a point
+ * (conifer); with apex 'down' it widens upward (vase/fan).
+ */
+class Cone {
+  constructor({ center = [0, 0, 0], radius = 1, height = 1, apex = 'up' }) {
+    this.base = new THREE.Vector3().fromArray(center);
+    this.radius = radius;
+    this.height = height;
+    this.apexUp = apex !== 'down';
+    this.center = new THREE.Vector3(this.base.x, this.base.y + height / 2, this.base.z);
+    this.halfSize = new THREE.Vector3(radius, height / 2, radius);
+  }
+
+  contains(x, y, z) {
+    const t = (y - this.base.y) / this.height;
+    if (t < 0 || t > 1) return false;
+    const r = this.radius * (this.apexUp ? 1 - t : t);
+    const dx = x - this.base.x;
+    const dz = z - this.base.z;
+    return dx * dx + dz * dz <= r * r;
+  }
+}
+
+class Union {
+  constructor({ shapes = [] }, config) {
+    this.shapes = shapes.map((s) => createShape(s, config));
+    const box = new THREE.Box3();
+    for (const s of this.shapes) box.union(boxOf(s));
+    this.center = box.getCenter(new THREE.Vector3());
+    this.halfSize = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+  }
+
+  contains(x, y, z) {
+    for (const s of this.shapes) {
+      if (s.contains(x, y, z)) return true;
+    }
+    return false;
+  }
+}
+
+class Subtract {
+  constructor({ shape, cut = [] }, config) {
+    this.shape = createShape(shape, config);
+    this.cut = cut.map((s) => createShape(s, config));
+    this.center = this.shape.center;
+    this.halfSize = this.shape.halfSize;
+  }
+
+  contains(x, y, z) {
+    if (!this.shape.contains(x, y, z)) return false;
+    for (const s of this.cut) {
+      if (s.contains(x, y, z)) return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * Shears a shape horizontally toward a light direction. The bottom of the
+ * crown stays over the trunk while the top leans by `amount` world units,
+ * giving sun-seeking or windswept (use a downwind direction) silhouettes.
+ */
+class Lopsided {
+  constructor({ shape, amount = 1, direction }, config) {
+    this.shape = createShape(shape, config);
+    this.amount = amount;
+
+    direction = direction || config.sunPosition || [1, 0, 0];
+    const dir = new THREE.Vector3(direction[0], 0, direction[2]);
+    if (dir.lengthSq() < 1e-8) dir.set(1, 0, 0);
+    this.direction = dir.normalize();
+
+    const inner = this.shape;
+    this._bottom = inner.center.y - inner.halfSize.y;
+    this._height = inner.halfSize.y * 2;
+
+    // Bounds grow by half the lean on each side, centred on the mid-height lean
+    const lean = this.direction.clone().multiplyScalar(amount);
+    this.center = inner.center.clone().addScaledVector(lean, 0.5);
+    this.halfSize = inner.halfSize.clone().add(
+      new THREE.Vector3(Math.abs(lean.x), 0, Math.abs(lean.z)).multiplyScalar(0.5)
+    );
+  }
+
+  contains(x, y, z) {
+    const t = Math.min(1, Math.max(0, (y - this._bottom) / this._height));
+    const shift = this.amount * t;
+    return this.shape.contains(x - this.direction.x * shift, y, z - this.direction.z * shift);
+  }
+}
+
+const SHAPES = {
+  ellipsoid: Ellipsoid,
+  superellipsoid: Superellipsoid,
+  hemisphere: Hemisphere,
+  cylinder: Cylinder,
+  cone: Cone,
+  union: Union,
+  subtract: Subtract,
+  lopsided: Lopsided,
+};
+
+function boxOf(shape) {
+  return new THREE.Box3(
+    shape.center.clone().sub(shape.halfSize),
+    shape.center.clone().add(shape.halfSize)
+  );
+}
+
+function createShape(spec, config) {
+  const Shape = SHAPES[spec?.type];
+  if (!Shape) {
+    throw new Error(`Unknown crown envelope type: ${spec?.type}`);
+  }
+  return new Shape(spec, config);
+}
+
+/**
+ * Build the crown envelope for a tree config. Without `crownEnvelope` the
+ * classic ellipsoid from crownRadiusX/Y/Z and crownCenterY is used.
+ *
+ * @param {object} config - TREE_CONFIG-shaped object
+ * @returns {{ center: THREE.Vector3, halfSize: THREE.Vector3, contains: function(number, number, number): boolean }}
+ */
+export function createCrownEnvelope(config) {
+  if (config.crownEnvelope) {
+    return createShape(config.crownEnvelope, config);
+  }
+  return new Ellipsoid({
+    center: [0, config.crownCenterY, 0],
+    radii: [config.crownRadiusX, config.crownRadiusY, config.crownRadiusZ],
+  });
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import CustomShaderMaterial from 'three-custom-shader-material/vanilla';
+import { mulberry32 } from '../utils/math.js';
+import fallingLeafVertShader from '../shaders/fallingLeaf.vert.glsl';
+import fallingLeafFragShader from '../shaders/fallingLeaf.frag.glsl';
+
+// At most this many leaves let go in one frame — catching up after a
+// stalled tab shouldn't empty the sky onto the lawn at once
+const MAX_PER_FRAME = 32;
+
+const _position = new THREE.Vector3();
+const _bent = new THREE.Vector3();
+const _euler = new THREE.Euler();
+const _quaternion = new THREE.Quaternion();
+
+/**
+ * FallingLeaves — leaves letting go of the canopy and drifting down.
+ *
+ * One InstancedMesh holds a ring of config.leafFallCapacity leaves. The
+ * CPU only picks, at `rate` leaves per second, a leaf of leafSystem's to
+ * let go — where the wind has it now, in its pose on the tree — and
+ * writes that to the next slot; the vertex shader (fallingLeaf.vert.glsl)
+ * works out everything after from the shared wind clock: the leaf sinks,
+ * flutters, tumbles and is carried downwind, then settles flat on the
+ * ground, browns and crumbles away over config.fallenLeafLifetime, so the
+ * leaves that fell last lie thickest.
+ *
+ * While leafSystem's leaves are dropping (uLeafDrop, set by Seasons) the
+ * leaves that let go are the ones the canopy is losing. Seasons sets
+ * `rate` through the year; without it, it stays at config.leafFallRate.
+ */
+export class FallingLeaves {
+  /**
+   * @param {import('./LeafSystem.js').LeafSystem} leafSystem - built
+   * @param {object} config - the tree's config
+   * @param {import('./BranchWind.js').BranchWind} wind - baked
+   * @param {object} [options]
+   * @param {number} [options.groundHeight=0] - where leaves come to rest
+   */
+  constructor(leafSystem, config, wind, options = {}) {
+    this.leafSystem = leafSystem;
+    this.config = config;
+    this.wind = wind;
+    this.groundHeight = options.groundHeight ?? 0;
+
+    this.rate = config.leafFallRate;
+    this.capacity = config.leafFallCapacity;
+    this.mesh = null;
+    this.material = null;
+
+    this._rng = mulberry32(config.seed + 9753);
+    this._next = 0;
+    this._pending = 0;
+  }
+
+  /**
+   * Create the (empty) falling leaf mesh.
+   * @returns {THREE.InstancedMesh}
+   */
+  build() {
+    const { leafSize } = this.leafSystem;
+    const geometry = new THREE.PlaneGeometry(leafSize, leafSize, 1, 1);
+
+    // Every slot starts long gone, so nothing draws until leaves let go
+    const origins = new Float32Array(this.capacity * 4);
+    for (let i = 0; i < this.capacity; i++) origins[i * 4 + 3] = -1e9;
+
+    const attributes = {
+      aOrigin: new THREE.InstancedBufferAttribute(origins, 4),
+      aRotation: new THREE.InstancedBufferAttribute(new Float32Array(this.capacity * 4), 4),
+      aFall: new THREE.InstancedBufferAttribute(new Float32Array(this.capacity * 4).fill(1), 4),
+      aLeaf: new THREE.InstancedBufferAttribute(new Float32Array(this.capacity * 2), 2),
+    };
+    for (const [name, attribute] of Object.entries(attributes)) {
+      attribute.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(name, attribute);
+    }
+
+    this.material = this._createMaterial();
+    this.mesh = new THREE.InstancedMesh(geometry, this.material, this.capacity);
+    // Leaves are placed in the shader, so the instance bounds mean nothing
+    this.mesh.frustumCulled = false;
+    this.mesh.receiveShadow = true;
+    return this.mesh;
+  }
+
+  /**
+   * Let go of leaves due since the last frame — call each frame.
+   * @param {number} time - the wind clock (BranchWind uTime)
+   * @param {number} delta - seconds since the last frame
+   */
+  update(time, delta) {
+    const { instances, material } = this.leafSystem;
+    // Nothing falls while the intro is still growing the leaves
+    if (!this.mesh || !instances || instances.count === 0 || material.uniforms.uGrowth.value < 1) {
+      this._pending = 0;
+      return;
+    }
+
+    this._pending = Math.min(this._pending + this.rate * delta, MAX_PER_FRAME);
+    const due = Math.floor(this._pending);
+    if (due === 0) return;
+
+    this._pending -= due;
+    for (let i = 0; i < due; i++) this._release(this._pickLeaf(), time);
+    for (const attribute of Object.values(this.mesh.geometry.attributes)) {
+      if (attribute.isInstancedBufferAttribute) attribute.needsUpdate = true;
+    }
+  }
+
+  /**
+   * A leaf to let go: while the canopy is dropping, one the leaf shader
+   * has partway fallen (see the season block in leaf.vert.glsl), so it
+   * leaves the crown as its twin falls; otherwise any.
+   */
+  _pickLeaf() {
+    const { instances, material } = this.leafSystem;
+    const drop = material.uniforms.uLeafDrop.value;
+    let leaf = Math.floor(this._rng() * instances.count);
+    if (drop <= 0 || drop >= 1) return leaf;
+
+    for (let tries = 0; tries < 8; tries++) {
+      const start = instances.colourVars[leaf] * 0.7;
+      if (drop > start && drop < start + 0.3) break;
+      leaf = Math.floor(this._rng() * instances.count);
+    }
+    return leaf;
+  }
+
+  /**
+   * Write a leaf into the next slot, overwriting the oldest.
+   */
+  _release(leaf, time) {
+    const { instances } = this.leafSystem;
+    const { aOrigin, aRotation, aFall, aLeaf } = this.mesh.geometry.attributes;
+    const rng = this._rng;
+    const slot = this._next;
+    this._next = (this._next + 1) % this.capacity;
+
+    _position.fromArray(instances.positions, leaf * 3);
+    this.wind.bend(_position, this.wind.branchOf(instances.nodes[leaf]), _bent, time);
+    _euler.set(
+      instances.rotations[leaf * 3],
+      instances.rotations[leaf * 3 + 1],
+      instances.rotations[leaf * 3 + 2]
+    );
+    _quaternion.setFromEuler(_euler);
+
+    aOrigin.setXYZW(slot, _bent.x, _bent.y, _bent.z, time);
+    aRotation.setXYZW(slot, _quaternion.x, _quaternion.y, _quaternion.z, _quaternion.w);
+    aFall.setXYZW(
+      slot,
+      0.7 + rng() * 0.6,        // sink speed, m/s
+      0.2 + rng() * 0.4,        // flutter radius, m
+      1.5 + rng() * 2.0,        // flutter rate, rad/s
+      rng() * Math.PI * 2       // phase
+    );
+    aLeaf.setXY(slot, instances.scales[leaf], instances.colourVars[leaf]);
+  }
+
+  /**
+   * Create the CSM falling leaf material. Texture, palettes and season
+   * share the canopy's uniforms, the clock and wind the tree's.
+   */
+  _createMaterial() {
+    const leafUniforms = this.leafSystem.material.uniforms;
+    return new CustomShaderMaterial({
+      baseMaterial: THREE.MeshStandardMaterial,
+      vertexShader: fallingLeafVertShader,
+      fragmentShader: fallingLeafFragShader,
+      uniforms: {
+        ...this.wind.uniforms,
+        uLeafTexture: leafUniforms.uLeafTexture,
+        uSeasonMix: leafUniforms.uSeasonMix,
+        uLeafPalette: leafUniforms.uLeafPalette,
+        uAutumnPalette: leafUniforms.uAutumnPalette,
+        uLeafDrift: { value: this.config.leafFallDrift },
+        uFallenLifetime: { value: this.config.fallenLeafLifetime },
+        uGroundHeight: { value: this.groundHeight },
+      },
+      side: THREE.DoubleSide,
+      alphaTest: 0.5,
+    });
+  }
+
+  /**
+   * Dispose all resources.
+   */
+  dispose() {
+    if (this.mesh) this.mesh.geometry.dispose();
+    if (this.material) this.material.dispose();
+  }
+}
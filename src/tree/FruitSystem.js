@@ -2,26 +2,130 @@ import * as THREE from 'three';
 import gsap from 'gsap';
 import { mulberry32 } from '../utils/math.js';
 
+/**
+ * Lathe profiles (radius, y) for the fruit styles, traced top → bottom.
+ * The origin sits where the sphere fruit's centre would, so stems and
+ * hover labels line up for every style.
+ */
+const FRUIT_PROFILES = {
+  // Nut below a scaly cap; the cap lip flares past the nut
+  acorn: [[0, 0.16], [0.12, 0.15], [0.17, 0.08], [0.18, 0.03], [0.14, 0.02],
+    [0.15, -0.06], [0.13, -0.16], [0.08, -0.24], [0, -0.28]],
+  // Ovoid pine cone, widest near the top
+  cone: [[0, 0.18], [0.1, 0.16], [0.15, 0.08], [0.16, -0.02], [0.13, -0.14],
+    [0.08, -0.24], [0, -0.3]],
+};
+
+/**
+ * Build the fruit mesh geometry for a species fruit style.
+ *
+ * @param {string} style - 'sphere', 'acorn', 'berry', 'cone', 'pod' or 'catkin'
+ * @returns {THREE.BufferGeometry}
+ */
+function createFruitGeometry(style = 'sphere') {
+  switch (style) {
+    case 'sphere':
+      return new THREE.SphereGeometry(0.18, 16, 12);
+    case 'berry': {
+      // Slightly flattened drupe, like a cherry
+      const geo = new THREE.SphereGeometry(0.16, 16, 12);
+      geo.scale(1, 0.9, 1);
+      return geo;
+    }
+    case 'acorn':
+    case 'cone': {
+      const points = FRUIT_PROFILES[style].map(([r, y]) => new THREE.Vector2(r, y));
+      return new THREE.LatheGeometry(points, 14);
+    }
+    case 'pod': {
+      // Long hanging capsule (baobab)
+      const geo = new THREE.CapsuleGeometry(0.13, 0.3, 6, 12);
+      geo.translate(0, -0.1, 0);
+      return geo;
+    }
+    case 'catkin': {
+      // Slender dangling spike (birch, willow)
+      const geo = new THREE.CapsuleGeometry(0.06, 0.4, 4, 8);
+      geo.translate(0, -0.12, 0);
+      return geo;
+    }
+    default:
+      throw new Error(`Unknown fruit style: ${style}`);
+  }
+}
+
+/**
+ * Patch a fruit material so it swells from nothing during the growth
+ * animation. Vertices scale about `anchor` (object space) by how far the
+ * shared uGrowth has passed this fruit's turn, set by its tip's birth time.
+ *
+ * @param {THREE.Material} material
+ * @param {{ value: number }} growthUniform - shared uGrowth uniform
+ * @param {number} birth - birth time of the tip in [0, 1)
+ * @param {number} span - fraction of the timeline each fruit takes to appear
+ * @param {THREE.Vector3} [anchor] - fixed point of the scaling
+ */
+function applyGrowth(material, growthUniform, birth, span, anchor = new THREE.Vector3()) {
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uGrowth = growthUniform;
+    shader.uniforms.uAppearStart = { value: birth * (1 - span) };
+    shader.uniforms.uAppearSpan = { value: span };
+    shader.uniforms.uGrowthAnchor = { value: anchor };
+    shader.vertexShader = shader.vertexShader
+      .replace('void main() {', `uniform float uGrowth;
+uniform float uAppearStart;
+uniform float uAppearSpan;
+uniform vec3 uGrowthAnchor;
+void main() {`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>
+  float appear = clamp((uGrowth - uAppearStart) / uAppearSpan, 0.0, 1.0);
+  transformed = uGrowthAnchor + (transformed - uGrowthAnchor) * appear;`);
+  };
+}
+
+const SWING_LAG = 0.3; // seconds a fruit's swing trails its branch tip
+const SWING_GAIN = 1.5; // radians of swing per metre the tip moved in that time
+
+const _now = new THREE.Vector3();
+const _before = new THREE.Vector3();
+
 /**
  * FruitSystem — places portfolio fruit on branch tips.
  * Each fruit is an individual Mesh for simple raycasting and hover effects.
+ *
+ * With a BranchWind, fruit ride their branch tip through the wind and
+ * swing on their stems as it moves; without one they hang still.
  */
 export class FruitSystem {
-  constructor(skeleton, config, portfolioItems) {
+  /**
+   * @param {import('./TreeSkeleton.js').TreeSkeleton} skeleton
+   * @param {object} config
+   * @param {Array<object>} portfolioItems
+   * @param {import('./BranchWind.js').BranchWind} [wind]
+   */
+  constructor(skeleton, config, portfolioItems, wind = null) {
     this.skeleton = skeleton;
     this.config = config;
     this.items = portfolioItems;
+    this.wind = wind;
     this.rng = mulberry32(config.seed + 5678);
 
     this.fruitGroup = new THREE.Group();
     this.fruitMeshes = []; // array of fruit Mesh objects
+
+    // Growth animation: 0 = no fruit, 1 = all fruit hanging
+    this.growthUniform = { value: 1.0 };
   }
 
   build() {
     const positions = this._selectPositions();
     const count = Math.min(positions.length, this.items.length);
+    const nodes = this.skeleton.getNodes();
+    const growthSteps = this.skeleton.getGrowthSteps();
+    const span = this.config.fruitAppearSpan;
 
     const stemMaterial = new THREE.MeshStandardMaterial({
+      name: 'stem',
       color: 0x3d2b1f,
       roughness: 0.9,
     });
@@ -29,16 +133,19 @@ export class FruitSystem {
     for (let i = 0; i < count; i++) {
       const item = this.items[i];
       const pos = positions[i];
+      const birth = nodes[pos.index].birth / growthSteps;
 
-      // Fruit pivot (for pendulum swing)
+      // Fruit pivot (swings on the stem)
       const pivot = new THREE.Object3D();
-      pivot.position.copy(pos.branch);
+      pivot.userData.rest = new THREE.Vector3();
+      this._hangAt(pivot, pos.index, pos.branch);
       this.fruitGroup.add(pivot);
 
-      // Fruit sphere — hangs below branch tip
-      const fruitGeo = new THREE.SphereGeometry(0.18, 16, 12);
+      // Fruit body — hangs below branch tip, shaped by the species style
+      const fruitGeo = createFruitGeometry(this.config.fruitStyle);
       const colour = new THREE.Color(item.colour);
       const fruitMat = new THREE.MeshPhysicalMaterial({
+        name: `fruit-${item.id}`,
         color: colour,
         roughness: 0.35,
         metalness: 0.0,
@@ -46,6 +153,7 @@ export class FruitSystem {
         emissive: colour,
         emissiveIntensity: 0.0,
       });
+      applyGrowth(fruitMat, this.growthUniform, birth, span);
 
       const fruitMesh = new THREE.Mesh(fruitGeo, fruitMat);
       fruitMesh.position.set(0, -pos.hangLength, 0);
@@ -56,16 +164,13 @@ export class FruitSystem {
       // Stem cylinder connecting branch to fruit
       const stemLength = pos.hangLength;
       const stemGeo = new THREE.CylinderGeometry(0.008, 0.012, stemLength, 4);
-      const stem = new THREE.Mesh(stemGeo, stemMaterial);
+      // Stems grow down from the branch tip, so each needs its own anchor
+      const stemMat = stemMaterial.clone();
+      applyGrowth(stemMat, this.growthUniform, birth, span, new THREE.Vector3(0, stemLength / 2, 0));
+      const stem = new THREE.Mesh(stemGeo, stemMat);
       stem.position.set(0, -stemLength / 2, 0);
       pivot.add(stem);
 
-      // Gentle pendulum swing
-      const phase = this.rng() * Math.PI * 2;
-      const speed = 1.8 + this.rng() * 1.0;
-      pivot.userData.swingPhase = phase;
-      pivot.userData.swingSpeed = speed;
-
       this.fruitMeshes.push(fruitMesh);
     }
 
@@ -74,20 +179,79 @@ export class FruitSystem {
   }
 
   /**
-   * Select well-spaced terminal node positions for fruit.
+   * Follow a skeleton edit. Fruit ride their branch out to its new tip when
+   * it was extended or grafted; fruit whose tip was removed or became a
+   * fork move to a free terminal, keeping their stem; with none left they
+   * are hidden until a later edit frees one.
+   * @param {Int32Array|null} remap - old → new node index (-1 = removed), or null
+   */
+  applyEdit(remap) {
+    const nodes = this.skeleton.getNodes();
+    const displaced = [];
+    const kept = [];
+
+    for (const mesh of this.fruitMeshes) {
+      const pivot = mesh.userData.pivot;
+      let idx = pivot.userData.nodeIndex;
+      if (remap && idx >= 0) idx = remap[idx];
+      while (idx >= 0 && this.skeleton.getChildren(idx).length === 1) {
+        idx = this.skeleton.getChildren(idx)[0];
+      }
+      if (idx >= 0 && this.skeleton.getChildren(idx).length === 0) {
+        this._hangAt(pivot, idx, nodes[idx].position);
+        kept.push(pivot.userData.rest);
+      } else {
+        displaced.push(pivot);
+      }
+    }
+
+    if (displaced.length === 0) return;
+    // Kept fruit are clear of the new tips by spacing
+    const positions = this._selectPositions(displaced.length, kept);
+    displaced.forEach((pivot, i) => {
+      if (i < positions.length) {
+        this._hangAt(pivot, positions[i].index, positions[i].branch);
+      } else {
+        console.warn(`[FruitSystem] No free branch tip for fruit at node ${pivot.userData.nodeIndex}`);
+        // Its old node may now be any other branch's — follow none
+        pivot.userData.nodeIndex = -1;
+        pivot.visible = false;
+      }
+    });
+    console.log(`[FruitSystem] ${displaced.length} fruit moved after edit`);
+  }
+
+  /**
+   * Hang a fruit pivot from a branch tip, at rest.
+   */
+  _hangAt(pivot, nodeIndex, position) {
+    pivot.visible = true;
+    pivot.userData.nodeIndex = nodeIndex;
+    pivot.userData.rest.copy(position);
+    pivot.position.copy(position);
+  }
+
+  /**
+   * Select well-spaced terminal node positions for fruit. With
+   * config.useBranchOrder, only twigs forking from branches of Strahler
+   * order up to fruitMaxForkOrder qualify — no fruit on sprouts off limbs.
+   * @param {number} [limit] - how many to select (default: one per item)
+   * @param {THREE.Vector3[]} [occupied] - positions new fruit must keep clear of
    */
-  _selectPositions() {
+  _selectPositions(limit = this.items.length, occupied = []) {
     const nodes = this.skeleton.getNodes();
     const terminals = this.skeleton.getTerminalNodes();
     const rng = this.rng;
     const minSpacing = 2.0;
     const minHeight = 3.0;
+    const orders = this.config.useBranchOrder ? this.skeleton.getStrahlerOrders() : null;
 
     // Filter candidates
     const candidates = [];
     for (const idx of terminals) {
       const pos = nodes[idx].position;
       if (pos.y < minHeight) continue;
+      if (orders && orders[this._forkOf(idx)] > this.config.fruitMaxForkOrder) continue;
       candidates.push({
         branch: pos.clone(),
         hangLength: 0.12 + rng() * 0.1,
@@ -104,8 +268,8 @@ export class FruitSystem {
     // Greedily select with minimum spacing
     const selected = [];
     for (const c of candidates) {
-      if (selected.length >= this.items.length) break;
-      let tooClose = false;
+      if (selected.length >= limit) break;
+      let tooClose = occupied.some((p) => c.branch.distanceTo(p) < minSpacing);
       for (const s of selected) {
         if (c.branch.distanceTo(s.branch) < minSpacing) {
           tooClose = true;
@@ -119,14 +283,37 @@ export class FruitSystem {
   }
 
   /**
-   * Update pendulum swing — call each frame.
+   * The fork (or root) a node's branch grows from.
+   */
+  _forkOf(nodeIndex) {
+    let idx = this.skeleton.getNodes()[nodeIndex].parentIndex;
+    while (idx > 0 && this.skeleton.getChildren(idx).length === 1) {
+      idx = this.skeleton.getNodes()[idx].parentIndex;
+    }
+    return Math.max(idx, 0);
+  }
+
+  /**
+   * Move fruit with the wind — call each frame. Each pivot follows its
+   * branch tip, and the fruit swings back against the way the tip moved
+   * over the last SWING_LAG seconds, as if left behind on its stem.
    */
   update(time) {
+    if (!this.wind) return;
     for (const mesh of this.fruitMeshes) {
       const pivot = mesh.userData.pivot;
-      const { swingPhase, swingSpeed } = pivot.userData;
-      pivot.rotation.x = Math.sin(time * swingSpeed + swingPhase) * 0.04;
-      pivot.rotation.z = Math.cos(time * swingSpeed * 0.7 + swingPhase) * 0.03;
+      const { nodeIndex, rest } = pivot.userData;
+      if (nodeIndex < 0) continue;
+      const branch = this.wind.branchOf(nodeIndex);
+
+      this.wind.bend(rest, branch, _now, time);
+      this.wind.bend(rest, branch, _before, time - SWING_LAG);
+      pivot.position.copy(_now);
+
+      // Rotating about +z swings the fruit toward +x, about +x toward -z
+      _now.sub(_before);
+      pivot.rotation.z = -_now.x * SWING_GAIN;
+      pivot.rotation.x = _now.z * SWING_GAIN;
     }
   }
 
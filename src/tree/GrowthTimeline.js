@@ -0,0 +1,81 @@
+import gsap from 'gsap';
+import { clamp } from '../utils/math.js';
+
+/**
+ * Where each part of the tree grows within the timeline's [0, 1] progress.
+ * Phases overlap so leaves unfurl behind the advancing wood and fruit set
+ * on the finished canopy.
+ */
+const PHASES = {
+  wood: [0, 0.7],
+  leaves: [0.25, 0.95],
+  fruit: [0.8, 1],
+};
+
+/**
+ * GrowthTimeline — drives the uGrowth uniforms of the bark, leaf and fruit
+ * materials so the tree grows from seed: the trunk extrudes, branches
+ * thicken, leaves unfurl and fruit appear, in birth order.
+ *
+ * Until the timeline is played or seeked the uniforms are left alone, so a
+ * tree without one simply renders fully grown.
+ */
+export class GrowthTimeline {
+  /**
+   * @param {{ wood?: { value: number }, leaves?: { value: number }, fruit?: { value: number } }} uniforms
+   * @param {number} duration - seconds to grow the whole tree
+   */
+  constructor(uniforms, duration) {
+    this.uniforms = uniforms;
+    this.duration = duration;
+    this._state = { progress: 0 };
+
+    this.timeline = gsap.timeline({ paused: true });
+    this.timeline.to(this._state, {
+      progress: 1,
+      duration,
+      ease: 'none',
+      onUpdate: () => this._apply(),
+    });
+  }
+
+  /**
+   * Current progress in [0, 1].
+   */
+  get progress() {
+    return this._state.progress;
+  }
+
+  /**
+   * Play from the current progress (restarting if already fully grown).
+   * @returns {Promise<void>} resolves when the tree is fully grown
+   */
+  play() {
+    if (this.timeline.progress() >= 1) this.seek(0);
+    return new Promise((resolve) => {
+      this.timeline.eventCallback('onComplete', resolve);
+      this.timeline.play();
+    });
+  }
+
+  pause() {
+    this.timeline.pause();
+  }
+
+  /**
+   * Jump to a point in the growth without changing play state.
+   * @param {number} progress - 0 = seed, 1 = fully grown
+   */
+  seek(progress) {
+    this.timeline.progress(clamp(progress, 0, 1), true);
+    this._apply();
+  }
+
+  _apply() {
+    const p = this._state.progress;
+    for (const [name, [start, end]] of Object.entries(PHASES)) {
+      const uniform = this.uniforms[name];
+      if (uniform) uniform.value = clamp((p - start) / (end - start), 0, 1);
+    }
+  }
+}
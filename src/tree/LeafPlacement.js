@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { mulberry32 } from '../utils/math.js';
+
+/**
+ * Place leaves along the leafy twigs of a skeleton, as petioles set out by
+ * phyllotaxis: one every config.leafSpacing along each segment, each turned
+ * config.leafDivergence degrees around the twig from the last (137.5° for
+ * a spiral, 180° alternate), angled config.leafAngle off the twig toward
+ * its tip with the blade turned to the sun, config.leafPetioleLength off
+ * the bark. Twig tips carry a cluster of config.leafTerminalCluster leaves
+ * around the terminal bud (see terminalBud). When the tree
+ * would take more than config.leafBudget leaves, spacing widens and tip
+ * clusters shrink evenly across the whole tree.
+ *
+ * The result is packed into flat typed arrays (one entry per leaf) so it
+ * can be computed in a worker and transferred without copying:
+ *
+ *   positions   Float32Array(3n) — world position
+ *   rotations   Float32Array(3n) — XYZ Euler angles
+ *   scales, windPhases, colourVars, stiffnesses, births   Float32Array(n)
+ *   anchors     Float32Array(3n) — where the leaf's petiole leaves the
+ *                                  twig centreline (see TwigMesh.js)
+ *   nodes       Int32Array(n)    — skeleton node the leaf grows from
+ *
+ * @param {import('./TreeSkeleton.js').TreeSkeleton} skeleton
+ * @param {object} config - TREE_CONFIG-shaped object
+ * @param {object} [options]
+ * @param {number} [options.depthThreshold=0.4] - fraction of max depth below which nodes get no
+ *   leaves; with config.useBranchOrder, nodes above Strahler order config.leafMaxOrder get none instead
+ * @param {number[]} [options.nodes] - only place on these nodes (e.g. ones added by an edit)
+ * @param {number} [options.seed] - RNG seed, by default derived from config.seed
+ * @returns {{ count: number, positions: Float32Array, rotations: Float32Array, scales: Float32Array,
+ *   windPhases: Float32Array, colourVars: Float32Array, stiffnesses: Float32Array, births: Float32Array,
+ *   anchors: Float32Array, nodes: Int32Array }}
+ */
+export function placeLeaves(skeleton, config, options = {}) {
+  const { depthThreshold = 0.4, seed = config.seed + 1234 } = options;
+  const nodes = skeleton.getNodes();
+  const maxDepth = skeleton.getMaxDepth();
+  const growthSteps = skeleton.getGrowthSteps();
+  const pathLengths = skeleton.getPathLengths();
+  const minDepth = maxDepth * depthThreshold;
+  const rng = mulberry32(seed);
+
+  const positions = [];
+  const rotations = [];
+  const scales = [];
+  const windPhases = [];
+  const colourVars = [];
+  const stiffnesses = [];
+  const births = [];
+  const anchors = [];
+  const leafNodes = [];
+
+  // Outer canopy only
+  const orders = config.useBranchOrder ? skeleton.getStrahlerOrders() : null;
+  const isLeafy = (i) => (orders ? orders[i] <= config.leafMaxOrder : nodes[i].depth >= minDepth);
+  const isTip = (i) => skeleton.getChildren(i).length === 0;
+
+  // Thin to the budget over the whole tree, so leaves grown by an edit
+  // come at the same density as the rest
+  let twigLength = 0;
+  let tips = 0;
+  for (let i = 0; i < nodes.length; i++) {
+    if (!isLeafy(i)) continue;
+    if (nodes[i].parentIndex >= 0) twigLength += pathLengths[i] - pathLengths[nodes[i].parentIndex];
+    if (isTip(i)) tips++;
+  }
+  const wanted = twigLength / config.leafSpacing + tips * config.leafTerminalCluster;
+  const thinning = Math.max(1, wanted / config.leafBudget);
+  const spacing = config.leafSpacing * thinning;
+  const clusterSize = Math.round(config.leafTerminalCluster / thinning);
+
+  const divergence = THREE.MathUtils.degToRad(config.leafDivergence);
+  const leafAngle = THREE.MathUtils.degToRad(config.leafAngle);
+  const sun = new THREE.Vector3().fromArray(config.sunPosition).normalize();
+  const up = new THREE.Vector3(0, 1, 0);
+  const tangent = new THREE.Vector3();
+  const side = new THREE.Vector3();
+  const petiole = new THREE.Vector3();
+  const base = new THREE.Vector3();
+
+  // Leaf frame: +Y runs stem to tip, +Z is the blade's face
+  const axisX = new THREE.Vector3();
+  const axisY = new THREE.Vector3();
+  const axisZ = new THREE.Vector3();
+  const basis = new THREE.Matrix4();
+  const euler = new THREE.Euler();
+
+  // One leaf on a petiole leaving `base` in direction `petiole` from a
+  // twig `radius` thick, at `tilt` from the twig tangent
+  const addLeaf = (nodeIdx, tilt, radius) => {
+    const node = nodes[nodeIdx];
+    const scale = 0.8 + rng() * 0.4;
+
+    axisY.copy(petiole).multiplyScalar(Math.sin(tilt)).addScaledVector(tangent, Math.cos(tilt)).normalize();
+    // Blades turn to the sun, outward-facing ones a little less so
+    axisZ.copy(sun).addScaledVector(petiole, 0.5);
+    axisZ.x += (rng() - 0.5) * 0.6;
+    axisZ.z += (rng() - 0.5) * 0.6;
+    axisZ.addScaledVector(axisY, -axisZ.dot(axisY));
+    if (axisZ.lengthSq() < 1e-6) axisZ.copy(petiole).addScaledVector(axisY, -petiole.dot(axisY));
+    axisZ.normalize();
+    axisX.crossVectors(axisY, axisZ);
+    euler.setFromRotationMatrix(basis.makeBasis(axisX, axisY, axisZ));
+
+    // The blade's stem end sits on the petiole, clear of the bark
+    const stalk = radius + config.leafPetioleLength;
+    const reach = config.leafSize * scale * 0.5;
+    positions.push(
+      base.x + petiole.x * stalk + axisY.x * reach,
+      base.y + petiole.y * stalk + axisY.y * reach,
+      base.z + petiole.z * stalk + axisY.z * reach
+    );
+    rotations.push(euler.x, euler.y, euler.z);
+    scales.push(scale);
+    windPhases.push(rng() * Math.PI * 2);
+    colourVars.push(rng());
+    stiffnesses.push(node.depth / maxDepth);
+    births.push(node.birth / growthSteps);
+    anchors.push(base.x, base.y, base.z);
+    leafNodes.push(nodeIdx);
+  };
+
+  // Direction around the twig at phyllotactic angle `angle`
+  const turnPetiole = (angle) => {
+    petiole.copy(side).applyAxisAngle(tangent, angle + (rng() - 0.5) * 0.3);
+  };
+
+  for (const nodeIdx of options.nodes || nodes.keys()) {
+    const node = nodes[nodeIdx];
+    const parentIdx = node.parentIndex;
+    if (parentIdx < 0 || !isLeafy(nodeIdx)) continue;
+    const parent = nodes[parentIdx];
+
+    tangent.subVectors(node.position, parent.position).normalize();
+    side.crossVectors(tangent, up);
+    if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+    side.normalize();
+
+    // Petioles every `spacing` of path length from the root, so the
+    // spiral carries on across nodes and a side twig picks it up where
+    // it leaves its parent
+    const s0 = pathLengths[parentIdx];
+    const s1 = pathLengths[nodeIdx];
+    for (let k = Math.floor(s0 / spacing) + 1; k * spacing <= s1; k++) {
+      const t = (k * spacing - s0) / Math.max(1e-6, s1 - s0);
+      base.lerpVectors(parent.position, node.position, t);
+      turnPetiole(k * divergence);
+      addLeaf(nodeIdx, leafAngle, THREE.MathUtils.lerp(parent.thickness, node.thickness, t));
+    }
+
+    // Terminal bud: a rosette of leaves crowded on a shoot past the tip,
+    // more upright
+    if (isTip(nodeIdx)) {
+      terminalBud(skeleton, nodeIdx, config, base);
+      for (let j = 0; j < clusterSize; j++) {
+        turnPetiole(j * divergence);
+        addLeaf(nodeIdx, leafAngle * (0.5 + 0.3 * rng()), config.twigRadius);
+      }
+    }
+  }
+
+  return {
+    count: scales.length,
+    positions: new Float32Array(positions),
+    rotations: new Float32Array(rotations),
+    scales: new Float32Array(scales),
+    windPhases: new Float32Array(windPhases),
+    colourVars: new Float32Array(colourVars),
+    stiffnesses: new Float32Array(stiffnesses),
+    births: new Float32Array(births),
+    anchors: new Float32Array(anchors),
+    nodes: new Int32Array(leafNodes),
+  };
+}
+
+/**
+ * Where a twig tip's terminal bud sits: config.leafBudLength on along the
+ * tip's heading. The shoot to it is part of the twig layer (TwigMesh.js).
+ * @param {import('./TreeSkeleton.js').TreeSkeleton} skeleton
+ * @param {number} tipIndex - terminal node with a parent
+ * @param {object} config
+ * @param {THREE.Vector3} [out]
+ * @returns {THREE.Vector3} out
+ */
+export function terminalBud(skeleton, tipIndex, config, out = new THREE.Vector3()) {
+  const nodes = skeleton.getNodes();
+  const tip = nodes[tipIndex].position;
+  out.subVectors(tip, nodes[nodes[tipIndex].parentIndex].position).normalize();
+  return out.multiplyScalar(config.leafBudLength).add(tip);
+}
+
+const PER_LEAF = {
+  positions: 3, rotations: 3, scales: 1, windPhases: 1,
+  colourVars: 1, stiffnesses: 1, births: 1, anchors: 3, nodes: 1,
+};
+
+/**
+ * Select leaves from packed instances.
+ * @param {object} leaves - packed leaf instances
+ * @param {function(number): boolean} keep - called with each leaf index
+ * @returns {object} packed leaf instances
+ */
+export function filterLeaves(leaves, keep) {
+  const kept = [];
+  for (let i = 0; i < leaves.count; i++) {
+    if (keep(i)) kept.push(i);
+  }
+  const out = { count: kept.length };
+  for (const [name, stride] of Object.entries(PER_LEAF)) {
+    const src = leaves[name];
+    const dst = new src.constructor(kept.length * stride);
+    for (let k = 0; k < kept.length; k++) {
+      for (let c = 0; c < stride; c++) dst[k * stride + c] = src[kept[k] * stride + c];
+    }
+    out[name] = dst;
+  }
+  return out;
+}
+
+/**
+ * Concatenate two sets of packed leaf instances.
+ * @param {object} a
+ * @param {object} b
+ * @returns {object} packed leaf instances
+ */
+export function concatLeaves(a, b) {
+  const out = { count: a.count + b.count };
+  for (const name of Object.keys(PER_LEAF)) {
+    const dst = new a[name].constructor(a[name].length + b[name].length);
+    dst.set(a[name]);
+    dst.set(b[name], a[name].length);
+    out[name] = dst;
+  }
+  return out;
+}
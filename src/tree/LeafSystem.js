@@ -1,130 +1,168 @@
 import * as THREE from 'three';
 import CustomShaderMaterial from 'three-custom-shader-material/vanilla';
+import { placeLeaves, filterLeaves, concatLeaves } from './LeafPlacement.js';
+import { buildTwigGeometry } from './TwigMesh.js';
+import { generateLeafTexture } from '../utils/LeafTextureGenerator.js';
+import { generateLeafCardTexture, cardTileFor } from '../utils/LeafCardGenerator.js';
 import { mulberry32 } from '../utils/math.js';
-import { generateOakLeafTexture } from '../utils/LeafTextureGenerator.js';
 import leafVertShader from '../shaders/leaf.vert.glsl';
 import leafFragShader from '../shaders/leaf.frag.glsl';
+import leafDepthFragShader from '../shaders/leafDepth.frag.glsl';
+import leafCardVertShader from '../shaders/leafCard.vert.glsl';
+import leafCardFragShader from '../shaders/leafCard.frag.glsl';
+import leafCardDepthFragShader from '../shaders/leafCardDepth.frag.glsl';
+
+const _corner = new THREE.Vector3();
 
 /**
  * LeafSystem — instanced leaf rendering with spatial chunking.
  *
- * Places 25K–40K leaf instances at branch tips, splits them into
- * spatial chunks for frustum culling, and renders with CSM shaders
- * for wind animation, colour variation, and translucency.
+ * Places up to config.leafBudget leaf instances along the outer twigs
+ * (see LeafPlacement.js), splits them into spatial chunks for frustum
+ * culling, and renders with CSM shaders for wind animation, colour
+ * variation, and translucency.
+ * Leaves bend with the branch they grow on through options.wind, a baked
+ * BranchWind whose uniforms the material shares.
+ *
+ * With options.twigMaterial (the bark material) it also builds twigMesh,
+ * the petioles and bud shoots joining the leaves to the branches (see
+ * TwigMesh.js), and keeps it in step with the leaves through edits.
+ *
+ * At a distance each chunk's leaves give way to impostor cards: leaves
+ * gathered into clusters about config.leafCardSize across, each drawn as
+ * one camera-facing quad of a pre-drawn leaf cluster (LeafCardGenerator.js).
+ * The two crossfade leaf by leaf over config.leafLODDistances (leafLod.glsl),
+ * and updateLod hides whichever of a chunk's meshes is wholly faded out.
  */
 export class LeafSystem {
   constructor(skeleton, config, options = {}) {
     this.skeleton = skeleton;
     this.config = config;
-    this.rng = mulberry32(config.seed + 1234);
 
     this.depthThreshold = options.depthThreshold || 0.4;
-    this.maxClusterSize = options.maxClusterSize || 8;
-    this.clusterRadius = options.clusterRadius || 0.55;
-    this.leafSize = options.leafSize || 0.35;
+    this.leafSize = options.leafSize || config.leafSize;
     this.chunkDivisions = options.chunkDivisions || [3, 2, 3]; // 18 chunks
+    this.wind = options.wind;
+    this.twigMaterial = options.twigMaterial || null;
 
     this.chunkMeshes = [];
+    this.cardMeshes = [];
+    this.twigMesh = null;
+    this.instances = null;
     this.material = null;
+    this.depthMaterial = null;
     this.leafTexture = null;
+    this.cardMaterial = null;
+    this.cardDepthMaterial = null;
+    this.cardTexture = null;
   }
 
   /**
-   * Build the full leaf system and return an array of chunk meshes.
+   * Build the full leaf system and return its meshes: the leaf chunks
+   * (chunkMeshes), then their cards (cardMeshes).
+   * @param {object} [instances] - packed placement from placeLeaves(), e.g.
+   *   computed in a worker; placed here from the skeleton when omitted
    */
-  build() {
-    // Generate leaf texture
-    this.leafTexture = generateOakLeafTexture(512);
+  build(instances = this.placeLeaves()) {
+    // Generate leaf texture for the species' leaf shape
+    this.leafTexture = generateLeafTexture(this.config.leafShape, 512);
+    // ...and the clusters of it the distant cards draw
+    this.cardTexture = generateLeafCardTexture(this.leafTexture, 512, this.config.seed);
 
-    // Create material
+    // Create materials
     this.material = this._createMaterial();
+    this.depthMaterial = this._createDepthMaterial();
+    this._createCardMaterials();
 
-    // Place leaves
-    const leaves = this._placeLeaves();
-    console.log(`[LeafSystem] ${leaves.length} leaf instances`);
+    console.log(`[LeafSystem] ${instances.count} leaf instances`);
 
     // Chunk and create meshes
-    this.chunkMeshes = this._createChunkedMeshes(leaves);
-    console.log(`[LeafSystem] ${this.chunkMeshes.length} chunks`);
+    this.instances = instances;
+    this.chunkMeshes = this._createChunkedMeshes(instances);
+    this.cardMeshes = this.chunkMeshes.map((mesh) => mesh.userData.cards);
+    const cardCount = this.cardMeshes.reduce((sum, mesh) => sum + mesh.count, 0);
+    console.log(`[LeafSystem] ${this.chunkMeshes.length} chunks, ${cardCount} leaf cards`);
+
+    if (this.twigMaterial) {
+      this.twigMesh = new THREE.Mesh(this._buildTwigs(instances), this.twigMaterial);
+      this.twigMesh.receiveShadow = true;
+      console.log(`[LeafSystem] ${this.twigMesh.geometry.index.count / 3} twig triangles`);
+    }
 
-    return this.chunkMeshes;
+    return [...this.chunkMeshes, ...this.cardMeshes];
+  }
+
+  /**
+   * Place leaves on the skeleton with this system's options.
+   * @param {object} [options] - extra placeLeaves options (nodes, seed)
+   * @returns {object} packed leaf instances (see placeLeaves)
+   */
+  placeLeaves(options = {}) {
+    return placeLeaves(this.skeleton, this.config, {
+      depthThreshold: this.depthThreshold,
+      ...options,
+    });
   }
 
   /**
-   * Place leaves at branch tips and return an array of leaf data.
+   * Follow a skeleton edit: drop leaves whose node was removed, renumber
+   * the rest, and grow leaves on the added nodes. Existing leaves keep
+   * their placement. chunkMeshes and cardMeshes are refilled in place;
+   * the caller swaps the returned meshes in the scene. twigMesh keeps its
+   * place and takes new geometry.
+   * @param {Int32Array|null} remap - old → new node index (-1 = removed), or null
+   * @param {number[]} addedNodes - indices of nodes added by the edit
+   * @returns {{ removed: THREE.InstancedMesh[], added: THREE.InstancedMesh[] }}
    */
-  _placeLeaves() {
-    const nodes = this.skeleton.getNodes();
-    const maxDepth = this.skeleton.getMaxDepth();
-    const minDepth = maxDepth * this.depthThreshold;
-    const rng = this.rng;
-    const leaves = [];
-
-    // Find qualifying nodes — outer canopy only
-    const candidates = [];
-    for (let i = 0; i < nodes.length; i++) {
-      if (nodes[i].depth >= minDepth) {
-        candidates.push(i);
+  applyEdit(remap, addedNodes) {
+    let instances = this.instances;
+    if (remap) {
+      instances = filterLeaves(instances, (i) => remap[instances.nodes[i]] >= 0);
+      for (let i = 0; i < instances.count; i++) {
+        instances.nodes[i] = remap[instances.nodes[i]];
       }
     }
+    if (addedNodes.length > 0) {
+      // Seed off the node count so repeated edits don't repeat the jitter
+      const seed = this.config.seed + 1234 + this.skeleton.nodes.length;
+      instances = concatLeaves(instances, this.placeLeaves({ nodes: addedNodes, seed }));
+    }
+    this.instances = instances;
 
-    // Trunk centre for outward-facing bias
-    const trunkCentre = new THREE.Vector3(0, this.config.crownCenterY, 0);
-
-    for (const nodeIdx of candidates) {
-      const node = nodes[nodeIdx];
-      // Cluster size: 3–maxClusterSize, thicker nodes get more
-      const thicknessFactor = Math.min(1, node.thickness / 0.1);
-      const clusterSize = 4 + Math.floor(rng() * (this.maxClusterSize - 4) * (0.5 + 0.5 * thicknessFactor));
-      const clusterR = this.clusterRadius * (0.7 + 0.6 * thicknessFactor);
-
-      for (let j = 0; j < clusterSize; j++) {
-        // Random offset within sphere
-        const theta = rng() * Math.PI * 2;
-        const phi = Math.acos(2 * rng() - 1);
-        const r = clusterR * Math.cbrt(rng()); // cube root for uniform volume
-        const ox = r * Math.sin(phi) * Math.cos(theta);
-        const oy = r * Math.sin(phi) * Math.sin(theta);
-        const oz = r * Math.cos(phi);
-
-        const pos = new THREE.Vector3(
-          node.position.x + ox,
-          node.position.y + oy,
-          node.position.z + oz
-        );
-
-        // Rotation: face roughly outward from trunk centre + random variation
-        const outward = pos.clone().sub(trunkCentre).normalize();
-        const yRot = Math.atan2(outward.x, outward.z) + (rng() - 0.5) * 1.0;
-        const xTilt = (rng() - 0.5) * 0.6;
-        const zTilt = (rng() - 0.5) * 0.6;
-        const rot = new THREE.Euler(xTilt, yRot, zTilt);
-
-        const scale = 0.8 + rng() * 0.4;
-        const windPhase = rng() * Math.PI * 2;
-        const colourVar = rng();
-        const stiffness = node.depth / maxDepth;
+    const removed = [...this.chunkMeshes.splice(0), ...this.cardMeshes.splice(0)];
+    for (const mesh of removed) mesh.geometry.dispose();
+    this.chunkMeshes.push(...this._createChunkedMeshes(instances));
+    this.cardMeshes.push(...this.chunkMeshes.map((mesh) => mesh.userData.cards));
+    const added = [...this.chunkMeshes, ...this.cardMeshes];
 
-        leaves.push({ pos, rot, scale, windPhase, colourVar, stiffness });
-      }
+    if (this.twigMesh) {
+      this.twigMesh.geometry.dispose();
+      this.twigMesh.geometry = this._buildTwigs(instances);
     }
 
-    return leaves;
+    console.log(`[LeafSystem] ${instances.count} leaf instances after edit`);
+    return { removed, added };
   }
 
   /**
-   * Split leaves into spatial chunks and create InstancedMeshes.
+   * Split leaves into spatial chunks and create InstancedMeshes, each with
+   * its card mesh in userData.cards and leaf bounds in userData.bounds.
+   * @param {object} leaves - packed leaf instances (see placeLeaves)
    */
   _createChunkedMeshes(leaves) {
-    if (leaves.length === 0) return [];
+    const { count: total, positions } = leaves;
+    if (total === 0) return [];
 
     // Compute bounds
     const min = new THREE.Vector3(Infinity, Infinity, Infinity);
     const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
-    for (const leaf of leaves) {
-      min.min(leaf.pos);
-      max.max(leaf.pos);
+    const pos = new THREE.Vector3();
+    for (let i = 0; i < total; i++) {
+      pos.fromArray(positions, i * 3);
+      min.min(pos);
+      max.max(pos);
     }
+    this.material.uniforms.uCrownCentre.value.addVectors(min, max).multiplyScalar(0.5);
     // Pad slightly
     min.subScalar(0.5);
     max.addScalar(0.5);
@@ -135,11 +173,11 @@ export class LeafSystem {
 
     // Assign leaves to chunks
     const chunks = new Map();
-    for (let i = 0; i < leaves.length; i++) {
-      const leaf = leaves[i];
-      const cx = Math.min(dx - 1, Math.floor((leaf.pos.x - min.x) / chunkSize.x));
-      const cy = Math.min(dy - 1, Math.floor((leaf.pos.y - min.y) / chunkSize.y));
-      const cz = Math.min(dz - 1, Math.floor((leaf.pos.z - min.z) / chunkSize.z));
+    for (let i = 0; i < total; i++) {
+      pos.fromArray(positions, i * 3);
+      const cx = Math.min(dx - 1, Math.floor((pos.x - min.x) / chunkSize.x));
+      const cy = Math.min(dy - 1, Math.floor((pos.y - min.y) / chunkSize.y));
+      const cz = Math.min(dz - 1, Math.floor((pos.z - min.z) / chunkSize.z));
       const key = `${cx}_${cy}_${cz}`;
       if (!chunks.has(key)) chunks.set(key, []);
       chunks.get(key).push(i);
@@ -151,27 +189,39 @@ export class LeafSystem {
     // Create one InstancedMesh per chunk
     const meshes = [];
     const dummy = new THREE.Object3D();
+    const rng = mulberry32(this.config.seed + 4321);
 
     for (const [, indices] of chunks) {
       const count = indices.length;
       const mesh = new THREE.InstancedMesh(geometry, this.material, count);
+      mesh.customDepthMaterial = this.depthMaterial;
       mesh.frustumCulled = true;
 
       const windPhases = new Float32Array(count);
       const colourVars = new Float32Array(count);
       const stiffnesses = new Float32Array(count);
+      const births = new Float32Array(count);
+      const branches = new Float32Array(count);
+      const bounds = new THREE.Box3();
 
       for (let i = 0; i < count; i++) {
-        const leaf = leaves[indices[i]];
-        dummy.position.copy(leaf.pos);
-        dummy.rotation.copy(leaf.rot);
-        dummy.scale.setScalar(leaf.scale);
+        const leaf = indices[i];
+        dummy.position.fromArray(positions, leaf * 3);
+        dummy.rotation.set(
+          leaves.rotations[leaf * 3],
+          leaves.rotations[leaf * 3 + 1],
+          leaves.rotations[leaf * 3 + 2]
+        );
+        dummy.scale.setScalar(leaves.scales[leaf]);
         dummy.updateMatrix();
         mesh.setMatrixAt(i, dummy.matrix);
+        bounds.expandByPoint(dummy.position);
 
-        windPhases[i] = leaf.windPhase;
-        colourVars[i] = leaf.colourVar;
-        stiffnesses[i] = leaf.stiffness;
+        windPhases[i] = leaves.windPhases[leaf];
+        colourVars[i] = leaves.colourVars[leaf];
+        stiffnesses[i] = leaves.stiffnesses[leaf];
+        births[i] = leaves.births[leaf];
+        branches[i] = this.wind.branchOf(leaves.nodes[leaf]);
       }
 
       mesh.instanceMatrix.needsUpdate = true;
@@ -184,6 +234,14 @@ export class LeafSystem {
         new THREE.InstancedBufferAttribute(colourVars, 1));
       mesh.geometry.setAttribute('aBranchStiffness',
         new THREE.InstancedBufferAttribute(stiffnesses, 1));
+      mesh.geometry.setAttribute('aBirth',
+        new THREE.InstancedBufferAttribute(births, 1));
+      mesh.geometry.setAttribute('aBranch',
+        new THREE.InstancedBufferAttribute(branches, 1));
+
+      // Wind moves leaves a little off their rest positions
+      mesh.userData.bounds = bounds.expandByScalar(0.5);
+      mesh.userData.cards = this._createCardMesh(leaves, indices, rng);
 
       meshes.push(mesh);
     }
@@ -191,6 +249,118 @@ export class LeafSystem {
     return meshes;
   }
 
+  /**
+   * Gather a chunk's leaves into clusters on a leafCardSize grid and make
+   * one card for each: at the cluster's centre, big enough to cover it,
+   * riding the branch of the leaf nearest the centre.
+   * @param {object} leaves - packed leaf instances (see placeLeaves)
+   * @param {number[]} indices - the chunk's leaves
+   * @param {function(): number} rng
+   * @returns {THREE.InstancedMesh}
+   */
+  _createCardMesh(leaves, indices, rng) {
+    const { positions, scales, births, nodes } = leaves;
+    const cellSize = this.config.leafCardSize;
+    const clusters = new Map();
+    for (const leaf of indices) {
+      const x = Math.floor(positions[leaf * 3] / cellSize);
+      const y = Math.floor(positions[leaf * 3 + 1] / cellSize);
+      const z = Math.floor(positions[leaf * 3 + 2] / cellSize);
+      const key = `${x}_${y}_${z}`;
+      if (!clusters.has(key)) clusters.set(key, []);
+      clusters.get(key).push(leaf);
+    }
+
+    const count = clusters.size;
+    const centres = new Float32Array(count * 4);
+    const cardLeaves = new Float32Array(count * 4);
+    const centre = new THREE.Vector3();
+    const pos = new THREE.Vector3();
+    const bounds = new THREE.Box3();
+    let c = 0;
+
+    for (const cluster of clusters.values()) {
+      centre.set(0, 0, 0);
+      let birth = 0;
+      for (const leaf of cluster) {
+        centre.add(pos.fromArray(positions, leaf * 3));
+        birth += births[leaf];
+      }
+      centre.divideScalar(cluster.length);
+
+      let radius = 0;
+      let nearest = cluster[0];
+      let nearestDist = Infinity;
+      for (const leaf of cluster) {
+        const dist = pos.fromArray(positions, leaf * 3).distanceTo(centre);
+        radius = Math.max(radius, dist + this.leafSize * scales[leaf] * 0.5);
+        if (dist < nearestDist) {
+          nearestDist = dist;
+          nearest = leaf;
+        }
+      }
+
+      centres.set([centre.x, centre.y, centre.z, radius], c * 4);
+      cardLeaves.set([rng(), birth / cluster.length, this.wind.branchOf(nodes[nearest]), cardTileFor(cluster.length)], c * 4);
+      bounds.expandByPoint(centre);
+      c++;
+    }
+
+    const geometry = new THREE.PlaneGeometry(1, 1);
+    geometry.setAttribute('aCardCentre', new THREE.InstancedBufferAttribute(centres, 4));
+    geometry.setAttribute('aCardLeaf', new THREE.InstancedBufferAttribute(cardLeaves, 4));
+
+    const mesh = new THREE.InstancedMesh(geometry, this.cardMaterial, count);
+    mesh.customDepthMaterial = this.cardDepthMaterial;
+    // Cards are placed in the shader; cull on the clusters they cover
+    mesh.boundingSphere = bounds.expandByScalar(cellSize + 0.5).getBoundingSphere(new THREE.Sphere());
+    return mesh;
+  }
+
+  /**
+   * Crossfade leaves and cards for the camera — call each frame before
+   * rendering. Chunks wholly past the fade draw only their cards, and
+   * chunks wholly short of it only their leaves.
+   * @param {THREE.Camera} camera
+   */
+  updateLod(camera) {
+    const { uLodCamera, uLodRange } = this.material.uniforms;
+    const eye = uLodCamera.value.copy(camera.position);
+    const { x: near, y: far } = uLodRange.value;
+
+    for (const mesh of this.chunkMeshes) {
+      const { bounds, cards } = mesh.userData;
+      _corner.set(
+        Math.max(Math.abs(eye.x - bounds.min.x), Math.abs(eye.x - bounds.max.x)),
+        Math.max(Math.abs(eye.y - bounds.min.y), Math.abs(eye.y - bounds.max.y)),
+        Math.max(Math.abs(eye.z - bounds.min.z), Math.abs(eye.z - bounds.max.z))
+      );
+      mesh.visible = bounds.distanceToPoint(eye) < far;
+      cards.visible = _corner.length() > near;
+    }
+  }
+
+  /**
+   * Scale the leaf → card fade distances, e.g. to swap to cards sooner
+   * at lower quality. The fade never starts short of minDistance, so
+   * cards don't show within the orbit.
+   * @param {number} scale - 1 for config.leafLODDistances
+   * @param {number} [minDistance=0] - e.g. the orbit's max distance
+   */
+  setLodScale(scale, minDistance = 0) {
+    const [near, far] = this.config.leafLODDistances;
+    const start = Math.max(near * scale, minDistance);
+    this.material.uniforms.uLodRange.value.set(start, start + (far - near) * scale);
+  }
+
+  /**
+   * Twigs for the placed leaves, swaying with their branches.
+   * @param {object} leaves - packed leaf instances (see placeLeaves)
+   */
+  _buildTwigs(leaves) {
+    return buildTwigGeometry(this.skeleton, this.config, leaves, (node) => this.wind.branchOf(node));
+  }
+
   /**
    * Create the CSM leaf material.
    */
@@ -200,14 +370,26 @@ export class LeafSystem {
       vertexShader: leafVertShader,
       fragmentShader: leafFragShader,
       uniforms: {
+        ...this.wind.uniforms,
         uLeafTexture: { value: this.leafTexture },
-        uTime: { value: 0 },
-        uWindDirection: { value: new THREE.Vector2(1.0, 0.3).normalize() },
-        uWindStrength: { value: 0.3 },
         uLightDirection: { value: new THREE.Vector3(0.5, 0.8, 0.3).normalize() },
         uTranslucencyPower: { value: 3.0 },
         uTranslucencyScale: { value: 0.6 },
+        // Season progressions, set by Seasons (environment/Seasons.js)
         uSeasonMix: { value: 0.0 },
+        uLeafOut: { value: 1.0 },
+        uLeafDrop: { value: 0.0 },
+        uFresh: { value: 0.0 },
+        uBlossom: { value: 0.0 },
+        uBlossomTint: { value: new THREE.Vector3(1, 1, 1) },
+        uGrowth: { value: 1.0 },
+        uUnfurlSpan: { value: this.config.leafUnfurlSpan },
+        uLeafPalette: { value: this.config.leafPalette.map((c) => new THREE.Vector3().fromArray(c)) },
+        uAutumnPalette: { value: this.config.leafAutumnPalette.map((c) => new THREE.Vector3().fromArray(c)) },
+        // Leaf → card crossfade (see updateLod)
+        uLodCamera: { value: new THREE.Vector3() },
+        uLodRange: { value: new THREE.Vector2().fromArray(this.config.leafLODDistances) },
+        uCrownCentre: { value: new THREE.Vector3() },
       },
       side: THREE.DoubleSide,
       alphaTest: 0.5,
@@ -215,22 +397,56 @@ export class LeafSystem {
   }
 
   /**
-   * Update time uniform — call each frame.
+   * Create the leaf material's shadow-pass twin, sharing its uniforms: the
+   * leaves cast shadows as they sway, cut out and fade into the cards.
    */
-  update(time) {
-    if (this.material) {
-      this.material.uniforms.uTime.value = time;
-    }
+  _createDepthMaterial() {
+    return new CustomShaderMaterial({
+      baseMaterial: THREE.MeshDepthMaterial,
+      vertexShader: leafVertShader,
+      fragmentShader: leafDepthFragShader,
+      uniforms: this.material.uniforms,
+    });
+  }
+
+  /**
+   * Create the CSM card material and its shadow-pass twin. Both share the
+   * leaf material's uniforms, so seasons, growth and wind reach the cards.
+   */
+  _createCardMaterials() {
+    const uniforms = {
+      ...this.material.uniforms,
+      uCardTexture: { value: this.cardTexture },
+    };
+    this.cardMaterial = new CustomShaderMaterial({
+      baseMaterial: THREE.MeshStandardMaterial,
+      vertexShader: leafCardVertShader,
+      fragmentShader: leafCardFragShader,
+      uniforms,
+      // Double-sided so the shadow pass, which draws back faces, sees them
+      side: THREE.DoubleSide,
+    });
+    this.cardDepthMaterial = new CustomShaderMaterial({
+      baseMaterial: THREE.MeshDepthMaterial,
+      vertexShader: leafCardVertShader,
+      fragmentShader: leafCardDepthFragShader,
+      uniforms,
+    });
   }
 
   /**
    * Dispose all resources.
    */
   dispose() {
-    for (const mesh of this.chunkMeshes) {
+    for (const mesh of [...this.chunkMeshes, ...this.cardMeshes]) {
       mesh.geometry.dispose();
     }
+    if (this.twigMesh) this.twigMesh.geometry.dispose();
     if (this.material) this.material.dispose();
+    if (this.depthMaterial) this.depthMaterial.dispose();
+    if (this.cardMaterial) this.cardMaterial.dispose();
+    if (this.cardDepthMaterial) this.cardDepthMaterial.dispose();
     if (this.leafTexture) this.leafTexture.dispose();
+    if (this.cardTexture) this.cardTexture.dispose();
   }
 }
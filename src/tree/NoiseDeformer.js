@@ -1,6 +1,24 @@
 import { SimplexNoise } from '../utils/SimplexNoise.js';
 import { mulberry32, smoothstep } from '../utils/math.js';
 
+const LOBE_PHASE = 3.7; // fixed phase of the root flare lobe pattern
+
+const _carve = { displacement: 0, hollow: 0 };
+
+/**
+ * World azimuths of the root flare lobe peaks — angles around +Y, from +X
+ * toward +Z — where surface roots leave the trunk (see RootSystem.js).
+ * @param {{ lobeCount: number }} config
+ * @returns {number[]}
+ */
+export function flareLobeAzimuths(config) {
+  const azimuths = [];
+  for (let k = 0; k < config.lobeCount; k++) {
+    azimuths.push((Math.PI / 2 - LOBE_PHASE + Math.PI * 2 * k) / config.lobeCount);
+  }
+  return azimuths;
+}
+
 /**
  * Layered noise deformation for trunk/branch mesh vertices.
  * Each layer is applied in sequence during mesh generation.
@@ -75,20 +93,23 @@ export class NoiseDeformer {
   // ── Layer 3: Root Flare ─────────────────────────────────────
   /**
    * Compute root flare displacement. Only active below flareHeight.
+   * Lobes are fixed in world space so surface roots can line up with them.
    *
-   * @param {number} theta - angle around circumference
+   * @param {number} azimuth - world angle of the vertex around the trunk
    * @param {number} height - world-space Y of this vertex
    * @param {number} baseRadius - local taper radius
    * @returns {number} additional radius
    */
-  rootFlare(theta, height, baseRadius) {
+  rootFlare(azimuth, height, baseRadius) {
     const { flareHeight, flareAmount, lobeCount } = this.config;
     if (height > flareHeight) return 0;
 
     const falloff = Math.pow(Math.max(0, 1 - height / flareHeight), 2);
-    const lobeSeed = 3.7; // fixed seed for lobe pattern
-    const lobePattern = 0.5 + 0.5 * Math.sin(theta * lobeCount + lobeSeed);
-    const noiseModulation = 0.7 + 0.3 * this.simplex.noise3D(theta * 2, height * 3, 0);
+    const lobePattern = 0.5 + 0.5 * Math.sin(azimuth * lobeCount + LOBE_PHASE);
+    // Sampled around a circle so the modulation wraps without a seam
+    const noiseModulation = 0.7 + 0.3 * this.simplex.noise3D(
+      Math.cos(azimuth) * 2, Math.sin(azimuth) * 2, height * 3
+    );
 
     return baseRadius * flareAmount * falloff * lobePattern * noiseModulation;
   }
@@ -117,4 +138,42 @@ export class NoiseDeformer {
     }
     return totalDisp;
   }
+
+  // ── Layer 6: Cavities ───────────────────────────────────────
+  /**
+   * Carve hollows and knot holes: a steep-walled pit inside each cavity's
+   * ragged rim, ringed by a rolled lip of wound wood just outside it.
+   * Hollows are stretched vertically, like rot following the grain.
+   *
+   * @param {THREE.Vector3} vertexPos - vertex world position
+   * @param {number} radius - local branch radius; pits stop short of the pith
+   * @param {Array} cavities - array of { center, radius, depth, stretch, lip }
+   * @returns {{ displacement: number, hollow: number }} displacement along
+   *   normal (negative inside) and how far into a pit the vertex sits, 0–1.
+   *   The object is reused by the next call.
+   */
+  cavityDisplacement(vertexPos, radius, cavities) {
+    let displacement = 0;
+    let hollow = 0;
+    for (const cavity of cavities) {
+      const dx = vertexPos.x - cavity.center.x;
+      const dy = (vertexPos.y - cavity.center.y) / cavity.stretch;
+      const dz = vertexPos.z - cavity.center.z;
+      const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) / cavity.radius;
+      if (dist > 1.6) continue;
+
+      const rim = 1 + 0.2 * this.simplex.noise3D(
+        vertexPos.x * 7,
+        vertexPos.y * 7,
+        vertexPos.z * 7
+      );
+      const pit = smoothstep(rim, rim * 0.6, dist);
+      displacement -= Math.min(cavity.depth, radius * 0.7) * pit;
+      displacement += cavity.lip * Math.exp(-(((dist - rim) / 0.25) ** 2));
+      hollow = Math.max(hollow, pit);
+    }
+    _carve.displacement = displacement;
+    _carve.hollow = hollow;
+    return _carve;
+  }
 }
@@ -0,0 +1,59 @@
+/**
+ * Leonardo's pipe model — a node's thickness is the n-th root of the sum of
+ * its children's thicknesses raised to n, with every tip thickness 1.
+ *
+ * Writes unscaled thickness into each node (traversing leaves to root) and
+ * returns the root's, so callers can scale the tree to a trunk radius.
+ *
+ * @param {Array<{ parentIndex: number, childCount: number, thickness: number }>} nodes - node 0 is the root
+ * @param {number} exponent - pipe exponent n
+ * @returns {number} unscaled root thickness
+ */
+export function computePipeThickness(nodes, exponent) {
+  const n = exponent;
+
+  // Find leaf nodes (childCount === 0)
+  for (let i = 0; i < nodes.length; i++) {
+    if (nodes[i].childCount === 0) {
+      nodes[i].thickness = 1;
+    }
+  }
+
+  // Build children map for bottom-up traversal
+  const children = new Array(nodes.length);
+  for (let i = 0; i < nodes.length; i++) children[i] = [];
+  for (let i = 0; i < nodes.length; i++) {
+    if (nodes[i].parentIndex >= 0) {
+      children[nodes[i].parentIndex].push(i);
+    }
+  }
+
+  // Bottom-up: post-order traversal
+  const visited = new Uint8Array(nodes.length);
+  const stack = [0];
+  const order = [];
+
+  while (stack.length > 0) {
+    const idx = stack.pop();
+    if (visited[idx]) continue;
+    visited[idx] = 1;
+    order.push(idx);
+    for (const child of children[idx]) {
+      stack.push(child);
+    }
+  }
+
+  // Process in reverse order (leaves first)
+  for (let i = order.length - 1; i >= 0; i--) {
+    const idx = order[i];
+    if (children[idx].length > 0) {
+      let sum = 0;
+      for (const child of children[idx]) {
+        sum += Math.pow(nodes[child].thickness, n);
+      }
+      nodes[idx].thickness = Math.pow(sum, 1 / n);
+    }
+  }
+
+  return nodes[0].thickness;
+}
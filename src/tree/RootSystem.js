@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import { SpaceColonization } from './SpaceColonization.js';
+import { TreeSkeleton } from './TreeSkeleton.js';
+import { TrunkMesh } from './TrunkMesh.js';
+import { flareLobeAzimuths } from './NoiseDeformer.js';
+import { computePipeThickness } from './PipeModel.js';
+import { mulberry32 } from '../utils/math.js';
+import { TREE_CONFIG } from '../config.js';
+
+/**
+ * Space colonization run in reverse: roots grow down and out from the trunk
+ * base toward attractors scattered through a shallow disc of soil. One root
+ * starts at each root flare lobe, so the flare reads as the roots' swelling.
+ */
+export class RootColonization extends SpaceColonization {
+  constructor(config = TREE_CONFIG) {
+    super(config);
+    this.rng = mulberry32(config.seed + 2468);
+  }
+
+  /**
+   * Scatter attractors in a disc around the base, denser near the surface
+   * where most feeder roots spread.
+   */
+  _generateAttractors() {
+    const { rootAttractorCount, rootSpread, rootDepth, trunkBaseRadius } = this.config;
+    const rng = this.rng;
+    this.attractors = [];
+
+    for (let i = 0; i < rootAttractorCount; i++) {
+      const angle = rng() * Math.PI * 2;
+      const r = trunkBaseRadius + Math.sqrt(rng()) * (rootSpread - trunkBaseRadius);
+      const y = -rootDepth * rng() * rng();
+      this.attractors.push(new THREE.Vector3(Math.cos(angle) * r, y, Math.sin(angle) * r));
+    }
+  }
+
+  /**
+   * Seed a hub inside the trunk base with one root leaving each flare lobe.
+   */
+  _seedTrunk() {
+    const { trunkBaseRadius, flareAmount } = this.config;
+    const azimuths = flareLobeAzimuths(this.config);
+    const r = trunkBaseRadius * (1 + flareAmount * 0.5);
+
+    this.nodes.push({
+      position: new THREE.Vector3(0, 0, 0),
+      parentIndex: -1,
+      depth: 0,
+      thickness: 0,
+      childCount: azimuths.length,
+      birth: 0,
+    });
+    for (const azimuth of azimuths) {
+      this.nodes.push({
+        position: new THREE.Vector3(Math.cos(azimuth) * r, 0, Math.sin(azimuth) * r),
+        parentIndex: 0,
+        depth: 1,
+        thickness: 0,
+        childCount: 0,
+        birth: 1,
+      });
+    }
+  }
+
+  _createTropism() {
+    const { rootGravitropism } = this.config;
+    if (!rootGravitropism) return null;
+    return (dir) => {
+      dir.y += rootGravitropism;
+    };
+  }
+
+  _createShadowGrid() {
+    return null;
+  }
+
+  /**
+   * Pipe model, scaled so the thickest root leaves its flare lobe at
+   * rootBaseRadius × trunkBaseRadius.
+   */
+  _computeThickness() {
+    computePipeThickness(this.nodes, this.config.pipeExponent);
+    let thickest = 0;
+    for (const node of this.nodes) {
+      if (node.parentIndex === 0) thickest = Math.max(thickest, node.thickness);
+    }
+    if (thickest > 0) {
+      const scale = (this.config.rootBaseRadius * this.config.trunkBaseRadius) / thickest;
+      for (const node of this.nodes) {
+        node.thickness *= scale;
+      }
+    }
+  }
+}
+
+/**
+ * Keep the roots that break the surface. A node stays while it or its
+ * parent pokes above ground, so every kept root ends one node underground
+ * instead of in an open ring at the surface.
+ *
+ * @param {Array<object>} nodes - root nodes, parents before children
+ * @returns {Array<object>} compacted nodes with parent indices remapped
+ */
+export function surfaceRoots(nodes) {
+  const visible = nodes.map((node) => node.position.y + node.thickness > 0);
+  const remap = new Int32Array(nodes.length).fill(-1);
+  const kept = [];
+
+  for (let i = 0; i < nodes.length; i++) {
+    const parent = nodes[i].parentIndex;
+    if (parent >= 0 && (remap[parent] < 0 || !(visible[i] || visible[parent]))) continue;
+    remap[i] = kept.length;
+    kept.push({ ...nodes[i], parentIndex: parent >= 0 ? remap[parent] : -1, childCount: 0 });
+  }
+  for (const node of kept) {
+    if (node.parentIndex >= 0) kept[node.parentIndex].childCount++;
+  }
+  return kept;
+}
+
+/**
+ * Grow the root system and sweep its surface roots with the trunk mesher —
+ * same bark, cross-sections and noise, but no flare, burls, stubs or wind.
+ *
+ * @param {object} config - TREE_CONFIG-shaped object
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function buildRootGeometry(config = TREE_CONFIG) {
+  const nodes = surfaceRoots(new RootColonization(config).generate());
+  const skeleton = new TreeSkeleton(config).setNodes(nodes);
+  if (skeleton.getBranchAxes().length === 0) return null;
+
+  const mesh = new TrunkMesh(skeleton, { ...config, deadStubCount: 0, brokenLimbCount: 0 });
+  mesh.enableRootFlare = false;
+  mesh.enableBurls = false;
+  mesh.enableCavities = false;
+  mesh.enableWind = false;
+  return mesh.build();
+}
@@ -0,0 +1,144 @@
+/**
+ * Shadow propagation voxel grid (Palubicki et al. 2009, "Self-organizing
+ * tree models for image synthesis").
+ *
+ * Every node casts a pyramid of shadow downward: its own voxel receives
+ * `strength`, and each layer q below spreads `strength · falloff^-q` over a
+ * (2q+1)² square. Summed shadow approximates how occluded a point in the
+ * crown is from the sky, so growth can favour lit space and skip buds in
+ * the dark crown interior.
+ */
+export class ShadowGrid {
+  /**
+   * @param {THREE.Vector3} center - centre of the region to cover
+   * @param {THREE.Vector3} halfSize - half extents of the region
+   * @param {object} options
+   * @param {number} options.voxelSize - voxel edge length
+   * @param {number} options.depth - layers a shadow pyramid extends downward
+   * @param {number} options.strength - shadow added in a node's own voxel
+   * @param {number} options.falloff - per-layer attenuation base (> 1)
+   */
+  constructor(center, halfSize, { voxelSize, depth, strength, falloff }) {
+    this.voxelSize = voxelSize;
+    this.depth = depth;
+    this.strength = strength;
+
+    this.min = center.clone().sub(halfSize);
+    this.nx = Math.max(1, Math.ceil((halfSize.x * 2) / voxelSize));
+    this.ny = Math.max(1, Math.ceil((halfSize.y * 2) / voxelSize));
+    this.nz = Math.max(1, Math.ceil((halfSize.z * 2) / voxelSize));
+    this.shadow = new Float32Array(this.nx * this.ny * this.nz);
+
+    // Precomputed per-layer shadow amounts
+    this.layerShadow = new Float32Array(depth + 1);
+    for (let q = 0; q <= depth; q++) {
+      this.layerShadow[q] = strength * Math.pow(falloff, -q);
+    }
+  }
+
+  _voxel(position) {
+    return {
+      x: Math.floor((position.x - this.min.x) / this.voxelSize),
+      y: Math.floor((position.y - this.min.y) / this.voxelSize),
+      z: Math.floor((position.z - this.min.z) / this.voxelSize),
+    };
+  }
+
+  _sample(x, y, z) {
+    // Outside the grid there is nothing to cast shadow
+    if (x < 0 || y < 0 || z < 0 || x >= this.nx || y >= this.ny || z >= this.nz) return 0;
+    return this.shadow[(y * this.nz + z) * this.nx + x];
+  }
+
+  /**
+   * Cast a node's shadow pyramid into the grid.
+   * @param {THREE.Vector3} position
+   */
+  addNode(position) {
+    this._castPyramid(position, 1);
+  }
+
+  /**
+   * Lift a previously cast shadow pyramid (e.g. when a shoot is shed).
+   * @param {THREE.Vector3} position
+   */
+  removeNode(position) {
+    this._castPyramid(position, -1);
+  }
+
+  _castPyramid(position, sign) {
+    const { nx, ny, nz, shadow } = this;
+    const v = this._voxel(position);
+
+    for (let q = 0; q <= this.depth; q++) {
+      const y = v.y - q;
+      if (y < 0) break;
+      if (y >= ny) continue;
+      const s = this.layerShadow[q] * sign;
+      const x0 = Math.max(0, v.x - q);
+      const x1 = Math.min(nx - 1, v.x + q);
+      const z0 = Math.max(0, v.z - q);
+      const z1 = Math.min(nz - 1, v.z + q);
+      for (let z = z0; z <= z1; z++) {
+        const row = (y * nz + z) * nx;
+        for (let x = x0; x <= x1; x++) {
+          shadow[row + x] += s;
+        }
+      }
+    }
+  }
+
+  /**
+   * Accumulated shadow at a position (0 = open sky).
+   * @param {THREE.Vector3} position
+   * @returns {number}
+   */
+  shadowAt(position) {
+    const v = this._voxel(position);
+    return this._sample(v.x, v.y, v.z);
+  }
+
+  /**
+   * Direction of decreasing shadow around a position (toward better-lit
+   * space), from central differences over neighbouring voxels.
+   *
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} out - receives a unit vector, or zero in uniform light
+   * @returns {THREE.Vector3} out
+   */
+  lightDirection(position, out) {
+    const v = this._voxel(position);
+    out.set(
+      this._sample(v.x - 1, v.y, v.z) - this._sample(v.x + 1, v.y, v.z),
+      this._sample(v.x, v.y - 1, v.z) - this._sample(v.x, v.y + 1, v.z),
+      this._sample(v.x, v.y, v.z - 1) - this._sample(v.x, v.y, v.z + 1)
+    );
+    const len = out.length();
+    if (len < 1e-6) return out.set(0, 0, 0);
+    return out.divideScalar(len);
+  }
+
+  /**
+   * Create a grid covering a crown envelope, padded by the influence
+   * radius sideways/upward and by the shadow depth downward.
+   *
+   * @param {{ center: THREE.Vector3, halfSize: THREE.Vector3 }} envelope
+   * @param {object} config - TREE_CONFIG-shaped object
+   * @returns {ShadowGrid}
+   */
+  static forEnvelope(envelope, config) {
+    const { shadowVoxelSize, shadowDepth, shadowStrength, shadowFalloff, influenceRadius } = config;
+    const min = envelope.center.clone().sub(envelope.halfSize).subScalar(influenceRadius);
+    const max = envelope.center.clone().add(envelope.halfSize).addScalar(influenceRadius);
+    min.y = Math.min(min.y, 0) - shadowDepth * shadowVoxelSize;
+
+    const center = min.clone().add(max).multiplyScalar(0.5);
+    const halfSize = max.clone().sub(min).multiplyScalar(0.5);
+    return new ShadowGrid(center, halfSize, {
+      voxelSize: shadowVoxelSize,
+      depth: shadowDepth,
+      strength: shadowStrength,
+      falloff: shadowFalloff,
+    });
+  }
+}
@@ -1,7 +1,31 @@
 import * as THREE from 'three';
 import { mulberry32 } from '../utils/math.js';
+import { SpatialHashGrid } from '../utils/SpatialHashGrid.js';
+import { createCrownEnvelope } from './CrownEnvelope.js';
+import { ShadowGrid } from './ShadowGrid.js';
+import { computePipeThickness } from './PipeModel.js';
 import { TREE_CONFIG } from '../config.js';
 
+// Furthest tropisms and light-seeking may bend growth away from the
+// attractor direction. Bent further, a new node can end up no closer to
+// its attractors than its parent, which then re-grows every iteration.
+const MAX_TROPISM_ANGLE = Math.PI / 3;
+
+/**
+ * Rotate a unit direction toward a unit axis so the angle between them is
+ * at most acos(cosMax). Directions already inside the cone are untouched.
+ */
+function clampToCone(dir, axis, cosMax, sinMax) {
+  const cos = dir.dot(axis);
+  if (cos >= cosMax) return;
+  dir.addScaledVector(axis, -cos);
+  if (dir.lengthSq() < 1e-12) {
+    dir.copy(axis);
+    return;
+  }
+  dir.normalize().multiplyScalar(sinMax).addScaledVector(axis, cosMax);
+}
+
 /**
  * Space colonization algorithm for generating an organic tree skeleton.
  * Reference: Runions, Lane, Prusinkiewicz (2007)
@@ -10,47 +34,56 @@ export class SpaceColonization {
   constructor(config = TREE_CONFIG) {
     this.config = config;
     this.rng = mulberry32(config.seed);
-    this.nodes = [];       // { position, parentIndex, depth, thickness, childCount }
+    this.nodes = [];       // { position, parentIndex, depth, thickness, childCount, birth }
     this.attractors = [];  // THREE.Vector3[]
   }
 
   /**
    * Run the full algorithm and return the node graph.
+   * @param {function(number): void} [onProgress] - receives growth progress in [0, 1]
    */
-  generate() {
+  generate(onProgress) {
     this._generateAttractors();
     this._seedTrunk();
-    this._grow();
+    this._grow(onProgress);
+    this._shedShadedShoots();
     this._computeThickness();
     return this.nodes;
   }
 
   /**
-   * Scatter attractor points within an oblate ellipsoid crown envelope.
-   * Uses rejection sampling.
+   * Scatter attractor points within the crown envelope (an oblate ellipsoid
+   * unless TREE_CONFIG.crownEnvelope names another shape).
+   * Uses rejection sampling inside the envelope's bounding box.
    */
   _generateAttractors() {
-    const { crownRadiusX, crownRadiusY, crownRadiusZ, crownCenterY, attractorCount } = this.config;
+    const { attractorCount } = this.config;
+    const envelope = createCrownEnvelope(this.config);
+    const { center, halfSize } = envelope;
+    this.envelope = envelope;
     const rng = this.rng;
     this.attractors = [];
 
-    while (this.attractors.length < attractorCount) {
-      const x = (rng() * 2 - 1) * crownRadiusX;
-      const y = (rng() * 2 - 1) * crownRadiusY + crownCenterY;
-      const z = (rng() * 2 - 1) * crownRadiusZ;
+    const maxAttempts = attractorCount * 1000;
+    for (let attempt = 0; this.attractors.length < attractorCount; attempt++) {
+      if (attempt >= maxAttempts) {
+        console.warn(`[SpaceColonization] Crown envelope too thin — placed ${this.attractors.length} of ${attractorCount} attractors`);
+        break;
+      }
 
-      // Test if inside ellipsoid
-      const nx = x / crownRadiusX;
-      const ny = (y - crownCenterY) / crownRadiusY;
-      const nz = z / crownRadiusZ;
-      if (nx * nx + ny * ny + nz * nz <= 1.0) {
+      const x = (rng() * 2 - 1) * halfSize.x + center.x;
+      const y = (rng() * 2 - 1) * halfSize.y + center.y;
+      const z = (rng() * 2 - 1) * halfSize.z + center.z;
+
+      if (envelope.contains(x, y, z)) {
         this.attractors.push(new THREE.Vector3(x, y, z));
       }
     }
   }
 
   /**
-   * Pre-seed trunk column from ground to crown base.
+   * Pre-seed trunk column from ground to crown base. Trunk nodes are born
+   * one step apart so the growth animation extrudes the trunk first.
    */
   _seedTrunk() {
     const { trunkHeight, segmentLength } = this.config;
@@ -64,6 +97,7 @@ export class SpaceColonization {
         depth: i,
         thickness: 0,
         childCount: 0,
+        birth: i,
       });
     }
 
@@ -75,134 +109,269 @@ export class SpaceColonization {
 
   /**
    * Main growth loop.
+   *
+   * Nodes are only ever appended, so an attractor's nearest node can only
+   * change to one grown since the last iteration. Each attractor caches its
+   * nearest node, and a spatial hash grid over live attractors lets every
+   * new node update just the attractors around it. Dead attractors are
+   * swap-removed from both; influences are replayed in the attractors'
+   * generation order so the node graph is identical to a brute-force scan.
+   *
+   * Progress is the larger of the iteration budget used and the share of
+   * attractors consumed — growth usually stops early once they run out.
    */
-  _grow() {
+  _grow(onProgress) {
     const { influenceRadius, killDistance, segmentLength, maxIterations } = this.config;
     const rng = this.rng;
+    const nodes = this.nodes;
+    const attractors = this.attractors;
+    const tropism = this._createTropism();
+    const shadows = this._createShadowGrid();
+    this.shadows = shadows;
+    const { shadowBias, shadowThreshold } = this.config;
+    const attractorDir = new THREE.Vector3();
+    const lightDir = new THREE.Vector3();
+    const cosMax = Math.cos(MAX_TROPISM_ANGLE);
+    const sinMax = Math.sin(MAX_TROPISM_ANGLE);
+
+    // Nodes further than this can neither kill nor influence an attractor
+    const searchRadius = Math.max(influenceRadius, killDistance);
+    const grid = new SpatialHashGrid(searchRadius * 0.5);
+
+    // Per-attractor state, indexed by generation-order id. The live list
+    // keeps ids alongside positions because swap-remove reorders it.
+    const count = attractors.length;
+    const attractorIds = new Array(count);
+    const positionsById = attractors.slice();
+    const closestIdx = new Int32Array(count).fill(-1);
+    const closestDist = new Float64Array(count).fill(Infinity);
+    for (let id = 0; id < count; id++) {
+      attractorIds[id] = id;
+      grid.insert(id, attractors[id]);
+    }
+
+    const candidates = [];
+    let firstNewNode = 0;
+
+    // Growth steps continue on from the pre-seeded trunk's births
+    const firstBirth = nodes.length;
 
     for (let iter = 0; iter < maxIterations; iter++) {
-      if (this.attractors.length === 0) break;
+      if (attractors.length === 0) break;
+      if (onProgress) {
+        onProgress(Math.max(iter / maxIterations, 1 - attractors.length / count));
+      }
 
-      // For each attractor find nearest node within influence radius
-      const nodeInfluences = new Map(); // nodeIndex → [attractor directions]
-
-      for (let ai = this.attractors.length - 1; ai >= 0; ai--) {
-        const attr = this.attractors[ai];
-        let closestIdx = -1;
-        let closestDist = Infinity;
-
-        for (let ni = 0; ni < this.nodes.length; ni++) {
-          const dist = attr.distanceTo(this.nodes[ni].position);
-          if (dist < closestDist) {
-            closestDist = dist;
-            closestIdx = ni;
+      // Update cached nearest nodes with the nodes grown last iteration
+      for (let ni = firstNewNode; ni < nodes.length; ni++) {
+        const nodePos = nodes[ni].position;
+        grid.query(nodePos, searchRadius, candidates);
+        for (let ci = 0; ci < candidates.length; ci++) {
+          const id = candidates[ci];
+          const dist = positionsById[id].distanceTo(nodePos);
+          // Ties resolve to the lowest node index, as a linear scan would
+          if (dist < closestDist[id] || (dist === closestDist[id] && ni < closestIdx[id])) {
+            closestDist[id] = dist;
+            closestIdx[id] = ni;
           }
         }
+      }
+      firstNewNode = nodes.length;
 
-        // Kill attractor if too close
-        if (closestDist < killDistance) {
-          this.attractors.splice(ai, 1);
+      // For each attractor find nearest node within influence radius
+      const nodeInfluences = new Map(); // nodeIndex → [{ id, attractor }]
+
+      for (let ai = attractors.length - 1; ai >= 0; ai--) {
+        const id = attractorIds[ai];
+        const dist = closestDist[id];
+
+        // Kill attractor if too close. Slots above ai are already visited,
+        // so the swapped-in attractor is not processed twice.
+        if (dist < killDistance) {
+          grid.remove(id, positionsById[id]);
+          attractors[ai] = attractors[attractors.length - 1];
+          attractorIds[ai] = attractorIds[attractorIds.length - 1];
+          attractors.pop();
+          attractorIds.pop();
           continue;
         }
 
         // Record influence if within range
-        if (closestDist < influenceRadius) {
-          if (!nodeInfluences.has(closestIdx)) {
-            nodeInfluences.set(closestIdx, []);
+        if (dist < influenceRadius) {
+          const nodeIdx = closestIdx[id];
+          if (!nodeInfluences.has(nodeIdx)) {
+            nodeInfluences.set(nodeIdx, []);
           }
-          const dir = attr.clone().sub(this.nodes[closestIdx].position).normalize();
-          nodeInfluences.get(closestIdx).push(dir);
+          nodeInfluences.get(nodeIdx).push({ id, attractor: positionsById[id] });
         }
       }
 
       if (nodeInfluences.size === 0) continue;
 
+      // Restore generation order: nodes by their newest influencing attractor,
+      // directions newest-first (the order a reverse scan would visit them)
+      const byIdDesc = (a, b) => b.id - a.id;
+      const growth = [];
+      for (const [nodeIdx, influences] of nodeInfluences) {
+        influences.sort(byIdDesc);
+        growth.push({ nodeIdx, influences, id: influences[0].id });
+      }
+      growth.sort(byIdDesc);
+
       // Grow new nodes
-      for (const [nodeIdx, directions] of nodeInfluences) {
+      for (const { nodeIdx, influences } of growth) {
+        const nodePos = nodes[nodeIdx].position;
+
         // Average direction toward attractors
         const avgDir = new THREE.Vector3();
-        for (const d of directions) avgDir.add(d);
+        for (const { attractor } of influences) {
+          avgDir.add(attractor.clone().sub(nodePos).normalize());
+        }
         avgDir.normalize();
 
+        // Bend toward lit space, and toward/away from gravity and light
+        if (shadows || tropism) {
+          attractorDir.copy(avgDir);
+          if (shadows) {
+            avgDir.addScaledVector(shadows.lightDirection(nodePos, lightDir), shadowBias);
+          }
+          if (tropism) tropism(avgDir, nodes[nodeIdx]);
+          avgDir.normalize();
+          clampToCone(avgDir, attractorDir, cosMax, sinMax);
+        }
+
         // Add small random perturbation (±0.1 radians)
         avgDir.x += (rng() - 0.5) * 0.2;
         avgDir.y += (rng() - 0.5) * 0.2;
         avgDir.z += (rng() - 0.5) * 0.2;
         avgDir.normalize();
 
-        const newPos = this.nodes[nodeIdx].position.clone().add(
+        const newPos = nodePos.clone().add(
           avgDir.multiplyScalar(segmentLength)
         );
 
+        // Shaded buds stay dormant (their attractors may still feed a
+        // better-lit neighbour later)
+        if (shadows && shadows.shadowAt(newPos) > shadowThreshold) continue;
+
         const newNode = {
           position: newPos,
           parentIndex: nodeIdx,
-          depth: this.nodes[nodeIdx].depth + 1,
+          depth: nodes[nodeIdx].depth + 1,
           thickness: 0,
           childCount: 0,
+          birth: firstBirth + iter,
         };
 
-        this.nodes[nodeIdx].childCount++;
-        this.nodes.push(newNode);
+        nodes[nodeIdx].childCount++;
+        nodes.push(newNode);
+        if (shadows) shadows.addNode(newPos);
       }
     }
   }
 
   /**
-   * Leonardo's pipe model — traverse leaves to root accumulating thickness.
+   * Build the tropism term added to each growth direction, or null when all
+   * tropisms are off (keeping the untouched attractor direction).
+   *
+   * - gravitropism: constant pull up (+) or down (−)
+   * - phototropism: pull toward the sun direction (config.sunPosition)
+   * - droop: downward pull that grows with branch depth past the trunk top,
+   *   reaching full strength droopDepth segments out (at least one, so the
+   *   trunk itself never droops) — arches secondary branches and sags long
+   *   lower limbs
+   *
+   * @returns {function(THREE.Vector3, object): void | null} adds to a direction
    */
-  _computeThickness() {
-    const n = this.config.pipeExponent;
-    const nodes = this.nodes;
+  _createTropism() {
+    const {
+      gravitropism = 0, phototropism = 0, droop = 0, droopDepth = 1,
+      sunPosition, trunkHeight, segmentLength,
+    } = this.config;
+    if (!gravitropism && !phototropism && !droop) return null;
+
+    const sunDir = new THREE.Vector3().fromArray(sunPosition).normalize();
+    const trunkTopDepth = Math.ceil(trunkHeight / segmentLength);
+    const droopRamp = Math.max(1, droopDepth);
+
+    return (dir, parent) => {
+      const branchDepth = Math.max(0, parent.depth + 1 - trunkTopDepth);
+      const droopFactor = Math.min(1, branchDepth / droopRamp);
+      dir.y += gravitropism - droop * droopFactor;
+      dir.addScaledVector(sunDir, phototropism);
+    };
+  }
 
-    // Find leaf nodes (childCount === 0)
-    for (let i = 0; i < nodes.length; i++) {
-      if (nodes[i].childCount === 0) {
-        nodes[i].thickness = 1;
-      }
-    }
+  /**
+   * Build the shadow voxel grid when shadow-aware growth is enabled, seeded
+   * with the shadow of the pre-grown trunk.
+   *
+   * @returns {ShadowGrid|null}
+   */
+  _createShadowGrid() {
+    if (!this.config.shadowGrowth) return null;
+    const grid = ShadowGrid.forEnvelope(this.envelope, this.config);
+    for (const node of this.nodes) grid.addNode(node.position);
+    return grid;
+  }
 
-    // Build children map for bottom-up traversal
-    const children = new Array(nodes.length);
-    for (let i = 0; i < nodes.length; i++) children[i] = [];
-    for (let i = 0; i < nodes.length; i++) {
-      if (nodes[i].parentIndex >= 0) {
-        children[nodes[i].parentIndex].push(i);
-      }
-    }
+  /**
+   * Shed shoots that ended up shaded once the crown filled in. Space
+   * colonization grows the interior before the outer canopy exists to shade
+   * it, so — as in Palubicki's yearly shedding — terminal branch nodes whose
+   * voxel (minus their own shadow) is darker than shadowThreshold are removed,
+   * repeatedly, until every tip is lit or reaches a fork. Trunk nodes stay.
+   */
+  _shedShadedShoots() {
+    const shadows = this.shadows;
+    if (!shadows) return;
+
+    const nodes = this.nodes;
+    const { shadowThreshold } = this.config;
+    const trunkCount = Math.ceil(this.config.trunkHeight / this.config.segmentLength) + 1;
+    const removed = new Uint8Array(nodes.length);
 
-    // Bottom-up: post-order traversal
-    const visited = new Uint8Array(nodes.length);
-    const stack = [0];
-    const order = [];
+    const stack = [];
+    for (let i = nodes.length - 1; i >= trunkCount; i--) {
+      if (nodes[i].childCount === 0) stack.push(i);
+    }
 
     while (stack.length > 0) {
       const idx = stack.pop();
-      if (visited[idx]) continue;
-      visited[idx] = 1;
-      order.push(idx);
-      for (const child of children[idx]) {
-        stack.push(child);
+      const node = nodes[idx];
+      if (shadows.shadowAt(node.position) - shadows.strength <= shadowThreshold) continue;
+
+      removed[idx] = 1;
+      shadows.removeNode(node.position);
+      const parent = nodes[node.parentIndex];
+      parent.childCount--;
+      if (parent.childCount === 0 && node.parentIndex >= trunkCount) {
+        stack.push(node.parentIndex);
       }
     }
 
-    // Process in reverse order (leaves first)
-    for (let i = order.length - 1; i >= 0; i--) {
-      const idx = order[i];
-      if (children[idx].length > 0) {
-        let sum = 0;
-        for (const child of children[idx]) {
-          sum += Math.pow(nodes[child].thickness, n);
-        }
-        nodes[idx].thickness = Math.pow(sum, 1 / n);
-      }
+    // Compact the node list, remapping parent indices
+    const remap = new Int32Array(nodes.length).fill(-1);
+    const kept = [];
+    for (let i = 0; i < nodes.length; i++) {
+      if (removed[i]) continue;
+      remap[i] = kept.length;
+      kept.push(nodes[i]);
+    }
+    for (const node of kept) {
+      if (node.parentIndex >= 0) node.parentIndex = remap[node.parentIndex];
     }
+    this.nodes = kept;
+  }
 
-    // Scale so trunk base radius matches config
-    const rootThickness = nodes[0].thickness;
+  /**
+   * Leonardo's pipe model, scaled so the trunk base radius matches config.
+   */
+  _computeThickness() {
+    const rootThickness = computePipeThickness(this.nodes, this.config.pipeExponent);
     if (rootThickness > 0) {
       const scale = this.config.trunkBaseRadius / rootThickness;
-      for (const node of nodes) {
+      for (const node of this.nodes) {
         node.thickness *= scale;
       }
     }
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { TrunkMesh } from './TrunkMesh.js';
+
+/**
+ * TreeEditor — hand-curate the tree's silhouette in the running scene.
+ *
+ * Each edit goes to the TreeSkeleton, then only what it touched is
+ * regenerated: the affected trunk branch axes (TrunkMesh.rebuild) and
+ * the reduced trunk levels of detail, the
+ * leaves on removed or added nodes, and fruit whose branch tip moved.
+ * The branch wind is baked again first, as axis numbering shifts.
+ *
+ * Edits are recorded in the TREE_CONFIG.skeletonEdits format and logged,
+ * so a curated tree can be pasted into the config and regenerated (and
+ * cached or baked) like any other.
+ */
+export class TreeEditor {
+  /**
+   * @param {object} options
+   * @param {THREE.Scene} options.scene
+   * @param {import('./TreeSkeleton.js').TreeSkeleton} options.skeleton
+   * @param {object} options.config - tree config the skeleton was grown from
+   * @param {THREE.LOD} options.trunkLOD - trunk meshes, full resolution first
+   * @param {import('./LeafSystem.js').LeafSystem} options.leafSystem
+   * @param {import('./FruitSystem.js').FruitSystem} options.fruitSystem
+   * @param {import('./BranchWind.js').BranchWind} options.wind - shared by the bark and leaves
+   */
+  constructor({ scene, skeleton, config, trunkLOD, leafSystem, fruitSystem, wind }) {
+    this.scene = scene;
+    this.skeleton = skeleton;
+    this.config = config;
+    this.trunkLOD = trunkLOD;
+    this.leafSystem = leafSystem;
+    this.fruitSystem = fruitSystem;
+    this.wind = wind;
+
+    this.edits = [...(config.skeletonEdits || [])];
+    this.onLeavesReplaced = null; // (removed, added) => void
+
+    // Built on the first edit — the initial geometry usually comes from a
+    // worker or the cache, so there is no axis cache to reuse yet
+    this._trunkBuilder = null;
+  }
+
+  /**
+   * Remove a node and everything growing from it.
+   * @param {number} nodeIndex
+   */
+  removeSubtree(nodeIndex) {
+    this._apply({ op: 'remove', node: nodeIndex });
+  }
+
+  /**
+   * @param {number} tipIndex - terminal node of the branch
+   * @param {number} count - nodes to cut off
+   */
+  shortenBranch(tipIndex, count) {
+    this._apply({ op: 'shorten', node: tipIndex, count });
+  }
+
+  /**
+   * @param {number} tipIndex - terminal node of the branch
+   * @param {number} count - segments to add
+   * @param {THREE.Vector3} [direction] - defaults to the tip's heading
+   * @returns {number} index of the new tip
+   */
+  extendBranch(tipIndex, count, direction) {
+    const edit = { op: 'extend', node: tipIndex, count };
+    if (direction) edit.direction = direction.toArray();
+    this._apply(edit);
+    return this.skeleton.nodes.length - 1;
+  }
+
+  /**
+   * @param {number} nodeIndex - node the new branch grows from
+   * @param {THREE.Vector3} direction
+   * @param {number} count - segments in the new branch
+   * @returns {number} index of the new branch's tip
+   */
+  graftBranch(nodeIndex, direction, count) {
+    this._apply({ op: 'graft', node: nodeIndex, direction: direction.toArray(), count });
+    return this.skeleton.nodes.length - 1;
+  }
+
+  /**
+   * Index of the skeleton node closest to a point, e.g. a raycast hit on
+   * the bark.
+   * @param {THREE.Vector3} point
+   * @returns {number}
+   */
+  findNearestNode(point) {
+    const nodes = this.skeleton.getNodes();
+    let best = -1;
+    let bestDist = Infinity;
+    for (let i = 0; i < nodes.length; i++) {
+      const dist = nodes[i].position.distanceToSquared(point);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  _apply(edit) {
+    if (!this._trunkBuilder) {
+      this._trunkBuilder = new TrunkMesh(this.skeleton, this.config);
+      this._trunkBuilder.build().dispose();
+    }
+
+    const t0 = performance.now();
+    const countBefore = this.skeleton.nodes.length;
+    const remap = this._editSkeleton(edit);
+    const added = [];
+    for (let i = countBefore; i < this.skeleton.nodes.length; i++) added.push(i);
+    this.wind.bake(this.skeleton);
+
+    // Trunk — the full level reuses untouched axes; reduced levels are
+    // cheap enough to sweep again
+    this.trunkLOD.levels.forEach(({ object: mesh }, level) => {
+      mesh.geometry.dispose();
+      mesh.geometry = level === 0 ? this._trunkBuilder.rebuild() : this._trunkBuilder.buildLOD(level);
+    });
+
+    // Leaves — new chunk meshes take over the old ones' shadow flags
+    const leaves = this.leafSystem.applyEdit(remap, added);
+    const template = leaves.removed[0];
+    for (const mesh of leaves.removed) this.scene.remove(mesh);
+    for (const mesh of leaves.added) {
+      if (template) {
+        mesh.castShadow = template.castShadow;
+        mesh.receiveShadow = template.receiveShadow;
+      }
+      this.scene.add(mesh);
+    }
+    this.onLeavesReplaced?.(leaves.removed, leaves.added);
+
+    // Fruit
+    this.fruitSystem.applyEdit(remap);
+
+    this.edits.push(edit);
+    console.log(`[TreeEditor] ${edit.op} in ${(performance.now() - t0).toFixed(0)}ms — skeletonEdits:`,
+      JSON.stringify(this.edits));
+  }
+
+  /**
+   * @returns {Int32Array|null} old → new index remap for removals
+   */
+  _editSkeleton(edit) {
+    const direction = edit.direction && new THREE.Vector3().fromArray(edit.direction);
+    switch (edit.op) {
+      case 'remove':
+        return this.skeleton.removeSubtree(edit.node);
+      case 'shorten':
+        return this.skeleton.shortenBranch(edit.node, edit.count);
+      case 'extend':
+        this.skeleton.extendBranch(edit.node, edit.count, direction);
+        return null;
+      case 'graft':
+        this.skeleton.graftBranch(edit.node, direction, edit.count);
+        return null;
+      default:
+        throw new Error(`Unknown skeleton edit: ${edit.op}`);
+    }
+  }
+}
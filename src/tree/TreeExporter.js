@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { PLYExporter } from 'three/addons/exporters/PLYExporter.js';
+
+/**
+ * File formats the tree exports to.
+ */
+export const EXPORT_FORMATS = {
+  glb: { extension: 'glb', mimeType: 'model/gltf-binary' },
+  gltf: { extension: 'gltf', mimeType: 'model/gltf+json' },
+  obj: { extension: 'obj', mimeType: 'model/obj' },
+  ply: { extension: 'ply', mimeType: 'application/octet-stream' },
+};
+
+/**
+ * Build a plain scene of the tree for export — standard materials in place
+ * of the bark and leaf shaders, and no wind or growth attributes.
+ *
+ * Leaves become a single InstancedMesh (EXT_mesh_gpu_instancing in glTF)
+ * coloured per instance from the species palette. Fruit are copied at rest,
+ * with their materials. Bark textures are optional: embedding them in glTF
+ * needs a canvas, which headless exports don't have.
+ *
+ * DOM-free, so the headless export script can use it too.
+ *
+ * @param {object} tree
+ * @param {THREE.BufferGeometry|null} tree.trunkGeometry - full-resolution trunk
+ * @param {THREE.BufferGeometry|null} [tree.rootGeometry]
+ * @param {THREE.BufferGeometry} [tree.twigGeometry] - petioles and bud shoots (see TwigMesh.js)
+ * @param {object} [tree.leafInstances] - packed placement (see placeLeaves)
+ * @param {THREE.Object3D} [tree.fruitGroup] - FruitSystem.fruitGroup
+ * @param {object} config - the tree's config
+ * @param {object} [textures]
+ * @param {object} [textures.bark] - createPlaceholderBarkTextures() set
+ * @param {THREE.Texture} [textures.leaf] - leaf alpha texture
+ * @returns {THREE.Group}
+ */
+export function createExportScene(tree, config, textures = {}) {
+  const group = new THREE.Group();
+  group.name = config.species || 'tree';
+
+  const barkMaterial = createBarkMaterial(config, textures.bark);
+  if (tree.trunkGeometry) {
+    group.add(namedMesh('trunk', surfaceOnly(tree.trunkGeometry), barkMaterial));
+  }
+  if (tree.rootGeometry) {
+    group.add(namedMesh('roots', surfaceOnly(tree.rootGeometry), barkMaterial));
+  }
+  if (tree.twigGeometry) {
+    group.add(namedMesh('twigs', surfaceOnly(tree.twigGeometry), barkMaterial));
+  }
+  if (tree.leafInstances && tree.leafInstances.count > 0) {
+    group.add(createLeafMesh(tree.leafInstances, config, textures.leaf));
+  }
+
+  if (tree.fruitGroup) {
+    group.add(copyFruitAtRest(tree.fruitGroup));
+  }
+
+  group.updateMatrixWorld(true);
+  return group;
+}
+
+/**
+ * Export a scene from createExportScene().
+ *
+ * glTF keeps the leaves instanced; OBJ and PLY have no instancing, so
+ * instances are expanded into plain geometry, and PLY carries each
+ * material's colour per vertex in place of textures.
+ *
+ * @param {THREE.Object3D} scene
+ * @param {'glb'|'gltf'|'obj'|'ply'} format
+ * @returns {Promise<ArrayBuffer|string>}
+ */
+export async function exportTree(scene, format) {
+  switch (format) {
+    case 'glb':
+      return new GLTFExporter().parseAsync(scene, { binary: true });
+    case 'gltf':
+      return JSON.stringify(await new GLTFExporter().parseAsync(scene, { binary: false }));
+    case 'obj':
+      return new OBJExporter().parse(flattenScene(scene, false));
+    case 'ply':
+      return new PLYExporter().parse(flattenScene(scene, true), null, { binary: true, littleEndian: true });
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Browser only: save an export as a file download.
+ * @param {ArrayBuffer|string} data
+ * @param {string} name - file name without extension
+ * @param {'glb'|'gltf'|'obj'|'ply'} format
+ */
+export function downloadExport(data, name, format) {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.${extension}`;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Fruit and stems sharing the live geometry and materials, hanging still —
+ * the wind and swing are animated per frame. Fruit an edit left without a
+ * branch tip are hidden, and left out.
+ */
+function copyFruitAtRest(fruitGroup) {
+  const fruit = new THREE.Group();
+  fruit.name = 'fruit';
+  fruitGroup.children.forEach((pivot, i) => {
+    if (!pivot.visible) return;
+    const rest = new THREE.Group();
+    rest.name = `fruit-${i}`;
+    rest.position.copy(pivot.userData.rest);
+    for (const part of pivot.children) {
+      const mesh = namedMesh(part === pivot.children[0] ? 'body' : 'stem', part.geometry, part.material);
+      mesh.position.copy(part.position);
+      rest.add(mesh);
+    }
+    fruit.add(rest);
+  });
+  fruit.position.copy(fruitGroup.position);
+  return fruit;
+}
+
+function namedMesh(name, geometry, material) {
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = name;
+  return mesh;
+}
+
+/**
+ * Share a sweep's position, normal, uv and index — the vertex colours
+ * hold wind data, not colour, and aGrowth and aWeather only feed the bark
+ * shader's growth animation and weathering.
+ */
+function surfaceOnly(geometry) {
+  const surface = new THREE.BufferGeometry();
+  for (const name of ['position', 'normal', 'uv']) {
+    if (geometry.hasAttribute(name)) surface.setAttribute(name, geometry.getAttribute(name));
+  }
+  surface.setIndex(geometry.getIndex());
+  return surface;
+}
+
+/**
+ * Bark as a standard material. The live shader samples bark triplanar in
+ * world space; here the maps wrap the sweep's UVs instead — once around,
+ * and along the grain at the same texel scale.
+ */
+function createBarkMaterial(config, barkTextures) {
+  const tint = new THREE.Color().fromArray(config.barkFurrowTint)
+    .lerp(new THREE.Color().fromArray(config.barkRidgeTint), 0.5);
+  const material = new THREE.MeshStandardMaterial({
+    name: 'bark',
+    color: barkTextures ? 0xffffff : tint,
+    roughness: 0.9,
+    metalness: 0,
+  });
+  material.userData.flatColour = tint;
+
+  if (barkTextures) {
+    const wrap = (texture) => {
+      const copy = texture.clone();
+      copy.repeat.set(1, config.barkTexScale);
+      copy.needsUpdate = true;
+      return copy;
+    };
+    material.map = wrap(barkTextures.diffuse);
+    material.map.colorSpace = THREE.SRGBColorSpace;
+    material.normalMap = wrap(barkTextures.normal);
+    material.aoMap = wrap(barkTextures.ao);
+  }
+  return material;
+}
+
+/**
+ * All leaves as one InstancedMesh, placed as in LeafSystem and coloured
+ * from the species palette by each leaf's colour variation.
+ */
+function createLeafMesh(leaves, config, leafTexture) {
+  const material = new THREE.MeshStandardMaterial({
+    name: 'leaf',
+    map: leafTexture || null,
+    alphaTest: leafTexture ? 0.5 : 0,
+    side: THREE.DoubleSide,
+    roughness: 0.6,
+  });
+  const geometry = new THREE.PlaneGeometry(config.leafSize, config.leafSize, 1, 1);
+  const mesh = new THREE.InstancedMesh(geometry, material, leaves.count);
+  mesh.name = 'leaves';
+
+  const palette = config.leafPalette.map((c) => new THREE.Color().fromArray(c));
+  const dummy = new THREE.Object3D();
+  const colour = new THREE.Color();
+  for (let i = 0; i < leaves.count; i++) {
+    dummy.position.fromArray(leaves.positions, i * 3);
+    dummy.rotation.set(leaves.rotations[i * 3], leaves.rotations[i * 3 + 1], leaves.rotations[i * 3 + 2]);
+    dummy.scale.setScalar(leaves.scales[i]);
+    dummy.updateMatrix();
+    mesh.setMatrixAt(i, dummy.matrix);
+
+    // Same dark → mid → light blend as the leaf shader
+    const t = leaves.colourVars[i];
+    if (t < 0.5) {
+      colour.lerpColors(palette[0], palette[1], t * 2);
+    } else {
+      colour.lerpColors(palette[1], palette[2], (t - 0.5) * 2);
+    }
+    mesh.setColorAt(i, colour);
+  }
+  return mesh;
+}
+
+/**
+ * Copy of a scene as plain meshes in world space, with instanced meshes
+ * expanded. With `colours`, every vertex gets its material's colour (or
+ * its instance colour).
+ */
+function flattenScene(scene, colours) {
+  const flat = new THREE.Group();
+  scene.updateMatrixWorld(true);
+  scene.traverse((object) => {
+    if (!object.isMesh) return;
+    const geometry = object.isInstancedMesh
+      ? expandInstances(object)
+      : surfaceOnly(object.geometry).clone().applyMatrix4(object.matrixWorld);
+    if (colours && !geometry.hasAttribute('color')) {
+      const colour = object.material.userData.flatColour || object.material.color;
+      const count = geometry.getAttribute('position').count;
+      const array = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) colour.toArray(array, i * 3);
+      geometry.setAttribute('color', new THREE.BufferAttribute(array, 3));
+    }
+    flat.add(namedMesh(object.name, geometry, object.material));
+  });
+  return flat;
+}
+
+/**
+ * Bake every instance of an InstancedMesh into one geometry in world
+ * space, with instance colours as vertex colours.
+ */
+function expandInstances(mesh) {
+  const base = mesh.geometry;
+  const position = base.getAttribute('position');
+  const normal = base.getAttribute('normal');
+  const uv = base.getAttribute('uv');
+  const index = base.getIndex();
+  const perInstance = position.count;
+  const total = perInstance * mesh.count;
+
+  const positions = new Float32Array(total * 3);
+  const normals = new Float32Array(total * 3);
+  const uvs = new Float32Array(total * 2);
+  const colors = mesh.instanceColor ? new Float32Array(total * 3) : null;
+  const indices = new Uint32Array(index.count * mesh.count);
+
+  const instance = new THREE.Matrix4();
+  const world = new THREE.Matrix4();
+  const normalMatrix = new THREE.Matrix3();
+  const v = new THREE.Vector3();
+  const colour = new THREE.Color();
+
+  for (let n = 0; n < mesh.count; n++) {
+    mesh.getMatrixAt(n, instance);
+    world.multiplyMatrices(mesh.matrixWorld, instance);
+    normalMatrix.getNormalMatrix(world);
+    if (colors) mesh.getColorAt(n, colour);
+
+    const offset = n * perInstance;
+    for (let i = 0; i < perInstance; i++) {
+      const k = offset + i;
+      v.fromBufferAttribute(position, i).applyMatrix4(world).toArray(positions, k * 3);
+      v.fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize().toArray(normals, k * 3);
+      uvs[k * 2] = uv.getX(i);
+      uvs[k * 2 + 1] = uv.getY(i);
+      if (colors) colour.toArray(colors, k * 3);
+    }
+    for (let i = 0; i < index.count; i++) {
+      indices[n * index.count + i] = offset + index.getX(i);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  if (colors) geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  return geometry;
+}
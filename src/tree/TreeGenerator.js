@@ -0,0 +1,92 @@
+import { buildTreeData, getTreeKey, unpackTreeData } from './TreePipeline.js';
+import { encodeBinary, decodeBinary } from '../utils/BinaryPack.js';
+import { TreeCache } from '../utils/TreeCache.js';
+import bakedKeys from 'virtual:baked-trees';
+
+const cache = new TreeCache();
+
+/**
+ * Load or generate the tree for a config.
+ *
+ * Production builds ship trees baked at build time (plugins/bakeTrees.js);
+ * when the config matches one it is fetched instead. Other trees are
+ * cached in IndexedDB in the binary pack format, keyed by a hash of the
+ * config and the generator version, so repeat visits skip generation
+ * entirely. On a miss the tree is generated off the main thread
+ * so the loading screen keeps animating: the worker sends per-stage
+ * progress and then the packed tree as one transferred buffer. Falls back
+ * to generating inline if the worker can't run.
+ *
+ * @param {object} config - TREE_CONFIG-shaped object
+ * @param {function(string, number): void} [onProgress] - LoadingManager step name and progress in [0, 1]
+ * @returns {Promise<ReturnType<typeof unpackTreeData>>}
+ */
+export async function generateTree(config, onProgress = () => {}) {
+  const key = getTreeKey(config);
+  const slot = config.species || 'default';
+
+  let buffer = bakedKeys.includes(key) ? await fetchBaked(key) : null;
+  if (!buffer) {
+    buffer = await cache.load(slot, key);
+    if (buffer) console.log(`[TreeCache] hit ${key}`);
+  }
+
+  if (buffer) {
+    onProgress('Growing tree', 1);
+    onProgress('Shaping bark', 1);
+  } else {
+    try {
+      buffer = await runWorker(config, onProgress);
+    } catch (err) {
+      console.warn('[TreeGenerator] Worker failed, generating on the main thread:', err);
+      buffer = encodeBinary(buildTreeData(config, onProgress));
+    }
+    // Saved in the background; nothing below modifies the buffer
+    cache.save(slot, key, buffer);
+  }
+
+  return unpackTreeData(decodeBinary(buffer), config);
+}
+
+async function fetchBaked(key) {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}trees/${key}.bin`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    console.log(`[TreeGenerator] baked ${key}`);
+    return await response.arrayBuffer();
+  } catch (err) {
+    console.warn('[TreeGenerator] Baked tree unavailable:', err);
+    return null;
+  }
+}
+
+function runWorker(config, onProgress) {
+  return new Promise((resolve, reject) => {
+    if (typeof Worker === 'undefined') {
+      reject(new Error('Web Workers unavailable'));
+      return;
+    }
+
+    const worker = new Worker(new URL('./TreeWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        onProgress(msg.step, msg.fraction);
+        return;
+      }
+      worker.terminate();
+      if (msg.type === 'result') {
+        resolve(msg.buffer);
+      } else {
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(e.error || new Error(e.message || 'Worker error'));
+    };
+
+    worker.postMessage({ config });
+  });
+}
@@ -0,0 +1,90 @@
+import { TreeSkeleton } from './TreeSkeleton.js';
+import { TrunkMesh, LOD_LEVELS } from './TrunkMesh.js';
+import { placeLeaves } from './LeafPlacement.js';
+import { buildRootGeometry } from './RootSystem.js';
+import { packGeometry, unpackGeometry } from '../utils/GeometryBuffers.js';
+import { hashString, stableStringify } from '../utils/hash.js';
+
+/**
+ * The DOM-free part of tree generation — skeleton, trunk and root geometry
+ * and leaf placement — producing plain typed-array data. Runs in the generator
+ * worker (TreeWorker.js), or inline when workers are unavailable.
+ */
+
+/**
+ * Bump whenever the generator produces different output for the same
+ * config, so cached and baked trees from older builds are ignored.
+ */
+export const GENERATOR_VERSION = 10;
+
+/**
+ * Cache key for the tree a config generates.
+ * @param {object} config
+ * @returns {string}
+ */
+export function getTreeKey(config) {
+  return `v${GENERATOR_VERSION}-${hashString(stableStringify(config))}`;
+}
+
+/**
+ * Run the generation pipeline.
+ *
+ * @param {object} config - TREE_CONFIG-shaped object
+ * @param {function(string, number): void} [onProgress] - receives a
+ *   LoadingManager step name and its progress in [0, 1]
+ * @returns {{ skeleton: object, trunk: object|null, trunkLODs: object[], roots: object|null, leaves: object }}
+ *   packed tree data; trunkLODs holds the reduced levels of detail, coarsest last
+ */
+export function buildTreeData(config, onProgress = () => {}) {
+  console.time('skeleton');
+  const skeleton = new TreeSkeleton(config);
+  skeleton.generate((fraction) => onProgress('Growing tree', fraction));
+  console.timeEnd('skeleton');
+  onProgress('Growing tree', 1);
+
+  console.time('mesh');
+  const trunkMesh = new TrunkMesh(skeleton, config);
+  const trunkGeometry = trunkMesh.build((fraction) => onProgress('Shaping bark', fraction));
+  const trunkLODs = [];
+  if (trunkGeometry) {
+    for (let level = 1; level < LOD_LEVELS.length; level++) {
+      trunkLODs.push(trunkMesh.buildLOD(level));
+    }
+  }
+  console.timeEnd('mesh');
+
+  console.time('roots');
+  const rootGeometry = config.roots ? buildRootGeometry(config) : null;
+  console.timeEnd('roots');
+  onProgress('Shaping bark', 1);
+
+  console.time('leaf placement');
+  const leaves = placeLeaves(skeleton, config);
+  console.timeEnd('leaf placement');
+
+  return {
+    skeleton: skeleton.toBuffers(),
+    trunk: trunkGeometry ? packGeometry(trunkGeometry) : null,
+    trunkLODs: trunkLODs.map(packGeometry),
+    roots: rootGeometry ? packGeometry(rootGeometry) : null,
+    leaves,
+  };
+}
+
+/**
+ * Rebuild main-thread objects from packed tree data.
+ *
+ * @param {ReturnType<typeof buildTreeData>} data
+ * @param {object} config
+ * @returns {{ skeleton: TreeSkeleton, trunkGeometry: THREE.BufferGeometry|null,
+ *   trunkLODGeometries: THREE.BufferGeometry[], rootGeometry: THREE.BufferGeometry|null, leafInstances: object }}
+ */
+export function unpackTreeData(data, config) {
+  return {
+    skeleton: TreeSkeleton.fromBuffers(data.skeleton, config),
+    trunkGeometry: data.trunk ? unpackGeometry(data.trunk) : null,
+    trunkLODGeometries: data.trunkLODs.map(unpackGeometry),
+    rootGeometry: data.roots ? unpackGeometry(data.roots) : null,
+    leafInstances: data.leaves,
+  };
+}
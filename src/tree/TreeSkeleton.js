@@ -1,9 +1,17 @@
+import * as THREE from 'three';
 import { SpaceColonization } from './SpaceColonization.js';
+import { computePipeThickness } from './PipeModel.js';
 import { TREE_CONFIG } from '../config.js';
 
 /**
  * Wrapper around SpaceColonization that provides convenient access
  * to the node graph: branch segments, terminal nodes, fork nodes, etc.
+ *
+ * The graph can be edited after generation — remove a subtree, shorten or
+ * extend a branch, graft a new one. Edits recompute child counts,
+ * pipe-model thickness and segments. Removals compact the node list and
+ * return an old → new index remap (-1 for removed nodes); additions append
+ * nodes, leaving existing indices untouched.
  */
 export class TreeSkeleton {
   constructor(config = TREE_CONFIG) {
@@ -11,11 +19,30 @@ export class TreeSkeleton {
     this.nodes = [];
     this._children = [];
     this._segments = null;
+    this._axes = null;
+    this._orders = null;
   }
 
-  generate() {
+  /**
+   * Grow the skeleton, then apply any hand edits from config.skeletonEdits.
+   * @param {function(number): void} [onProgress] - receives growth progress in [0, 1]
+   */
+  generate(onProgress) {
     const sc = new SpaceColonization(this.config);
-    this.nodes = sc.generate();
+    this.setNodes(sc.generate(onProgress));
+    if (this.config.skeletonEdits?.length) {
+      this.applyEdits(this.config.skeletonEdits);
+    }
+    return this;
+  }
+
+  /**
+   * Adopt an existing node graph (e.g. one grown in a worker) and rebuild
+   * the derived lookups.
+   * @param {Array<object>} nodes - SpaceColonization node objects
+   */
+  setNodes(nodes) {
+    this.nodes = nodes;
 
     // Build children lookup
     this._children = new Array(this.nodes.length);
@@ -27,9 +54,58 @@ export class TreeSkeleton {
     }
 
     this._segments = null;
+    this._axes = null;
+    this._orders = null;
     return this;
   }
 
+  /**
+   * Pack the node graph into typed arrays (transferable to/from workers).
+   * @returns {{ positions: Float64Array, thickness: Float64Array, parentIndex: Int32Array, depth: Int32Array, childCount: Int32Array, birth: Int32Array }}
+   */
+  toBuffers() {
+    const n = this.nodes.length;
+    const buffers = {
+      positions: new Float64Array(n * 3),
+      thickness: new Float64Array(n),
+      parentIndex: new Int32Array(n),
+      depth: new Int32Array(n),
+      childCount: new Int32Array(n),
+      birth: new Int32Array(n),
+    };
+    for (let i = 0; i < n; i++) {
+      const node = this.nodes[i];
+      node.position.toArray(buffers.positions, i * 3);
+      buffers.thickness[i] = node.thickness;
+      buffers.parentIndex[i] = node.parentIndex;
+      buffers.depth[i] = node.depth;
+      buffers.childCount[i] = node.childCount;
+      buffers.birth[i] = node.birth;
+    }
+    return buffers;
+  }
+
+  /**
+   * Rebuild a skeleton from buffers produced by toBuffers().
+   * @param {object} buffers
+   * @param {object} [config]
+   * @returns {TreeSkeleton}
+   */
+  static fromBuffers(buffers, config = TREE_CONFIG) {
+    const nodes = new Array(buffers.parentIndex.length);
+    for (let i = 0; i < nodes.length; i++) {
+      nodes[i] = {
+        position: new THREE.Vector3().fromArray(buffers.positions, i * 3),
+        parentIndex: buffers.parentIndex[i],
+        depth: buffers.depth[i],
+        thickness: buffers.thickness[i],
+        childCount: buffers.childCount[i],
+        birth: buffers.birth[i],
+      };
+    }
+    return new TreeSkeleton(config).setNodes(nodes);
+  }
+
   getNodes() {
     return this.nodes;
   }
@@ -78,6 +154,51 @@ export class TreeSkeleton {
     return segments;
   }
 
+  /**
+   * Get branch axes — each branch followed from where it leaves its parent
+   * to its tip, carrying on through forks along the main child (see
+   * getMainChild). The trunk axis starts at the root; every other axis
+   * starts at the fork node on its parent's axis. Parents come before
+   * their side branches.
+   */
+  getBranchAxes() {
+    if (this._axes) return this._axes;
+
+    const axes = [];
+    const queue = [[0]];
+    for (let q = 0; q < queue.length; q++) {
+      const axis = queue[q];
+      let idx = axis[axis.length - 1];
+      for (;;) {
+        const main = this.getMainChild(idx);
+        if (main < 0) break;
+        for (const child of this._children[idx]) {
+          if (child !== main) queue.push([idx, child]);
+        }
+        axis.push(main);
+        idx = main;
+      }
+      if (axis.length >= 2) axes.push(axis);
+    }
+
+    this._axes = axes;
+    return axes;
+  }
+
+  /**
+   * The child continuing a node's branch axis — the thickest, as in the
+   * pipe model (the first on ties) — or -1 at a tip.
+   * @param {number} nodeIndex
+   * @returns {number}
+   */
+  getMainChild(nodeIndex) {
+    let main = -1;
+    for (const child of this._children[nodeIndex]) {
+      if (main < 0 || this.nodes[child].thickness > this.nodes[main].thickness) main = child;
+    }
+    return main;
+  }
+
   getTerminalNodes() {
     const terminals = [];
     for (let i = 0; i < this.nodes.length; i++) {
@@ -112,7 +233,387 @@ export class TreeSkeleton {
     return max;
   }
 
+  /**
+   * Number of growth steps the skeleton took. `node.birth / steps` is a
+   * node's birth time in [0, 1), as used by the growth animation.
+   */
+  getGrowthSteps() {
+    let max = 0;
+    for (const n of this.nodes) {
+      if (n.birth > max) max = n.birth;
+    }
+    return max + 1;
+  }
+
   getChildren(nodeIndex) {
     return this._children[nodeIndex] || [];
   }
+
+  // ── Branch Order & Analytics ───────────────────────────────
+  //
+  // Nodes are always stored parents-first (growth and edits append, and
+  // removals compact in order), so orders accumulate in one pass each way.
+
+  /**
+   * Horton–Strahler number per node: tips are 1; a node takes its highest
+   * child order, plus one where two or more children share that order.
+   * @returns {Int32Array}
+   */
+  getStrahlerOrders() {
+    return this._computeOrders().strahler;
+  }
+
+  /**
+   * Branch generation per node: 0 along the trunk axis, +1 each time a
+   * branch forks off. At a fork the thickest child continues its parent's
+   * axis (and generation); the others start new branches.
+   * @returns {Int32Array}
+   */
+  getBranchGenerations() {
+    return this._computeOrders().generation;
+  }
+
+  /**
+   * Distance along the skeleton from the root to each node.
+   * @returns {Float64Array}
+   */
+  getPathLengths() {
+    return this._computeOrders().pathLength;
+  }
+
+  /**
+   * Polyline length of each branch segment (see getBranchSegments).
+   * @returns {Float64Array}
+   */
+  getSegmentLengths() {
+    const { pathLength } = this._computeOrders();
+    return Float64Array.from(this.getBranchSegments(),
+      (segment) => pathLength[segment[segment.length - 1]] - pathLength[segment[0]]);
+  }
+
+  /**
+   * Strahler order of each branch segment — that of its nodes past the
+   * fork it starts from.
+   * @returns {Int32Array}
+   */
+  getSegmentOrders() {
+    const { strahler } = this._computeOrders();
+    return Int32Array.from(this.getBranchSegments(), (segment) => strahler[segment[1]]);
+  }
+
+  /**
+   * Branch rank for tiering: 0 for the trunk's order, counting up towards
+   * the twigs (max Strahler order − order).
+   * @param {number} nodeIndex
+   * @returns {number}
+   */
+  getBranchRank(nodeIndex) {
+    const { strahler } = this._computeOrders();
+    return strahler[0] - strahler[nodeIndex];
+  }
+
+  /**
+   * Summary statistics of the skeleton. Per-order arrays are indexed by
+   * Strahler order (index 0 unused); the bifurcation ratio is Horton's
+   * mean ratio of segment counts between successive orders.
+   */
+  getStats() {
+    const nodes = this.nodes;
+    const { strahler, generation, pathLength } = this._computeOrders();
+    const segments = this.getBranchSegments();
+    const segmentOrders = this.getSegmentOrders();
+    const segmentLengths = this.getSegmentLengths();
+    const maxOrder = strahler[0];
+
+    const nodesPerOrder = new Array(maxOrder + 1).fill(0);
+    const segmentsPerOrder = new Array(maxOrder + 1).fill(0);
+    const lengthPerOrder = new Array(maxOrder + 1).fill(0);
+    for (let i = 0; i < nodes.length; i++) nodesPerOrder[strahler[i]]++;
+    for (let s = 0; s < segments.length; s++) {
+      segmentsPerOrder[segmentOrders[s]]++;
+      lengthPerOrder[segmentOrders[s]] += segmentLengths[s];
+    }
+
+    let ratioSum = 0;
+    let ratioCount = 0;
+    for (let k = 1; k < maxOrder; k++) {
+      if (segmentsPerOrder[k + 1] > 0) {
+        ratioSum += segmentsPerOrder[k] / segmentsPerOrder[k + 1];
+        ratioCount++;
+      }
+    }
+
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+    let woodVolume = 0;
+    let maxGeneration = 0;
+    let maxPathLength = 0;
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      min.min(node.position);
+      max.max(node.position);
+      maxGeneration = Math.max(maxGeneration, generation[i]);
+      maxPathLength = Math.max(maxPathLength, pathLength[i]);
+      if (node.parentIndex < 0) continue;
+      // Frustum between the node and its parent
+      const parent = nodes[node.parentIndex];
+      const r0 = parent.thickness;
+      const r1 = node.thickness;
+      const h = pathLength[i] - pathLength[node.parentIndex];
+      woodVolume += (Math.PI * h * (r0 * r0 + r0 * r1 + r1 * r1)) / 3;
+    }
+
+    return {
+      nodeCount: nodes.length,
+      segmentCount: segments.length,
+      terminalCount: this.getTerminalNodes().length,
+      maxStrahlerOrder: maxOrder,
+      maxGeneration,
+      nodesPerOrder,
+      segmentsPerOrder,
+      lengthPerOrder,
+      bifurcationRatio: ratioCount > 0 ? ratioSum / ratioCount : 0,
+      maxHeight: max.y,
+      crownSpread: Math.max(max.x - min.x, max.z - min.z),
+      maxPathLength,
+      woodVolume,
+    };
+  }
+
+  _computeOrders() {
+    if (this._orders) return this._orders;
+
+    const nodes = this.nodes;
+    const n = nodes.length;
+    const strahler = new Int32Array(n);
+    const generation = new Int32Array(n);
+    const pathLength = new Float64Array(n);
+
+    // Children before parents
+    for (let i = n - 1; i >= 0; i--) {
+      let order = 1;
+      let maxCount = 0;
+      for (const child of this._children[i]) {
+        if (strahler[child] > order) {
+          order = strahler[child];
+          maxCount = 1;
+        } else if (strahler[child] === order) {
+          maxCount++;
+        }
+      }
+      strahler[i] = maxCount > 1 ? order + 1 : order;
+    }
+
+    // Parents before children
+    for (let i = 0; i < n; i++) {
+      const main = this.getMainChild(i);
+      for (const child of this._children[i]) {
+        generation[child] = generation[i] + (child === main ? 0 : 1);
+        pathLength[child] = pathLength[i] + nodes[child].position.distanceTo(nodes[i].position);
+      }
+    }
+
+    this._orders = { strahler, generation, pathLength };
+    return this._orders;
+  }
+
+  // ── Editing ────────────────────────────────────────────────
+
+  /**
+   * Apply a list of edits in order, e.g. TREE_CONFIG.skeletonEdits:
+   *
+   *   { op: 'remove', node }
+   *   { op: 'shorten', node, count }
+   *   { op: 'extend', node, count, direction? }
+   *   { op: 'graft', node, direction, count }
+   *
+   * Node indices refer to the skeleton as left by the previous edit.
+   * @param {Array<object>} edits
+   */
+  applyEdits(edits) {
+    for (const edit of edits) {
+      const direction = edit.direction && new THREE.Vector3().fromArray(edit.direction);
+      switch (edit.op) {
+        case 'remove':
+          this.removeSubtree(edit.node);
+          break;
+        case 'shorten':
+          this.shortenBranch(edit.node, edit.count);
+          break;
+        case 'extend':
+          this.extendBranch(edit.node, edit.count, direction);
+          break;
+        case 'graft':
+          this.graftBranch(edit.node, direction, edit.count);
+          break;
+        default:
+          throw new Error(`Unknown skeleton edit: ${edit.op}`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Remove a node and everything growing from it.
+   * @param {number} nodeIndex
+   * @returns {Int32Array} old → new index remap
+   */
+  removeSubtree(nodeIndex) {
+    this._checkIndex(nodeIndex);
+    if (nodeIndex === 0) throw new Error('Cannot remove the root node');
+
+    const removed = new Uint8Array(this.nodes.length);
+    const stack = [nodeIndex];
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      removed[idx] = 1;
+      for (const child of this._children[idx]) stack.push(child);
+    }
+    return this._removeNodes(removed);
+  }
+
+  /**
+   * Cut up to `count` nodes off the end of a branch, stopping short of the
+   * fork it grows from.
+   * @param {number} tipIndex - terminal node of the branch
+   * @param {number} count
+   * @returns {Int32Array} old → new index remap
+   */
+  shortenBranch(tipIndex, count) {
+    this._checkIndex(tipIndex);
+    if (this._children[tipIndex].length > 0) {
+      throw new Error(`Node ${tipIndex} is not a branch tip`);
+    }
+
+    const removed = new Uint8Array(this.nodes.length);
+    let idx = tipIndex;
+    for (let i = 0; i < count; i++) {
+      removed[idx] = 1;
+      const parent = this.nodes[idx].parentIndex;
+      if (parent <= 0 || this._children[parent].length > 1) break;
+      idx = parent;
+    }
+    return this._removeNodes(removed);
+  }
+
+  /**
+   * Grow a branch tip further by `count` segments.
+   * @param {number} tipIndex - terminal node of the branch
+   * @param {number} count
+   * @param {THREE.Vector3} [direction] - defaults to the tip's current heading
+   * @returns {number} index of the new tip
+   */
+  extendBranch(tipIndex, count, direction) {
+    this._checkIndex(tipIndex);
+    if (this._children[tipIndex].length > 0) {
+      throw new Error(`Node ${tipIndex} is not a branch tip`);
+    }
+    if (!direction) {
+      const tip = this.nodes[tipIndex];
+      const parent = this.nodes[Math.max(0, tip.parentIndex)];
+      direction = tip.position.clone().sub(parent.position);
+      if (direction.lengthSq() < 1e-12) direction.set(0, 1, 0);
+    }
+    return this._appendChain(tipIndex, direction, count);
+  }
+
+  /**
+   * Graft a new straight branch of `count` segments onto any node.
+   * @param {number} nodeIndex - node the branch grows from
+   * @param {THREE.Vector3} direction
+   * @param {number} count
+   * @returns {number} index of the new branch's tip
+   */
+  graftBranch(nodeIndex, direction, count) {
+    this._checkIndex(nodeIndex);
+    if (!direction || direction.lengthSq() < 1e-12) {
+      throw new Error('Grafted branch needs a direction');
+    }
+    return this._appendChain(nodeIndex, direction, count);
+  }
+
+  _checkIndex(nodeIndex) {
+    if (!Number.isInteger(nodeIndex) || nodeIndex < 0 || nodeIndex >= this.nodes.length) {
+      throw new Error(`No skeleton node ${nodeIndex}`);
+    }
+  }
+
+  /**
+   * Append a chain of segmentLength-spaced nodes. New nodes are born on
+   * the last growth step so the growth animation adds them last.
+   */
+  _appendChain(fromIndex, direction, count) {
+    this._ensureThicknessScale();
+    const step = direction.clone().normalize().multiplyScalar(this.config.segmentLength);
+    const birth = this.getGrowthSteps() - 1;
+
+    let parentIndex = fromIndex;
+    for (let i = 0; i < count; i++) {
+      const parent = this.nodes[parentIndex];
+      this.nodes.push({
+        position: parent.position.clone().add(step),
+        parentIndex,
+        depth: parent.depth + 1,
+        thickness: 0,
+        childCount: 0,
+        birth,
+      });
+      parentIndex = this.nodes.length - 1;
+    }
+
+    this._afterEdit();
+    return parentIndex;
+  }
+
+  /**
+   * Drop flagged nodes, compacting the list and remapping parent indices.
+   * @param {Uint8Array} removed
+   * @returns {Int32Array} old → new index remap
+   */
+  _removeNodes(removed) {
+    this._ensureThicknessScale();
+    const remap = new Int32Array(this.nodes.length).fill(-1);
+    const kept = [];
+    for (let i = 0; i < this.nodes.length; i++) {
+      if (removed[i]) continue;
+      remap[i] = kept.length;
+      kept.push(this.nodes[i]);
+    }
+    for (const node of kept) {
+      if (node.parentIndex >= 0) node.parentIndex = remap[node.parentIndex];
+    }
+    this.nodes = kept;
+
+    this._afterEdit();
+    return remap;
+  }
+
+  /**
+   * Remember how generation scaled the pipe model. Edits reuse that scale
+   * rather than renormalising to the trunk radius, so removing a limb thins
+   * its ancestors instead of fattening every other branch.
+   */
+  _ensureThicknessScale() {
+    if (this._thicknessScale !== undefined) return;
+    const copy = this.nodes.map((n) => ({
+      parentIndex: n.parentIndex,
+      childCount: n.childCount,
+      thickness: 0,
+    }));
+    const rootThickness = computePipeThickness(copy, this.config.pipeExponent);
+    this._thicknessScale = rootThickness > 0 ? this.nodes[0].thickness / rootThickness : 1;
+  }
+
+  _afterEdit() {
+    const nodes = this.nodes;
+    for (const node of nodes) node.childCount = 0;
+    for (const node of nodes) {
+      if (node.parentIndex >= 0) nodes[node.parentIndex].childCount++;
+    }
+
+    computePipeThickness(nodes, this.config.pipeExponent);
+    for (const node of nodes) node.thickness *= this._thicknessScale;
+
+    this.setNodes(nodes);
+  }
 }
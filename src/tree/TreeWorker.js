@@ -0,0 +1,29 @@
+import { buildTreeData } from './TreePipeline.js';
+import { encodeBinary } from '../utils/BinaryPack.js';
+
+/**
+ * Tree generation worker.
+ *
+ * in:  { config }
+ * out: { type: 'progress', step, fraction }   — throttled to 1% steps
+ *      { type: 'result', buffer }             — binary-packed tree data, transferred
+ *      { type: 'error', message }
+ */
+self.onmessage = (e) => {
+  const { config } = e.data;
+  let lastStep = null;
+  let lastFraction = 0;
+
+  try {
+    const data = buildTreeData(config, (step, fraction) => {
+      if (step === lastStep && fraction < 1 && fraction - lastFraction < 0.01) return;
+      lastStep = step;
+      lastFraction = fraction;
+      self.postMessage({ type: 'progress', step, fraction });
+    });
+    const buffer = encodeBinary(data);
+    self.postMessage({ type: 'result', buffer }, [buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -1,19 +1,179 @@
 import * as THREE from 'three';
 import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import { computeParallelTransportFrames } from './ParallelTransport.js';
-import { getCrossSectionRadius } from './CrossSection.js';
+import { getCrossSectionRadius, OAK_HARMONICS } from './CrossSection.js';
 import { NoiseDeformer } from './NoiseDeformer.js';
 import { branchCollarDisplacement, computeJunctions } from './BranchJunction.js';
 import { TREE_CONFIG } from '../config.js';
 import { SimplexNoise } from '../utils/SimplexNoise.js';
-import { mulberry32 } from '../utils/math.js';
+import { SpatialHashGrid } from '../utils/SpatialHashGrid.js';
+import { clamp, mulberry32, smoothstep } from '../utils/math.js';
+
+/**
+ * Reduced levels of detail (level 0 is the full mesh). Sides and ring
+ * spacing scale per tier; branch axes are cut (and capped) where they thin
+ * below minRadius × trunkBaseRadius.
+ */
+export const LOD_LEVELS = [
+  null,
+  { radialScale: 0.6, axialScale: 2, minRadius: 0.04, stubs: true },
+  { radialScale: 0.4, axialScale: 4, minRadius: 0.08, stubs: false },
+];
+
+/**
+ * Cell size of the junction, burl and cavity indices — each is entered in every
+ * cell its reach overlaps, so a vertex only visits the cell it falls in.
+ */
+const DEFORM_CELL_SIZE = 0.5;
+
+/**
+ * Most sides a ring gets when refined to carve a cavity (full detail only).
+ */
+const CAVITY_MAX_SEGMENTS = 48;
+
+/**
+ * Whether a cached axis sweep still matches the skeleton and the junction
+ * it starts from.
+ */
+function axisUnchanged(entry, axis, nodes, ranks, junctionKey) {
+  if (entry.nodes.length !== axis.length) return false;
+  for (let i = 0; i < axis.length; i++) {
+    const node = nodes[axis[i]];
+    if (entry.nodes[i] !== node || entry.thickness[i] !== node.thickness) return false;
+    if (ranks && entry.ranks[i] !== ranks[i]) return false;
+  }
+  return entry.junctionKey.every((value, i) => value === junctionKey[i]);
+}
+
+/**
+ * Triangulate the band between two rings of vertices, which may have
+ * different side counts (each ring repeats its first vertex at the end).
+ * Walks both rings by angle, advancing whichever vertex comes next.
+ * @returns {number} write offset past the new indices
+ */
+function stitchRings(indices, offset, a, aSegs, b, bSegs) {
+  let i = 0;
+  let j = 0;
+  while (i < aSegs || j < bSegs) {
+    if (j >= bSegs || (i < aSegs && (i + 1) / aSegs <= (j + 1) / bSegs)) {
+      indices[offset++] = a + i;
+      indices[offset++] = b + j;
+      indices[offset++] = a + i + 1;
+      i++;
+    } else {
+      indices[offset++] = a + i;
+      indices[offset++] = b + j;
+      indices[offset++] = b + j + 1;
+      j++;
+    }
+  }
+  return offset;
+}
+
+/**
+ * Append a vertex to preallocated attribute arrays ({ positions, uvs,
+ * colors, growth } plus a `vertex` write cursor). Colours carry how deep
+ * in a cavity the vertex sits in R, the branch phase in G and stiffness
+ * (0 at the base, 1 at the tips) in B.
+ */
+function writeVertex(out, x, y, z, u, v, hollow, phase, stiffness, spine, birth) {
+  const k = out.vertex++;
+  out.positions[k * 3] = x;
+  out.positions[k * 3 + 1] = y;
+  out.positions[k * 3 + 2] = z;
+  out.uvs[k * 2] = u;
+  out.uvs[k * 2 + 1] = v;
+  out.colors[k * 3] = hollow;
+  out.colors[k * 3 + 1] = phase;
+  out.colors[k * 3 + 2] = stiffness;
+  out.growth[k * 4] = spine.x;
+  out.growth[k * 4 + 1] = spine.y;
+  out.growth[k * 4 + 2] = spine.z;
+  out.growth[k * 4 + 3] = birth;
+}
+
+/**
+ * Fan a ring closed around its centre. Base caps (flip) face back down
+ * the axis; `hollow` shades the centre as end grain.
+ */
+function addCap(out, center, ring, segs, flip, v, phase, stiffness, birth, hollow = 0) {
+  const centerIdx = out.vertex;
+  writeVertex(out, center.x, center.y, center.z, 0.5, v, hollow, phase, stiffness, center, birth);
+
+  const { indices } = out;
+  for (let j = 0; j < segs; j++) {
+    indices[out.index++] = flip ? ring + j + 1 : ring + j;
+    indices[out.index++] = flip ? ring + j : ring + j + 1;
+    indices[out.index++] = centerIdx;
+  }
+}
+
+/**
+ * Wrap filled attribute arrays in a BufferGeometry.
+ */
+function toGeometry(out) {
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(out.positions, 3));
+  geom.setAttribute('uv', new THREE.BufferAttribute(out.uvs, 2));
+  geom.setAttribute('color', new THREE.BufferAttribute(out.colors, 3));
+  geom.setAttribute('aGrowth', new THREE.BufferAttribute(out.growth, 4));
+  geom.setIndex(new THREE.BufferAttribute(out.indices, 1));
+  return geom;
+}
+
+/**
+ * Push vertex j of a ring out along its normal.
+ */
+function displaceAlongNormal(ringPos, ringNormal, j, amount) {
+  ringPos[j * 3] += ringNormal[j * 3] * amount;
+  ringPos[j * 3 + 1] += ringNormal[j * 3 + 1] * amount;
+  ringPos[j * 3 + 2] += ringNormal[j * 3 + 2] * amount;
+}
+
+const _v = new THREE.Vector3();
+const _n = new THREE.Vector3();
+const _w = new THREE.Vector3();
+const _d = new THREE.Vector3();
+const _facing = new THREE.Vector3();
+
+/**
+ * Slide a vertex of a side branch's base ring back along the branch onto
+ * its parent's surface, modelled as a cylinder around the parent axis.
+ * Rays that miss the cylinder stop at their closest approach; vertices
+ * never move forward or further back than `maxBack`, so the base ring
+ * can't fold over the rings ahead of it.
+ */
+function trimToParent(vertex, dir, junction, maxBack) {
+  const { point, axis, radius } = junction;
+  _w.copy(vertex).sub(point);
+  _w.addScaledVector(axis, -_w.dot(axis));
+  _d.copy(dir).addScaledVector(axis, -dir.dot(axis));
+
+  const a = _d.lengthSq();
+  if (a < 1e-8) return;
+  const b = _w.dot(_d);
+  const disc = b * b - a * (_w.lengthSq() - radius * radius);
+  const t = disc >= 0 ? (-b + Math.sqrt(disc)) / a : -b / a;
+  vertex.addScaledVector(dir, clamp(t, -maxBack, 0));
+}
 
 /**
  * TrunkMesh — the core mesh generation pipeline.
  *
  * Takes a TreeSkeleton, sweeps non-circular cross-sections along each
- * branch segment using parallel transport frames, applies deformation
+ * branch axis using parallel transport frames, applies deformation
  * layers, and merges everything into a single BufferGeometry.
+ *
+ * Axes run through forks along the main child, so a branch is one
+ * continuous tube whose resolution steps down as it thins. Side branches
+ * start inside their parent: the base ring is trimmed onto the parent's
+ * surface and capped, and spine noise and wind phase blend from the
+ * parent's, so bark and sway flow across the fork.
+ *
+ * Every vertex carries an `aGrowth` attribute — the spine point it sits
+ * around (xyz) and its birth time in [0, 1) (w) — so the bark shader can
+ * extrude and thicken the tree over the growth animation, and an
+ * `aWeather` attribute it grows moss and lichen from (see _bakeWeathering).
  */
 export class TrunkMesh {
   constructor(skeleton, config = TREE_CONFIG) {
@@ -24,6 +184,7 @@ export class TrunkMesh {
     this.simplex = new SimplexNoise(rng);
     this.branchRng = mulberry32(config.seed + 999);
     this.maxDepth = skeleton.getMaxDepth();
+    this.growthSteps = skeleton.getGrowthSteps();
 
     this.deformer = new NoiseDeformer(config, config.seed + 555);
 
@@ -32,244 +193,640 @@ export class TrunkMesh {
     this.enableSurfaceFBM = true;
     this.enableRootFlare = true;
     this.enableBurls = true;
+    this.enableCavities = true;
 
     this.enableCollars = true;
 
+    // Off for geometry that must not sway (roots): no wind branch, zero stiffness
+    this.enableWind = true;
+
     this.burls = [];
+    this.cavities = [];
     this.junctions = [];
+    this._burlIndex = null;
+    this._cavityIndex = null;
+    this._junctionIndex = null;
+    this._nearbyIds = [];
+    this._nearbyItems = [];
+
+    // Benchmark mode: set to {} and each build adds milliseconds spent per
+    // deformation layer (see benchmarkTrunkMesh)
+    this.timings = null;
+
+    // Level of detail being swept (see buildLOD), null for full resolution
+    this._lod = null;
+    this._lodMinRadius = 0;
   }
 
   /**
    * Build and return the merged BufferGeometry for the full tree.
+   * @param {function(number): void} [onProgress] - receives progress in [0, 1]
    */
-  build() {
+  build(onProgress) {
+    let clock = this.timings && performance.now();
     if (this.enableBurls) {
       this._generateBurls();
+      this._burlIndex = this._indexSpheres(this.burls, (burl) => burl.center, (burl) => burl.radius * 1.5);
+    }
+    if (this.enableCavities) {
+      this._generateCavities();
+      this._cavityIndex = this._indexSpheres(this.cavities, (cavity) => cavity.center,
+        (cavity) => cavity.radius * cavity.stretch * 1.6);
     }
     if (this.enableCollars) {
-      this.junctions = computeJunctions(this.skeleton);
+      this._indexJunctions();
+    }
+    if (this.timings) this._lap('index', clock);
+
+    const axes = this.skeleton.getBranchAxes();
+    this._axisCache = new Map();
+    this._owners = new Map();
+
+    for (let i = 0; i < axes.length; i++) {
+      // Per-branch seed (deterministic per axis)
+      const branchSeed = this.branchRng() * 1000;
+      const branchPhase = this.branchRng();
+      this._cacheAxis(axes[i], branchSeed, branchPhase);
+      if (onProgress) onProgress((i + 1) / axes.length);
     }
 
-    const segments = this.skeleton.getBranchSegments();
-    const geometries = [];
+    // Dead branch stubs and broken limbs (Layer 5)
+    clock = this.timings && performance.now();
+    const deadStubs = this._generateDeadStubs();
+    this._stubs = [...deadStubs, ...this._generateBrokenLimbs(deadStubs)];
+    if (this.timings) this._lap('stubs', clock);
 
-    for (const segment of segments) {
-      const geom = this._buildSegmentGeometry(segment);
-      if (geom) geometries.push(geom);
+    return this._merge();
+  }
+
+  /**
+   * Rebuild after the skeleton was edited (see TreeSkeleton editing).
+   * Only axes whose nodes, thickness or junction changed are swept again —
+   * the edited branch and, through the pipe model, its ancestors down to
+   * the root. Untouched axes, burls, cavities and surviving stubs are reused, and
+   * re-swept axes keep their branch seed so their bark doesn't shift.
+   */
+  rebuild() {
+    this.maxDepth = this.skeleton.getMaxDepth();
+    this.growthSteps = this.skeleton.getGrowthSteps();
+    if (this.enableCollars) {
+      this._indexJunctions();
+    }
+
+    const nodes = this.skeleton.getNodes();
+    const axes = this.skeleton.getBranchAxes();
+    const previous = this._axisCache;
+    this._axisCache = new Map();
+    this._owners = new Map();
+    let swept = 0;
+
+    for (const axis of axes) {
+      const entry = previous.get(nodes[axis[1]]);
+      if (entry && axisUnchanged(entry, axis, nodes, this._getRanks(axis), this._junctionKey(axis))) {
+        this._axisCache.set(entry.key, entry);
+        this._claimNodes(axis, entry);
+        continue;
+      }
+      const branchSeed = entry ? entry.branchSeed : this.branchRng() * 1000;
+      const branchPhase = entry ? entry.branchPhase : this.branchRng();
+      this._cacheAxis(axis, branchSeed, branchPhase);
+      swept++;
+    }
+
+    for (const [key, entry] of previous) {
+      if (this._axisCache.get(key) !== entry) entry.geometry.dispose();
     }
 
-    // Junction welds — fill gaps at fork points
-    const welds = this._generateJunctionWelds();
-    for (const w of welds) geometries.push(w);
+    const alive = new Set(nodes);
+    this._stubs = this._stubs.filter((stub) => {
+      if (alive.has(stub.node)) return true;
+      stub.geometry.dispose();
+      return false;
+    });
+
+    console.log(`[TrunkMesh] rebuilt ${swept} of ${axes.length} branch axes`);
+    return this._merge();
+  }
+
+  /**
+   * Build a reduced level of detail of the mesh last built (call after
+   * build() or rebuild()). Axes keep their branch seeds, and the flare,
+   * burls, cavities, junctions and stubs come from the same state as the full mesh,
+   * so levels line up when THREE.LOD swaps between them.
+   * @param {number} level - index into LOD_LEVELS, 1 or higher
+   * @returns {THREE.BufferGeometry|null}
+   */
+  buildLOD(level) {
+    this._lod = LOD_LEVELS[level];
+    this._lodMinRadius = this._lod.minRadius * this.config.trunkBaseRadius;
+
+    const nodes = this.skeleton.getNodes();
+    const geometries = [];
+    const branches = [];
+    this.skeleton.getBranchAxes().forEach((axis, branch) => {
+      if (nodes[axis[1]].thickness < this._lodMinRadius) return;
+      const { branchSeed, branchPhase } = this._axisCache.get(nodes[axis[1]]);
+      geometries.push(this._buildAxisGeometry(axis, branchSeed, branchPhase));
+      branches.push(branch);
+    });
+    // Stubs are shared with the full mesh
+    const stubs = this._lod.stubs ? this._stubs : [];
+    this._lod = null;
+
+    if (geometries.length + stubs.length === 0) return null;
+    const merged = this._mergeBranches(
+      [...geometries, ...stubs.map((stub) => stub.geometry)],
+      [...branches, ...this._stubBranches(stubs)]
+    );
 
-    // Dead branch stubs (Layer 5)
-    const stubs = this._generateDeadStubs();
-    for (const stub of stubs) geometries.push(stub);
+    for (const g of geometries) g.dispose();
+    return merged;
+  }
+
+  /**
+   * Sweep an axis and remember it, keyed by its first node past the fork
+   * (unique per axis, and stable across index-compacting edits).
+   */
+  _cacheAxis(axis, branchSeed, branchPhase) {
+    const nodes = this.skeleton.getNodes();
+    const key = nodes[axis[1]];
+    const entry = {
+      key,
+      ranks: this._getRanks(axis),
+      junctionKey: this._junctionKey(axis),
+      nodes: axis.map((i) => nodes[i]),
+      thickness: axis.map((i) => nodes[i].thickness),
+      branchSeed,
+      branchPhase,
+      geometry: this._buildAxisGeometry(axis, branchSeed, branchPhase),
+    };
+    this._axisCache.set(key, entry);
+    this._claimNodes(axis, entry);
+  }
+
+  /**
+   * Record which axis each node lies on, so side branches can find the
+   * seed and phase of the axis they grow from. Axes come parents first.
+   */
+  _claimNodes(axis, entry) {
+    const nodes = this.skeleton.getNodes();
+    for (let i = this._isSideAxis(axis) ? 1 : 0; i < axis.length; i++) {
+      this._owners.set(nodes[axis[i]], entry);
+    }
+  }
+
+  /**
+   * Merge cached axes and stubs.
+   */
+  _merge() {
+    const clock = this.timings && performance.now();
+    const nodes = this.skeleton.getNodes();
+    const axes = this.skeleton.getBranchAxes();
+    const geometries = axes.map((axis) => this._axisCache.get(nodes[axis[1]]).geometry);
+    const branches = axes.map((axis, branch) => branch);
+    for (const stub of this._stubs) geometries.push(stub.geometry);
+    branches.push(...this._stubBranches(this._stubs));
 
     if (geometries.length === 0) return null;
 
+    const merged = this._mergeBranches(geometries, branches);
+    if (this.timings) this._lap('merge', clock);
+    return merged;
+  }
+
+  /**
+   * Merge sweeps, tagging every vertex with the branch axis it bends with
+   * in the wind (`aBranch`, an index into getBranchAxes — see
+   * BranchWind.js; -1 with wind off), then compute normals and bake
+   * weathering.
+   * @param {THREE.BufferGeometry[]} geometries
+   * @param {number[]} branches - axis index per geometry
+   */
+  _mergeBranches(geometries, branches) {
     const merged = mergeGeometries(geometries, false);
+    const tags = new Float32Array(merged.getAttribute('position').count).fill(-1);
+    if (this.enableWind) {
+      let offset = 0;
+      geometries.forEach((geometry, i) => {
+        const count = geometry.getAttribute('position').count;
+        tags.fill(branches[i], offset, offset + count);
+        offset += count;
+      });
+    }
+    merged.setAttribute('aBranch', new THREE.BufferAttribute(tags, 1));
     merged.computeVertexNormals();
+    this._bakeWeathering(merged);
+    return merged;
+  }
 
-    for (const g of geometries) g.dispose();
+  /**
+   * Branch axis each stub bends with: the one its node lies on.
+   */
+  _stubBranches(stubs) {
+    const nodes = this.skeleton.getNodes();
+    const axisOf = new Map();
+    this.skeleton.getBranchAxes().forEach((axis, branch) => {
+      axisOf.set(this._axisCache.get(nodes[axis[1]]), branch);
+    });
+    return stubs.map((stub) => axisOf.get(this._owners.get(stub.node)) ?? -1);
+  }
 
-    return merged;
+  /**
+   * Bake the `aWeather` attribute the bark shader weathers from: how far
+   * each vertex faces up (x) and toward the shady side, config.mossFacing
+   * (y), its height above the ground in metres (z), and how close it sits
+   * to a fork, where rain collects (w). Needs the merged normals.
+   */
+  _bakeWeathering(geometry) {
+    const position = geometry.getAttribute('position');
+    const normal = geometry.getAttribute('normal');
+    const weather = new Float32Array(position.count * 4);
+    _facing.fromArray(this.config.mossFacing).normalize();
+
+    for (let i = 0; i < position.count; i++) {
+      _v.fromBufferAttribute(position, i);
+      _n.fromBufferAttribute(normal, i);
+
+      let fork = 0;
+      if (this.enableCollars) {
+        for (const junc of this._nearby(this._junctionIndex, this.junctions, _v)) {
+          fork = Math.max(fork, smoothstep(junc.parentRadius * 2, junc.parentRadius, _v.distanceTo(junc.point)));
+        }
+      }
+
+      weather[i * 4] = Math.max(0, _n.y);
+      weather[i * 4 + 1] = Math.max(0, _n.dot(_facing));
+      weather[i * 4 + 2] = Math.max(0, _v.y);
+      weather[i * 4 + 3] = fork;
+    }
+    geometry.setAttribute('aWeather', new THREE.BufferAttribute(weather, 4));
+  }
+
+  _indexJunctions() {
+    this.junctions = computeJunctions(this.skeleton);
+    this._junctionIndex = this._indexSpheres(this.junctions, (junc) => junc.point, (junc) => junc.parentRadius * 4);
+  }
+
+  /**
+   * Spatial index over items that displace vertices within a reach of
+   * their centre.
+   */
+  _indexSpheres(items, center, reach) {
+    const grid = new SpatialHashGrid(DEFORM_CELL_SIZE);
+    items.forEach((item, id) => grid.insertSphere(id, center(item), reach(item)));
+    return grid;
+  }
+
+  /**
+   * Items whose reach may contain a point, in their original order. The
+   * returned array is reused by the next call.
+   */
+  _nearby(index, items, point) {
+    const ids = index.query(point, 0, this._nearbyIds);
+    const out = this._nearbyItems;
+    out.length = ids.length;
+    for (let i = 0; i < ids.length; i++) out[i] = items[ids[i]];
+    return out;
+  }
+
+  /**
+   * Benchmark mode: add the time since `start` to a layer's total.
+   * @returns {number} now, to start the next layer from
+   */
+  _lap(layer, start) {
+    const now = performance.now();
+    this.timings[layer] = (this.timings[layer] || 0) + now - start;
+    return now;
+  }
+
+  /**
+   * Whether an axis branches off another (every axis but the trunk's).
+   */
+  _isSideAxis(axis) {
+    return axis[0] !== 0 || axis[1] !== this.skeleton.getMainChild(0);
+  }
+
+  /**
+   * Where a side branch leaves its parent axis, or null for the trunk.
+   * @returns {{ point: THREE.Vector3, axis: THREE.Vector3, radius: number,
+   *   parentRadius: number, offset: THREE.Vector3, phase: number }|null}
+   */
+  _getJunction(axis) {
+    if (!this._isSideAxis(axis)) return null;
+    const nodes = this.skeleton.getNodes();
+    const fork = nodes[axis[0]];
+    const owner = this._owners.get(fork);
+    const before = fork.parentIndex >= 0 ? nodes[fork.parentIndex] : fork;
+    const after = nodes[this.skeleton.getMainChild(axis[0])];
+    const radius = fork.thickness;
+
+    // The parent's spine noise at the fork, inherited by the branch base
+    const offset = new THREE.Vector3();
+    if (this.enableSpineNoise) {
+      const shifted = fork.position.clone();
+      this.deformer.applySpineNoise(shifted, 0, radius, owner.branchSeed);
+      offset.subVectors(shifted, fork.position);
+    }
+
+    return {
+      point: fork.position.clone().add(offset),
+      axis: after.position.clone().sub(before.position).normalize(),
+      radius: radius * this.config.junctionEmbed,
+      parentRadius: radius,
+      offset,
+      phase: owner.branchPhase,
+    };
   }
 
   /**
-   * Build geometry for a single branch segment (array of node indices).
+   * What a side branch's sweep depends on beyond its own nodes.
    */
-  _buildSegmentGeometry(segment) {
-    if (segment.length < 2) return null;
+  _junctionKey(axis) {
+    if (!this._isSideAxis(axis)) return [];
+    const nodes = this.skeleton.getNodes();
+    const fork = nodes[axis[0]];
+    const owner = this._owners.get(fork);
+    const main = nodes[this.skeleton.getMainChild(axis[0])];
+    const before = fork.parentIndex >= 0 ? nodes[fork.parentIndex] : null;
+    return [owner.branchSeed, main, before, fork.thickness];
+  }
+
+  /**
+   * Build geometry for a single branch axis (array of node indices).
+   *
+   * The centreline is laid out and noised first, then each ring goes
+   * through the deformation layers in turn, straight into preallocated
+   * attribute arrays.
+   */
+  _buildAxisGeometry(axis, branchSeed, branchPhase) {
+    const timings = this.timings;
+    let clock = timings && performance.now();
 
     const nodes = this.skeleton.getNodes();
-    const nodePositions = segment.map(i => nodes[i].position.clone());
-    const nodeRadii = segment.map(i => nodes[i].thickness);
+    const pathLengths = this.skeleton.getPathLengths();
+    const junction = this._getJunction(axis);
+
+    // Reduced LODs cut the axis where it thins past the level's cutoff
+    let end = axis.length;
+    if (this._lod) {
+      while (end > 2 && nodes[axis[end - 1]].thickness < this._lodMinRadius) end--;
+    }
+    const path = end < axis.length ? axis.slice(0, end) : axis;
+    const cut = end < axis.length;
 
-    const avgRadius = nodeRadii.reduce((a, b) => a + b, 0) / nodeRadii.length;
-    const tier = this._getTier(avgRadius);
+    const nodePositions = path.map(i => nodes[i].position.clone());
+    const nodeRadii = path.map(i => nodes[i].thickness);
+    const nodeBirths = path.map(i => nodes[i].birth / this.growthSteps);
+    const nodePaths = path.map(i => pathLengths[i]);
+    const nodeDepths = path.map(i => nodes[i].depth);
+    const ranks = this._getRanks(path);
+
+    // A side branch is as thick as itself where it leaves the fork
+    if (junction) nodeRadii[0] = nodeRadii[1];
+
+    // Determine if this axis includes the trunk base (for root flare)
+    const isTrunkAxis = !junction && nodePositions[0].y < 0.1
+      && nodeRadii[0] > this.config.trunkBaseRadius * 0.3;
 
     const curve = new THREE.CatmullRomCurve3(nodePositions, false, 'centripetal');
     const totalLength = curve.getLength();
-    const spacing = tier.axialSpacing;
-    const sampleCount = Math.max(2, Math.ceil(totalLength / spacing));
 
-    // Per-branch seed (deterministic per segment)
-    const branchSeed = this.branchRng() * 1000;
-    const branchPhase = this.branchRng();
+    const lerpNodes = (values, t) => {
+      const nodeT = t * (path.length - 1);
+      const lo = Math.floor(nodeT);
+      const hi = Math.min(lo + 1, path.length - 1);
+      const frac = nodeT - lo;
+      return values[lo] * (1 - frac) + values[hi] * frac;
+    };
+    const cavities = this._lod ? [] : this._cavitiesNear(nodePositions, nodeRadii);
+    const tierAt = (t) => {
+      const lo = Math.min(Math.floor(t * (path.length - 1)), path.length - 1);
+      const radius = lerpNodes(nodeRadii, t);
+      const tier = this._applyLOD(this._getTier(radius, ranks ? ranks[lo] : 0), isTrunkAxis);
+      return cavities.length > 0 ? this._refineForCavities(tier, curve.getPointAt(t), radius, cavities) : tier;
+    };
+
+    // Ring positions along the axis, spaced by the tier of the radius there.
+    // Side branches start where their axis leaves the parent — further out
+    // the shallower the fork angle.
+    let start = 0;
+    if (junction) {
+      const heading = nodePositions[1].clone().sub(nodePositions[0]).normalize();
+      const sinAngle = Math.sqrt(Math.max(0, 1 - junction.axis.dot(heading) ** 2));
+      start = Math.min(junction.parentRadius / Math.max(0.3, sinAngle), totalLength * 0.5);
+    }
+    const ringTs = [];
+    for (let s = start; s < totalLength; s += tierAt(s / totalLength).axialSpacing) {
+      ringTs.push(s / totalLength);
+    }
+    if (ringTs.length > 1 && (1 - ringTs[ringTs.length - 1]) * totalLength < tierAt(1).axialSpacing * 0.3) {
+      ringTs.pop();
+    }
+    ringTs.push(1);
 
     // Sample positions, apply spine noise, then compute frames
+    const ringCount = ringTs.length;
     const sampledPoints = [];
     const sampledRadii = [];
-    const sampledTs = [];
+    const ringSegs = [];
+    const blends = [];
+    const ownNoise = new THREE.Vector3();
+    const blendLength = junction ? junction.parentRadius * this.config.junctionBlend : 0;
 
-    for (let i = 0; i <= sampleCount; i++) {
-      const t = i / sampleCount;
+    for (const t of ringTs) {
       const point = curve.getPointAt(t);
-
-      // Interpolate radius
-      const nodeT = t * (segment.length - 1);
-      const lo = Math.floor(nodeT);
-      const hi = Math.min(lo + 1, segment.length - 1);
-      const frac = nodeT - lo;
-      const radius = nodeRadii[lo] * (1 - frac) + nodeRadii[hi] * frac;
+      const radius = lerpNodes(nodeRadii, t);
+      // Side branches fade from the parent's spine noise and wind phase
+      const blend = junction ? smoothstep(0, blendLength, t * totalLength) : 1;
 
       // Layer 1: Spine noise — perturb centreline BEFORE frame computation
       if (this.enableSpineNoise) {
-        this.deformer.applySpineNoise(point, t, radius, branchSeed);
+        ownNoise.copy(point);
+        this.deformer.applySpineNoise(ownNoise, t, radius, branchSeed);
+        ownNoise.sub(point);
+        if (junction) ownNoise.lerp(junction.offset, 1 - blend);
+        point.add(ownNoise);
       }
 
       sampledPoints.push(point);
       sampledRadii.push(radius);
-      sampledTs.push(t);
+      ringSegs.push(tierAt(t).radialSegments);
+      blends.push(blend);
     }
+    if (timings) clock = this._lap('spine', clock);
 
     // Compute parallel transport frames on (noise-perturbed) points
     const frames = computeParallelTransportFrames(sampledPoints);
+    if (timings) clock = this._lap('frames', clock);
+
+    // Allocate for every ring, then the base and tip caps
+    const baseCap = junction !== null;
+    const tipCap = sampledRadii[ringCount - 1] < 0.05 || cut;
+    let vertexCount = (baseCap ? 1 : 0) + (tipCap ? 1 : 0);
+    let triangleCount = (baseCap ? ringSegs[0] : 0) + (tipCap ? ringSegs[ringCount - 1] : 0);
+    let maxSegs = 0;
+    for (let i = 0; i < ringCount; i++) {
+      vertexCount += ringSegs[i] + 1;
+      if (i > 0) triangleCount += ringSegs[i - 1] + ringSegs[i];
+      maxSegs = Math.max(maxSegs, ringSegs[i]);
+    }
+    const out = {
+      positions: new Float32Array(vertexCount * 3),
+      uvs: new Float32Array(vertexCount * 2),
+      colors: new Float32Array(vertexCount * 3),
+      growth: new Float32Array(vertexCount * 4),
+      indices: new Uint32Array(triangleCount * 3),
+      vertex: 0,
+      index: 0,
+    };
+
+    // One ring's vertices and outward normals while the layers displace them
+    const ringPos = new Float64Array((maxSegs + 1) * 3);
+    const ringNormal = new Float64Array((maxSegs + 1) * 3);
+    const ringHollow = new Float64Array(maxSegs + 1);
 
     const noise1D = (x, seedOffset = 0) => this.simplex.noise1D(x, seedOffset);
+    const harmonics = this.config.crossSectionProfile || OAK_HARMONICS;
+    const ringStarts = [];
 
-    const radialSegs = tier.radialSegments;
-    const ringCount = sampledPoints.length;
-
-    const positions = [];
-    const uvs = [];
-    const colors = [];
-
-    // Determine if this segment includes the trunk base (for root flare)
-    const segmentStartY = nodes[segment[0]].position.y;
-    const isTrunkSegment = segmentStartY < 0.1 && avgRadius > this.config.trunkBaseRadius * 0.3;
-
-    // Reusable vectors
-    const vertexPos = new THREE.Vector3();
-    const normalDir = new THREE.Vector3();
-
-    let arcLength = 0;
     for (let i = 0; i < ringCount; i++) {
-      if (i > 0) {
-        arcLength += sampledPoints[i].distanceTo(sampledPoints[i - 1]);
-      }
-
+      const t = ringTs[i];
       const center = sampledPoints[i];
-      const { N, B } = frames[i];
+      const { T, N, B } = frames[i];
       const baseRadius = sampledRadii[i];
-      const h = sampledTs[i];
-
-      const firstNodeDepth = nodes[segment[0]].depth;
-      const lastNodeDepth = nodes[segment[segment.length - 1]].depth;
-      const depthAtRing = firstNodeDepth + (lastNodeDepth - firstNodeDepth) * h;
-      const stiffness = depthAtRing / this.maxDepth;
+      const radialSegs = ringSegs[i];
+      const vertsInRing = radialSegs + 1;
 
-      for (let j = 0; j <= radialSegs; j++) {
+      // Base ring: non-circular cross-section and Layer 3, root flare
+      for (let j = 0; j < vertsInRing; j++) {
         const theta = (j / radialSegs) * Math.PI * 2;
 
         // Non-circular cross-section radius from harmonics
         let r;
         if (this.config.crossSectionHarmonics && baseRadius > 0.02) {
-          r = getCrossSectionRadius(theta, h, baseRadius, branchSeed, noise1D);
+          r = getCrossSectionRadius(theta, t, baseRadius, branchSeed, noise1D, harmonics);
         } else {
           r = baseRadius;
         }
 
-        // Layer 3: Root flare (trunk base only)
-        if (this.enableRootFlare && isTrunkSegment) {
-          const worldY = center.y;
-          r += this.deformer.rootFlare(theta, worldY, baseRadius);
-        }
-
         const cosT = Math.cos(theta);
         const sinT = Math.sin(theta);
 
+        // Layer 3: Root flare (trunk base only)
+        if (this.enableRootFlare && isTrunkAxis) {
+          const azimuth = Math.atan2(N.z * cosT + B.z * sinT, N.x * cosT + B.x * sinT);
+          r += this.deformer.rootFlare(azimuth, center.y, baseRadius);
+        }
+
         // Position on ring
-        vertexPos.set(
-          center.x + N.x * cosT * r + B.x * sinT * r,
-          center.y + N.y * cosT * r + B.y * sinT * r,
-          center.z + N.z * cosT * r + B.z * sinT * r
-        );
+        ringPos[j * 3] = center.x + N.x * cosT * r + B.x * sinT * r;
+        ringPos[j * 3 + 1] = center.y + N.y * cosT * r + B.y * sinT * r;
+        ringPos[j * 3 + 2] = center.z + N.z * cosT * r + B.z * sinT * r;
 
         // Outward normal direction (before displacement)
-        normalDir.set(
+        _n.set(
           N.x * cosT + B.x * sinT,
           N.y * cosT + B.y * sinT,
           N.z * cosT + B.z * sinT
-        ).normalize();
-
-        // Layer 2: Surface fBM displacement along normal
-        if (this.enableSurfaceFBM && baseRadius > 0.01) {
-          const disp = this.deformer.surfaceFBM(vertexPos, baseRadius);
-          vertexPos.x += normalDir.x * disp;
-          vertexPos.y += normalDir.y * disp;
-          vertexPos.z += normalDir.z * disp;
+        ).normalize().toArray(ringNormal, j * 3);
+      }
+      if (timings) clock = this._lap('section', clock);
+
+      // Layer 2: Surface fBM displacement along normal
+      if (this.enableSurfaceFBM && baseRadius > 0.01) {
+        for (let j = 0; j < vertsInRing; j++) {
+          _v.fromArray(ringPos, j * 3);
+          displaceAlongNormal(ringPos, ringNormal, j, this.deformer.surfaceFBM(_v, baseRadius));
+        }
+        if (timings) clock = this._lap('fbm', clock);
+      }
+
+      // Layer 4: Burl displacement along normal
+      if (this.enableBurls && this.burls.length > 0) {
+        for (let j = 0; j < vertsInRing; j++) {
+          _v.fromArray(ringPos, j * 3);
+          const burls = this._nearby(this._burlIndex, this.burls, _v);
+          if (burls.length > 0) {
+            displaceAlongNormal(ringPos, ringNormal, j, this.deformer.burlDisplacement(_v, burls));
+          }
         }
+        if (timings) clock = this._lap('burls', clock);
+      }
 
-        // Layer 4: Burl displacement along normal
-        if (this.enableBurls && this.burls.length > 0) {
-          const disp = this.deformer.burlDisplacement(vertexPos, this.burls);
-          vertexPos.x += normalDir.x * disp;
-          vertexPos.y += normalDir.y * disp;
-          vertexPos.z += normalDir.z * disp;
+      // Layer 6: Cavities carved in along the normal
+      ringHollow.fill(0);
+      if (this.enableCavities && this.cavities.length > 0) {
+        for (let j = 0; j < vertsInRing; j++) {
+          _v.fromArray(ringPos, j * 3);
+          const cavities = this._nearby(this._cavityIndex, this.cavities, _v);
+          if (cavities.length > 0) {
+            const carve = this.deformer.cavityDisplacement(_v, baseRadius, cavities);
+            displaceAlongNormal(ringPos, ringNormal, j, carve.displacement);
+            ringHollow[j] = carve.hollow;
+          }
         }
+        if (timings) clock = this._lap('cavities', clock);
+      }
 
-        // Branch collar displacement at junctions
-        if (this.enableCollars) {
+      // Branch collar displacement at junctions
+      if (this.enableCollars) {
+        for (let j = 0; j < vertsInRing; j++) {
+          _v.fromArray(ringPos, j * 3);
           let collarDisp = 0;
-          for (const junc of this.junctions) {
-            const distToJunc = vertexPos.distanceTo(junc.point);
+          for (const junc of this._nearby(this._junctionIndex, this.junctions, _v)) {
+            const distToJunc = _v.distanceTo(junc.point);
             if (distToJunc > junc.parentRadius * 4) continue; // early out
             for (const child of junc.childDirections) {
               collarDisp += branchCollarDisplacement(
-                vertexPos, junc.point, child.dir, child.radius, this.config.collarSize
+                _v, junc.point, child.dir, child.radius, this.config.collarSize
               );
             }
           }
-          if (collarDisp > 0) {
-            vertexPos.x += normalDir.x * collarDisp;
-            vertexPos.y += normalDir.y * collarDisp;
-            vertexPos.z += normalDir.z * collarDisp;
-          }
+          if (collarDisp > 0) displaceAlongNormal(ringPos, ringNormal, j, collarDisp);
         }
+        if (timings) clock = this._lap('collars', clock);
+      }
 
-        positions.push(vertexPos.x, vertexPos.y, vertexPos.z);
-        uvs.push(j / radialSegs, arcLength);
-        colors.push(0, branchPhase, stiffness);
+      // Side branch base: trimmed back onto the parent's surface
+      if (junction && i === 0) {
+        for (let j = 0; j < vertsInRing; j++) {
+          _v.fromArray(ringPos, j * 3);
+          trimToParent(_v, T, junction, ringTs[0] * totalLength);
+          _v.toArray(ringPos, j * 3);
+        }
+        if (timings) clock = this._lap('trim', clock);
       }
-    }
 
-    // Build indices
-    const indices = [];
-    const stride = radialSegs + 1;
-    for (let i = 0; i < ringCount - 1; i++) {
-      for (let j = 0; j < radialSegs; j++) {
-        const a = i * stride + j;
-        const b = a + stride;
-        const c = a + 1;
-        const d = b + 1;
-        indices.push(a, b, c);
-        indices.push(c, b, d);
+      const pathLength = lerpNodes(nodePaths, t);
+      const birth = lerpNodes(nodeBirths, t);
+      const stiffness = this.enableWind ? lerpNodes(nodeDepths, t) / this.maxDepth : 0;
+      const phase = junction ? junction.phase + (branchPhase - junction.phase) * blends[i] : branchPhase;
+
+      ringStarts.push(out.vertex);
+      for (let j = 0; j < vertsInRing; j++) {
+        writeVertex(out, ringPos[j * 3], ringPos[j * 3 + 1], ringPos[j * 3 + 2],
+          j / radialSegs, pathLength, ringHollow[j], phase, stiffness, center, birth);
       }
-    }
 
-    // Tip cap
-    if (sampledRadii[sampledRadii.length - 1] < 0.05) {
-      const tipCenter = sampledPoints[sampledPoints.length - 1];
-      const tipIdx = positions.length / 3;
-      positions.push(tipCenter.x, tipCenter.y, tipCenter.z);
-      uvs.push(0.5, arcLength);
-      colors.push(0, branchPhase, 1);
-
-      const lastRingStart = (ringCount - 1) * stride;
-      for (let j = 0; j < radialSegs; j++) {
-        indices.push(lastRingStart + j, lastRingStart + j + 1, tipIdx);
+      if (i > 0) {
+        out.index = stitchRings(out.indices, out.index, ringStarts[i - 1], ringSegs[i - 1], ringStarts[i], radialSegs);
       }
     }
 
-    const geom = new THREE.BufferGeometry();
-    geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    geom.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-    geom.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-    geom.setIndex(indices);
+    // Base cap — closes whatever of a side branch's mouth the trim left
+    // outside the parent
+    if (baseCap) {
+      addCap(out, sampledPoints[0], ringStarts[0], ringSegs[0], true,
+        lerpNodes(nodePaths, ringTs[0]), junction.phase, out.colors[2], out.growth[3]);
+    }
+
+    // Tip cap — also where a reduced LOD cut the axis short
+    if (tipCap) {
+      addCap(out, sampledPoints[ringCount - 1], ringStarts[ringCount - 1], ringSegs[ringCount - 1], false,
+        nodePaths[path.length - 1], branchPhase, this.enableWind ? 1 : 0, nodeBirths[path.length - 1]);
+    }
 
-    return geom;
+    return toGeometry(out);
   }
 
   /**
@@ -320,190 +877,343 @@ export class TrunkMesh {
   }
 
   /**
-   * Generate small sphere-like welds at fork nodes to fill gaps
-   * between parent and child branch segments.
-   * Only welds thin-to-medium junctions — thick junctions already
-   * overlap naturally and don't need filling.
+   * Place hollows on the trunk and main limbs, and knot holes where
+   * smaller limbs were shed. Sizes and depths scale with the branch they
+   * sit on, and cavities keep clear of each other.
    */
-  _generateJunctionWelds() {
+  _generateCavities() {
     const nodes = this.skeleton.getNodes();
-    const forkIndices = this.skeleton.getForkNodes();
-    const geometries = [];
-
-    for (const forkIdx of forkIndices) {
-      const node = nodes[forkIdx];
-      const radius = node.thickness;
-
-      // Skip junctions that are too thin to see
-      if (radius < 0.02) continue;
-
-      const weldRadius = radius * 1.15;
-      const segs = radius > 0.15 ? 4 : 3;
-      const positions = [];
-      const uvs = [];
-      const colors = [];
-      const indices = [];
-
-      const stiffness = node.depth / this.maxDepth;
+    const rng = mulberry32(this.config.seed + 666);
+    const c = this.config;
 
-      for (let lat = 0; lat <= segs; lat++) {
-        const theta = (lat / segs) * Math.PI;
-        const sinT = Math.sin(theta);
-        const cosT = Math.cos(theta);
+    this.cavities = [];
 
-        for (let lon = 0; lon <= segs * 2; lon++) {
-          const phi = (lon / (segs * 2)) * Math.PI * 2;
-          const x = node.position.x + sinT * Math.cos(phi) * weldRadius;
-          const y = node.position.y + cosT * weldRadius;
-          const z = node.position.z + sinT * Math.sin(phi) * weldRadius;
-          positions.push(x, y, z);
-          uvs.push(lon / (segs * 2), lat / segs);
-          colors.push(0, 0, stiffness);
+    const place = (count, minThickness, minHeight, shape) => {
+      const candidates = [];
+      for (let i = 0; i < nodes.length; i++) {
+        const n = nodes[i];
+        if (n.parentIndex >= 0 && n.thickness > minThickness && n.position.y > minHeight) {
+          candidates.push(i);
         }
       }
-
-      const stride = segs * 2 + 1;
-      for (let lat = 0; lat < segs; lat++) {
-        for (let lon = 0; lon < segs * 2; lon++) {
-          const a = lat * stride + lon;
-          const b = a + stride;
-          indices.push(a, b, a + 1);
-          indices.push(a + 1, b, b + 1);
+      if (candidates.length === 0) return;
+
+      let placed = 0;
+      for (let attempt = 0; attempt < count * 10 && placed < count; attempt++) {
+        const node = nodes[candidates[(rng() * candidates.length) | 0]];
+
+        // On the surface, at a random angle around the branch
+        const along = node.position.clone().sub(nodes[node.parentIndex].position).normalize();
+        const side = new THREE.Vector3(rng() - 0.5, rng() - 0.5, rng() - 0.5);
+        side.addScaledVector(along, -side.dot(along));
+        if (side.lengthSq() < 1e-6) continue;
+        const center = node.position.clone().addScaledVector(side.normalize(), node.thickness);
+
+        const cavity = { center, ...shape(node.thickness) };
+        const reach = cavity.radius * cavity.stretch;
+        let tooClose = false;
+        for (const existing of this.cavities) {
+          if (center.distanceTo(existing.center) < (reach + existing.radius * existing.stretch) * 1.2) {
+            tooClose = true;
+            break;
+          }
         }
-      }
-
-      const geom = new THREE.BufferGeometry();
-      geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-      geom.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-      geom.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-      geom.setIndex(indices);
-      geometries.push(geom);
-    }
+        if (tooClose) continue;
 
-    return geometries;
+        this.cavities.push(cavity);
+        placed++;
+      }
+    };
+
+    // Hollows: tall, deep pits where heartwood rotted out
+    place(c.cavityCount, c.trunkBaseRadius * 0.35, 0.5, (thickness) => ({
+      radius: thickness * (c.cavityRadiusMin + rng() * (c.cavityRadiusMax - c.cavityRadiusMin)),
+      depth: thickness * c.cavityDepth,
+      stretch: 1.8 + rng() * 0.8,
+      lip: thickness * 0.04,
+    }));
+
+    // Knot holes: small round pits ringed by a thick callus
+    place(c.knotHoleCount, c.trunkBaseRadius * 0.25, 1.0, (thickness) => ({
+      radius: thickness * c.knotHoleRadius * (0.7 + rng() * 0.6),
+      depth: thickness * c.knotHoleDepth,
+      stretch: 1.2,
+      lip: thickness * 0.08,
+    }));
   }
 
   /**
    * Generate dead branch stub geometries — short tapered cylinders
    * at random fork nodes or thick branch locations.
+   * @returns {Array<{ node: object, geometry: THREE.BufferGeometry }>}
    */
   _generateDeadStubs() {
     const { deadStubCount, deadStubLength } = this.config;
-    const nodes = this.skeleton.getNodes();
     const rng = mulberry32(this.config.seed + 444);
-    const geometries = [];
 
-    // Pick candidate nodes on thick branches
+    const chosen = this._pickStubNodes(deadStubCount, this.config.trunkBaseRadius * 0.12, 2.0, [], rng);
+    return chosen.map((node) => {
+      const stubRadius = node.thickness * 0.35;
+      const stubLength = deadStubLength + rng() * 0.3;
+      const dir = this._stubDirection(rng);
+      return { node, geometry: this._buildStub(node, dir, stubRadius, stubLength, 0.6, 6, 0, rng) };
+    });
+  }
+
+  /**
+   * Generate broken limbs — thicker stubs than the dead ones, snapped off
+   * with splintered ends, kept clear of the dead stubs.
+   * @param {Array<{ node: object }>} stubs - dead stubs already placed
+   * @returns {Array<{ node: object, geometry: THREE.BufferGeometry }>}
+   */
+  _generateBrokenLimbs(stubs) {
+    const { brokenLimbCount, brokenLimbLength } = this.config;
+    const rng = mulberry32(this.config.seed + 888);
+
+    const taken = stubs.map((stub) => stub.node);
+    const chosen = this._pickStubNodes(brokenLimbCount, this.config.trunkBaseRadius * 0.2, 2.5, taken, rng);
+    return chosen.map((node) => {
+      const stubRadius = node.thickness * 0.55;
+      const stubLength = brokenLimbLength * (0.7 + rng() * 0.6);
+      const dir = this._stubDirection(rng);
+      return { node, geometry: this._buildStub(node, dir, stubRadius, stubLength, 0.25, 10, stubRadius * 1.5, rng) };
+    });
+  }
+
+  /**
+   * Pick up to `count` nodes on thick branches, at least 2 apart from each
+   * other and from the `taken` ones.
+   */
+  _pickStubNodes(count, minThickness, minHeight, taken, rng) {
+    const nodes = this.skeleton.getNodes();
     const candidates = [];
     for (let i = 0; i < nodes.length; i++) {
       const n = nodes[i];
-      if (n.thickness > this.config.trunkBaseRadius * 0.12 && n.position.y > 2.0) {
+      if (n.thickness > minThickness && n.position.y > minHeight) {
         candidates.push(i);
       }
     }
 
-    if (candidates.length === 0) return geometries;
+    const chosen = [];
+    if (candidates.length === 0) return chosen;
 
     // Pick random subset with spacing
-    const chosen = [];
-    for (let attempt = 0; attempt < deadStubCount * 20 && chosen.length < deadStubCount; attempt++) {
-      const idx = candidates[(rng() * candidates.length) | 0];
-      const pos = nodes[idx].position;
+    for (let attempt = 0; attempt < count * 20 && chosen.length < count; attempt++) {
+      const node = nodes[candidates[(rng() * candidates.length) | 0]];
       let tooClose = false;
-      for (const c of chosen) {
-        if (pos.distanceTo(nodes[c].position) < 2.0) { tooClose = true; break; }
+      for (const other of [...taken, ...chosen]) {
+        if (node.position.distanceTo(other.position) < 2.0) { tooClose = true; break; }
       }
-      if (!tooClose) chosen.push(idx);
+      if (!tooClose) chosen.push(node);
     }
+    return chosen;
+  }
 
-    for (const nodeIdx of chosen) {
-      const node = nodes[nodeIdx];
-      const stubRadius = node.thickness * 0.35;
-      const stubLength = deadStubLength + rng() * 0.3;
+  /**
+   * Random outward direction for a stub (roughly horizontal).
+   */
+  _stubDirection(rng) {
+    const angle = rng() * Math.PI * 2;
+    const upTilt = (rng() - 0.3) * 0.5; // slight upward bias
+    return new THREE.Vector3(
+      Math.cos(angle),
+      upTilt,
+      Math.sin(angle)
+    ).normalize();
+  }
 
-      // Random outward direction (roughly horizontal)
-      const angle = rng() * Math.PI * 2;
-      const upTilt = (rng() - 0.3) * 0.5; // slight upward bias
-      const dir = new THREE.Vector3(
-        Math.cos(angle),
-        upTilt,
-        Math.sin(angle)
-      ).normalize();
-
-      const segs = 3; // axial segments
-      const radSegs = 6;
-      const positions = [];
-      const uvs = [];
-      const colors = [];
-      const indices = [];
-
-      for (let i = 0; i <= segs; i++) {
-        const t = i / segs;
-        // Taper to a rough broken end
-        const r = stubRadius * (1 - t * 0.6 + rng() * 0.15 * t);
-        const center = node.position.clone().add(dir.clone().multiplyScalar(t * stubLength));
-
-        // Simple frame: dir is forward, compute N/B
-        const up = new THREE.Vector3(0, 1, 0);
-        const N = new THREE.Vector3().crossVectors(up, dir).normalize();
-        if (N.length() < 0.01) N.set(1, 0, 0);
-        const B = new THREE.Vector3().crossVectors(dir, N).normalize();
-
-        for (let j = 0; j <= radSegs; j++) {
-          const theta = (j / radSegs) * Math.PI * 2;
-          positions.push(
-            center.x + N.x * Math.cos(theta) * r + B.x * Math.sin(theta) * r,
-            center.y + N.y * Math.cos(theta) * r + B.y * Math.sin(theta) * r,
-            center.z + N.z * Math.cos(theta) * r + B.z * Math.sin(theta) * r
-          );
-          uvs.push(j / radSegs, t);
-          colors.push(0, rng(), t); // wind encoding
-        }
+  /**
+   * Sweep a stub out of a node along `dir`: a tube tapering by `taper`
+   * over its length, capped at the end. With `splinter` > 0 the end ring
+   * breaks into jagged splinters up to that long, and the cap sinks
+   * between them as torn end grain.
+   */
+  _buildStub(node, dir, stubRadius, stubLength, taper, radSegs, splinter, rng) {
+    const segs = 3; // axial segments
+    const stride = radSegs + 1;
+    const vertexCount = (segs + 1) * stride + 1;
+    const out = {
+      positions: new Float32Array(vertexCount * 3),
+      uvs: new Float32Array(vertexCount * 2),
+      colors: new Float32Array(vertexCount * 3),
+      growth: new Float32Array(vertexCount * 4),
+      indices: new Uint32Array((segs * radSegs * 2 + radSegs) * 3),
+      vertex: 0,
+      index: 0,
+    };
+    const birth = node.birth / this.growthSteps;
+
+    // Simple frame: dir is forward, compute N/B
+    const up = new THREE.Vector3(0, 1, 0);
+    const N = new THREE.Vector3().crossVectors(up, dir).normalize();
+    if (N.length() < 0.01) N.set(1, 0, 0);
+    const B = new THREE.Vector3().crossVectors(dir, N).normalize();
+
+    // Splinters: alternate long and short, pinched toward the pith
+    const reach = new Float64Array(radSegs);
+    const pinch = new Float64Array(radSegs).fill(1);
+    if (splinter > 0) {
+      for (let j = 0; j < radSegs; j++) {
+        reach[j] = splinter * rng() * (j % 2 ? 1 : 0.35);
+        pinch[j] = 0.55 + rng() * 0.45;
       }
+    }
 
-      // Indices
-      const stride = radSegs + 1;
-      for (let i = 0; i < segs; i++) {
-        for (let j = 0; j < radSegs; j++) {
-          const a = i * stride + j;
-          const b = a + stride;
-          indices.push(a, b, a + 1);
-          indices.push(a + 1, b, b + 1);
-        }
+    for (let i = 0; i <= segs; i++) {
+      const t = i / segs;
+      // Taper to a rough broken end
+      const r = stubRadius * (1 - t * taper + rng() * 0.15 * t);
+      const center = node.position.clone().add(dir.clone().multiplyScalar(t * stubLength));
+
+      for (let j = 0; j <= radSegs; j++) {
+        const theta = (j / radSegs) * Math.PI * 2;
+        const end = i === segs ? j % radSegs : -1;
+        const rj = end >= 0 ? r * pinch[end] : r;
+        const ahead = end >= 0 ? reach[end] : 0;
+        writeVertex(out,
+          center.x + N.x * Math.cos(theta) * rj + B.x * Math.sin(theta) * rj + dir.x * ahead,
+          center.y + N.y * Math.cos(theta) * rj + B.y * Math.sin(theta) * rj + dir.y * ahead,
+          center.z + N.z * Math.cos(theta) * rj + B.z * Math.sin(theta) * rj + dir.z * ahead,
+          j / radSegs, t, 0, rng(), t, center, birth); // wind encoding
       }
 
-      // Tip cap
-      const tipCenter = node.position.clone().add(dir.clone().multiplyScalar(stubLength));
-      const tipIdx = positions.length / 3;
-      positions.push(tipCenter.x, tipCenter.y, tipCenter.z);
-      uvs.push(0.5, 1);
-      colors.push(0, 0, 1);
-      const lastRing = segs * stride;
-      for (let j = 0; j < radSegs; j++) {
-        indices.push(lastRing + j, lastRing + j + 1, tipIdx);
+      if (i > 0) {
+        out.index = stitchRings(out.indices, out.index, (i - 1) * stride, radSegs, i * stride, radSegs);
+      }
+    }
+
+    // Tip cap
+    const tipCenter = node.position.clone().add(dir.clone().multiplyScalar(stubLength - splinter * 0.3));
+    addCap(out, tipCenter, segs * stride, radSegs, false, 1, 0, 1, birth, splinter > 0 ? 0.6 : 0);
+
+    return toGeometry(out);
+  }
+
+  /**
+   * Reduce a tier's resolution for the level of detail being swept. The
+   * flare keeps enough sides for its lobes to hold their shape.
+   */
+  _applyLOD(tier, isTrunkAxis) {
+    if (!this._lod) return tier;
+    let radialSegments = Math.max(3, Math.round(tier.radialSegments * this._lod.radialScale));
+    if (isTrunkAxis && this.enableRootFlare) {
+      radialSegments = Math.max(radialSegments, Math.min(tier.radialSegments, this.config.lobeCount * 2));
+    }
+    return { radialSegments, axialSpacing: tier.axialSpacing * this._lod.axialScale };
+  }
+
+  /**
+   * Cavities within reach of an axis's surface.
+   */
+  _cavitiesNear(nodePositions, nodeRadii) {
+    if (!this.enableCavities) return [];
+    const segment = new THREE.Line3();
+    return this.cavities.filter((cavity) => {
+      const reach = cavity.radius * cavity.stretch * 1.6;
+      for (let i = 1; i < nodePositions.length; i++) {
+        segment.set(nodePositions[i - 1], nodePositions[i]);
+        segment.closestPointToPoint(cavity.center, true, _w);
+        if (_w.distanceTo(cavity.center) < reach + Math.max(nodeRadii[i - 1], nodeRadii[i]) * 1.5) return true;
       }
+      return false;
+    });
+  }
 
-      const geom = new THREE.BufferGeometry();
-      geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-      geom.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-      geom.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-      geom.setIndex(indices);
-      geometries.push(geom);
+  /**
+   * Tighten a tier where rings pass a cavity, to about six vertices
+   * across its mouth, so the carve holds its shape.
+   */
+  _refineForCavities(tier, point, radius, cavities) {
+    let { radialSegments, axialSpacing } = tier;
+    for (const cavity of cavities) {
+      // The centre sits on the surface, about `radius` off the centreline
+      const reach = cavity.radius * cavity.stretch * 1.3;
+      if (point.distanceToSquared(cavity.center) > radius * radius + reach * reach) continue;
+      const step = cavity.radius / 3;
+      radialSegments = Math.max(radialSegments, Math.min(CAVITY_MAX_SEGMENTS, Math.ceil(Math.PI * 2 * radius / step)));
+      axialSpacing = Math.min(axialSpacing, step);
     }
+    return { radialSegments, axialSpacing };
+  }
 
-    return geometries;
+  /**
+   * Branch rank of each node on an axis (0 = trunk order) when tiering by
+   * branch order, else null.
+   */
+  _getRanks(axis) {
+    return this.config.useBranchOrder ? axis.map((i) => this.skeleton.getBranchRank(i)) : null;
   }
 
-  _getTier(radius) {
+  /**
+   * Mesh resolution along an axis: trunk, primary, secondary or tertiary.
+   * Picked by Strahler rank when config.useBranchOrder is set, otherwise
+   * by the local radius against fractions of the trunk base radius.
+   */
+  _getTier(radius, rank) {
     const c = this.config;
-    if (radius > c.trunkBaseRadius * 0.5) {
-      return { radialSegments: c.trunkRadialSegments, axialSpacing: c.trunkAxialSpacing };
+    let level;
+    if (c.useBranchOrder) {
+      level = Math.min(rank, 3);
+    } else if (radius > c.trunkBaseRadius * 0.5) {
+      level = 0;
     } else if (radius > c.trunkBaseRadius * 0.2) {
-      return { radialSegments: c.primaryRadialSegments, axialSpacing: c.branchAxialSpacing };
+      level = 1;
     } else if (radius > c.trunkBaseRadius * 0.08) {
-      return { radialSegments: c.secondaryRadialSegments, axialSpacing: c.branchAxialSpacing };
+      level = 2;
     } else {
-      return { radialSegments: c.tertiaryRadialSegments, axialSpacing: c.branchAxialSpacing * 1.2 };
+      level = 3;
+    }
+
+    switch (level) {
+      case 0:
+        return { radialSegments: c.trunkRadialSegments, axialSpacing: c.trunkAxialSpacing };
+      case 1:
+        return { radialSegments: c.primaryRadialSegments, axialSpacing: c.branchAxialSpacing };
+      case 2:
+        return { radialSegments: c.secondaryRadialSegments, axialSpacing: c.branchAxialSpacing };
+      default:
+        return { radialSegments: c.tertiaryRadialSegments, axialSpacing: c.branchAxialSpacing * 1.2 };
     }
   }
 }
+
+/**
+ * Benchmark mode — build the trunk mesh at several multiples of the
+ * configured resolution (radial sides × scale, ring spacing ÷ scale) and
+ * report milliseconds per deformation layer for each.
+ *
+ * @param {import('./TreeSkeleton.js').TreeSkeleton} skeleton
+ * @param {object} config - TREE_CONFIG-shaped object
+ * @param {number[]} [scales]
+ * @returns {Array<object>} one row per scale: triangles, total and per-layer ms
+ */
+export function benchmarkTrunkMesh(skeleton, config = TREE_CONFIG, scales = [1, 2, 4]) {
+  return scales.map((scale) => {
+    const scaled = {
+      ...config,
+      trunkRadialSegments: Math.round(config.trunkRadialSegments * scale),
+      primaryRadialSegments: Math.round(config.primaryRadialSegments * scale),
+      secondaryRadialSegments: Math.round(config.secondaryRadialSegments * scale),
+      tertiaryRadialSegments: Math.round(config.tertiaryRadialSegments * scale),
+      trunkAxialSpacing: config.trunkAxialSpacing / scale,
+      branchAxialSpacing: config.branchAxialSpacing / scale,
+    };
+    const mesh = new TrunkMesh(skeleton, scaled);
+    mesh.timings = {};
+
+    const start = performance.now();
+    const geometry = mesh.build();
+    const row = {
+      scale,
+      triangles: geometry ? geometry.index.count / 3 : 0,
+      total: performance.now() - start,
+      ...mesh.timings,
+    };
+    geometry?.dispose();
+
+    for (const key of Object.keys(row)) {
+      if (key !== 'scale' && key !== 'triangles') row[key] = Math.round(row[key] * 10) / 10;
+    }
+    return row;
+  });
+}
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+import { terminalBud } from './LeafPlacement.js';
+
+// Sides around each twig — at a centimetre thick three reads as round
+const TWIG_SIDES = 3;
+
+const _euler = new THREE.Euler();
+const _rotation = new THREE.Matrix4();
+const _start = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _u = new THREE.Vector3();
+const _v = new THREE.Vector3();
+const _n = new THREE.Vector3();
+const _facing = new THREE.Vector3();
+
+/**
+ * Build the twig layer between the skeleton's finest branches and the
+ * leaves: a petiole from each leaf's anchor on the twig centreline to the
+ * stem end of its blade, and a shoot from each leafy tip out to its
+ * terminal bud (see terminalBud). Each is a bare TWIG_SIDES-sided tube.
+ *
+ * The geometry carries the bark shader's attributes — growth spine and
+ * birth, weathering exposure and wind branch — so it renders with the bark
+ * material and grows, weathers and bends with the branch it sits on.
+ *
+ * @param {import('./TreeSkeleton.js').TreeSkeleton} skeleton
+ * @param {object} config - TREE_CONFIG-shaped object
+ * @param {object} leaves - packed leaf instances (see placeLeaves)
+ * @param {function(number): number} [branchOf] - wind branch axis a node
+ *   moves with (BranchWind.branchOf); without it twigs hold still
+ * @returns {THREE.BufferGeometry}
+ */
+export function buildTwigGeometry(skeleton, config, leaves, branchOf = () => -1) {
+  const nodes = skeleton.getNodes();
+  const growthSteps = skeleton.getGrowthSteps();
+
+  const tips = [];
+  for (const nodeIdx of new Set(leaves.nodes)) {
+    if (skeleton.getChildren(nodeIdx).length === 0 && nodes[nodeIdx].parentIndex >= 0) tips.push(nodeIdx);
+  }
+
+  const tubes = leaves.count + tips.length;
+  const vertexCount = tubes * TWIG_SIDES * 2;
+  const out = {
+    positions: new Float32Array(vertexCount * 3),
+    normals: new Float32Array(vertexCount * 3),
+    uvs: new Float32Array(vertexCount * 2),
+    growth: new Float32Array(vertexCount * 4),
+    branches: new Float32Array(vertexCount),
+    vertex: 0,
+  };
+  const indices = new Uint32Array(tubes * TWIG_SIDES * 6);
+  let index = 0;
+
+  const { positions, normals, uvs, growth, branches } = out;
+  const addTube = (r0, r1, birth, branch) => {
+    _dir.subVectors(_end, _start);
+    const length = _dir.length();
+    _dir.divideScalar(Math.max(1e-6, length));
+    _u.set(0, 1, 0).cross(_dir);
+    if (_u.lengthSq() < 1e-6) _u.set(1, 0, 0);
+    _u.normalize();
+    _v.crossVectors(_dir, _u);
+
+    const first = out.vertex;
+    for (let end = 0; end < 2; end++) {
+      const centre = end === 0 ? _start : _end;
+      const radius = end === 0 ? r0 : r1;
+      for (let k = 0; k < TWIG_SIDES; k++) {
+        const angle = (k / TWIG_SIDES) * Math.PI * 2;
+        _n.copy(_u).multiplyScalar(Math.cos(angle)).addScaledVector(_v, Math.sin(angle));
+        const i = out.vertex++;
+        positions[i * 3] = centre.x + _n.x * radius;
+        positions[i * 3 + 1] = centre.y + _n.y * radius;
+        positions[i * 3 + 2] = centre.z + _n.z * radius;
+        normals[i * 3] = _n.x;
+        normals[i * 3 + 1] = _n.y;
+        normals[i * 3 + 2] = _n.z;
+        uvs[i * 2] = k / TWIG_SIDES;
+        uvs[i * 2 + 1] = end * length;
+        growth[i * 4] = centre.x;
+        growth[i * 4 + 1] = centre.y;
+        growth[i * 4 + 2] = centre.z;
+        growth[i * 4 + 3] = birth;
+        branches[i] = branch;
+      }
+    }
+    for (let k = 0; k < TWIG_SIDES; k++) {
+      const a = first + k;
+      const b = first + ((k + 1) % TWIG_SIDES);
+      indices[index++] = a;
+      indices[index++] = b;
+      indices[index++] = a + TWIG_SIDES;
+      indices[index++] = b;
+      indices[index++] = b + TWIG_SIDES;
+      indices[index++] = a + TWIG_SIDES;
+    }
+  };
+
+  // Petioles, from the twig centreline to the stem end of the blade
+  for (let i = 0; i < leaves.count; i++) {
+    _start.fromArray(leaves.anchors, i * 3);
+    _euler.set(leaves.rotations[i * 3], leaves.rotations[i * 3 + 1], leaves.rotations[i * 3 + 2]);
+    _end.setFromMatrixColumn(_rotation.makeRotationFromEuler(_euler), 1)
+      .multiplyScalar(-config.leafSize * leaves.scales[i] * 0.5)
+      .add(_n.fromArray(leaves.positions, i * 3));
+    addTube(config.twigRadius, config.twigRadius * 0.6, leaves.births[i], branchOf(leaves.nodes[i]));
+  }
+
+  // Shoots on to the terminal buds, tapering from the branch tip
+  for (const tip of tips) {
+    const node = nodes[tip];
+    _start.copy(node.position);
+    terminalBud(skeleton, tip, config, _end);
+    addTube(Math.max(node.thickness, config.twigRadius), config.twigRadius, node.birth / growthSteps, branchOf(tip));
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(out.positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(out.normals, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(out.uvs, 2));
+  // Bark colours: no cavity, tip stiffness (see TrunkMesh writeVertex)
+  const colors = new Float32Array(vertexCount * 3);
+  for (let i = 0; i < vertexCount; i++) colors[i * 3 + 2] = 1;
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setAttribute('aGrowth', new THREE.BufferAttribute(out.growth, 4));
+  geometry.setAttribute('aBranch', new THREE.BufferAttribute(out.branches, 1));
+  geometry.setAttribute('aWeather', bakeTwigWeathering(out.positions, out.normals, config));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  return geometry;
+}
+
+/**
+ * The bark shader's weathering exposure (see TrunkMesh._bakeWeathering),
+ * with no forks this far out.
+ */
+function bakeTwigWeathering(positions, normals, config) {
+  const count = positions.length / 3;
+  const weather = new Float32Array(count * 4);
+  _facing.fromArray(config.mossFacing).normalize();
+  for (let i = 0; i < count; i++) {
+    _n.fromArray(normals, i * 3);
+    weather[i * 4] = Math.max(0, _n.y);
+    weather[i * 4 + 1] = Math.max(0, _n.dot(_facing));
+    weather[i * 4 + 2] = Math.max(0, positions[i * 3 + 1]);
+  }
+  return new THREE.BufferAttribute(weather, 4);
+}
@@ -0,0 +1,54 @@
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import barkBakeVertShader from '../shaders/barkBake.vert.glsl';
+import barkBakeFragShader from '../shaders/barkBake.frag.glsl';
+
+/**
+ * Render the procedural bark height (barkHeight.glsl) once into a
+ * tileable, mipmapped texture for the bark shader to sample instead of
+ * evaluating it per pixel: RG = normal xy (z is reconstructed), B = height
+ * remapped from BARK_HEIGHT_MIN–BARK_HEIGHT_RANGE, A = crevice AO.
+ *
+ * The tile spans one unit of bark coordinates (world position ×
+ * barkTexScale), the same as the bark textures. It depends only on
+ * config.barkStretch, so bake again after changing that.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {object} config - reads barkStretch and barkBakeSize
+ * @returns {THREE.WebGLRenderTarget} the caller owns and disposes it
+ */
+export function bakeBarkDetail(renderer, config) {
+  const t0 = performance.now();
+  const size = config.barkBakeSize;
+
+  const target = new THREE.WebGLRenderTarget(size, size, {
+    wrapS: THREE.RepeatWrapping,
+    wrapT: THREE.RepeatWrapping,
+    minFilter: THREE.LinearMipmapLinearFilter,
+    magFilter: THREE.LinearFilter,
+    generateMipmaps: true,
+    depthBuffer: false,
+  });
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader: barkBakeVertShader,
+    fragmentShader: barkBakeFragShader,
+    uniforms: {
+      uBarkStretch: { value: new THREE.Vector2().fromArray(config.barkStretch) },
+    },
+    depthTest: false,
+    depthWrite: false,
+  });
+  const quad = new FullScreenQuad(material);
+
+  const previousTarget = renderer.getRenderTarget();
+  renderer.setRenderTarget(target);
+  quad.render(renderer);
+  renderer.setRenderTarget(previousTarget);
+
+  quad.dispose();
+  material.dispose();
+
+  console.log(`[BarkDetailBaker] ${size}×${size} bark detail in ${(performance.now() - t0).toFixed(0)}ms`);
+  return target;
+}
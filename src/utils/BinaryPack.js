@@ -0,0 +1,84 @@
+/**
+ * Compact binary container for a plain object tree holding typed arrays
+ * (e.g. packed tree data): a small JSON header describing the structure,
+ * followed by the raw array bytes.
+ *
+ *   0   'OAKB' magic
+ *   4   u32  format version
+ *   8   u32  header length in bytes
+ *   12  header — UTF-8 JSON; typed arrays replaced by { $t, o, n }
+ *       (constructor name, byte offset, element count)
+ *   ... array data, each 8-byte aligned
+ *
+ * Decoding returns views into the input buffer, so nothing is copied.
+ */
+
+const MAGIC = 0x424b414f; // 'OAKB' little-endian
+const FORMAT_VERSION = 1;
+
+const ARRAY_TYPES = {
+  Int8Array, Uint8Array, Int16Array, Uint16Array, Int32Array, Uint32Array,
+  Float32Array, Float64Array,
+};
+
+const align8 = (n) => (n + 7) & ~7;
+
+/**
+ * @param {*} value - JSON-compatible data with typed arrays anywhere inside
+ * @returns {ArrayBuffer}
+ */
+export function encodeBinary(value) {
+  const arrays = [];
+  let dataLength = 0;
+
+  const header = JSON.stringify(value, (key, v) => {
+    if (!ArrayBuffer.isView(v)) return v;
+    const entry = { $t: v.constructor.name, o: dataLength, n: v.length };
+    arrays.push(v);
+    dataLength = align8(dataLength + v.byteLength);
+    return entry;
+  });
+
+  const headerBytes = new TextEncoder().encode(header);
+  const dataStart = align8(12 + headerBytes.length);
+  const buffer = new ArrayBuffer(dataStart + dataLength);
+  const view = new DataView(buffer);
+  view.setUint32(0, MAGIC, true);
+  view.setUint32(4, FORMAT_VERSION, true);
+  view.setUint32(8, headerBytes.length, true);
+
+  const bytes = new Uint8Array(buffer);
+  bytes.set(headerBytes, 12);
+  let offset = dataStart;
+  for (const array of arrays) {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+    offset = align8(offset + array.byteLength);
+  }
+  return buffer;
+}
+
+/**
+ * @param {ArrayBuffer} buffer - output of encodeBinary
+ * @returns {*} the encoded value, typed arrays as views into buffer
+ */
+export function decodeBinary(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 12 || view.getUint32(0, true) !== MAGIC) {
+    throw new Error('Not a binary pack');
+  }
+  const version = view.getUint32(4, true);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported binary pack version ${version}`);
+  }
+
+  const headerLength = view.getUint32(8, true);
+  const header = new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength));
+  const dataStart = align8(12 + headerLength);
+
+  return JSON.parse(header, (key, v) => {
+    if (!v || typeof v !== 'object' || !v.$t) return v;
+    const ArrayType = ARRAY_TYPES[v.$t];
+    if (!ArrayType) throw new Error(`Unknown array type ${v.$t}`);
+    return new ArrayType(buffer, dataStart + v.o, v.n);
+  });
+}
@@ -0,0 +1,41 @@
+import * as THREE from 'three';
+
+/**
+ * Plain-object form of a BufferGeometry — typed arrays plus layout — that
+ * survives structured cloning and binary packing, so geometry built in a
+ * worker or read from the tree cache can be rebuilt on the main thread.
+ */
+
+/**
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{ attributes: Object<string, { array: TypedArray, itemSize: number, normalized: boolean }>, index: TypedArray|null }}
+ */
+export function packGeometry(geometry) {
+  const attributes = {};
+  for (const [name, attr] of Object.entries(geometry.attributes)) {
+    attributes[name] = {
+      array: attr.array,
+      itemSize: attr.itemSize,
+      normalized: attr.normalized,
+    };
+  }
+  return {
+    attributes,
+    index: geometry.index ? geometry.index.array : null,
+  };
+}
+
+/**
+ * @param {ReturnType<typeof packGeometry>} packed
+ * @returns {THREE.BufferGeometry}
+ */
+export function unpackGeometry(packed) {
+  const geometry = new THREE.BufferGeometry();
+  for (const [name, { array, itemSize, normalized }] of Object.entries(packed.attributes)) {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+  }
+  if (packed.index) {
+    geometry.setIndex(new THREE.BufferAttribute(packed.index, 1));
+  }
+  return geometry;
+}
@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import { mulberry32 } from './math.js';
+
+/**
+ * Leaves drawn in each tile of the card atlas, sparse to dense. A cluster
+ * uses the tile nearest its own leaf count (see cardTileFor).
+ */
+export const CARD_TILE_LEAVES = [4, 9, 16, 28];
+
+// Leaf width as a share of the tile
+const CARD_LEAF_SIZE = 0.32;
+
+/**
+ * Atlas tile for a cluster of `count` leaves.
+ * @param {number} count
+ * @returns {number} 0–3
+ */
+export function cardTileFor(count) {
+  let tile = 0;
+  while (tile < CARD_TILE_LEAVES.length - 1
+    && count > (CARD_TILE_LEAVES[tile] + CARD_TILE_LEAVES[tile + 1]) / 2) tile++;
+  return tile;
+}
+
+/**
+ * Generate the leaf card atlas: 2×2 tiles of leaf clusters for the
+ * impostor cards that stand in for leaves at a distance, drawn from the
+ * species' leaf texture. Each tile fills a disc with CARD_TILE_LEAVES of
+ * them at random turns. Channels are data, not colour — the card shader
+ * colours them like the leaves:
+ *
+ *   R: leaf texture luminance
+ *   G: which leaf, 0–1 — its colour variation, offset per card
+ *   B: shade, darker for leaves further back in the cluster
+ *   A: cover
+ *
+ * @param {THREE.Texture} leafTexture - from generateLeafTexture
+ * @param {number} [size=512]
+ * @param {number} [seed=0]
+ * @returns {THREE.DataTexture}
+ */
+export function generateLeafCardTexture(leafTexture, size = 512, seed = 0) {
+  const image = leafTexture.image;
+  const leaf = image.getContext('2d').getImageData(0, 0, image.width, image.height);
+  const rng = mulberry32(seed);
+  const data = new Uint8Array(size * size * 4);
+  const tileSize = size / 2;
+
+  CARD_TILE_LEAVES.forEach((count, tile) => {
+    const originX = (tile % 2) * tileSize;
+    const originY = Math.floor(tile / 2) * tileSize;
+
+    for (let i = 0; i < count; i++) {
+      const leafSize = tileSize * CARD_LEAF_SIZE * (0.85 + rng() * 0.3);
+      // Keep the leaf inside the disc the card spins in
+      const reach = tileSize / 2 - leafSize * 0.55;
+      const r = Math.sqrt(rng()) * reach;
+      const a = rng() * Math.PI * 2;
+      const cx = tileSize / 2 + Math.cos(a) * r;
+      const cy = tileSize / 2 + Math.sin(a) * r;
+      const turn = rng() * Math.PI * 2;
+      const cos = Math.cos(turn);
+      const sin = Math.sin(turn);
+      const variation = rng();
+      const shade = 0.55 + 0.45 * (count > 1 ? i / (count - 1) : 1);
+
+      const half = Math.ceil(leafSize * 0.71);
+      const x0 = Math.max(0, Math.floor(cx - half));
+      const x1 = Math.min(tileSize - 1, Math.ceil(cx + half));
+      const y0 = Math.max(0, Math.floor(cy - half));
+      const y1 = Math.min(tileSize - 1, Math.ceil(cy + half));
+
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          // Into the leaf texture's 0–1 square
+          const dx = x + 0.5 - cx;
+          const dy = y + 0.5 - cy;
+          const u = (dx * cos + dy * sin) / leafSize + 0.5;
+          const v = (-dx * sin + dy * cos) / leafSize + 0.5;
+          if (u < 0 || u >= 1 || v < 0 || v >= 1) continue;
+
+          const src = (Math.floor(v * leaf.height) * leaf.width + Math.floor(u * leaf.width)) * 4;
+          if (leaf.data[src + 3] < 128) continue;
+
+          const luminance = (leaf.data[src] * 0.299 + leaf.data[src + 1] * 0.587 + leaf.data[src + 2] * 0.114) / 255;
+          const dst = ((originY + y) * size + originX + x) * 4;
+          data[dst] = Math.round(luminance * 255);
+          data[dst + 1] = Math.round(variation * 255);
+          data[dst + 2] = Math.round(shade * 255);
+          data[dst + 3] = 255;
+        }
+      }
+    }
+  });
+
+  const tex = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+  tex.minFilter = THREE.LinearMipmapLinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.generateMipmaps = true;
+  tex.needsUpdate = true;
+  return tex;
+}
@@ -1,19 +1,73 @@
 import * as THREE from 'three';
 
 /**
- * Generate a procedural oak leaf texture on a canvas.
+ * Generate a procedural leaf texture on a canvas for one of the species
+ * leaf shapes: 'oak', 'ovate', 'lanceolate', 'needle' or 'palmate'.
  * PLACEHOLDER — replace with a real texture for production.
  */
-export function generateOakLeafTexture(size = 512) {
+export function generateLeafTexture(shape = 'oak', size = 512) {
   console.warn('Using procedural leaf texture — replace with real texture for production');
 
+  const draw = LEAF_SHAPES[shape];
+  if (!draw) {
+    throw new Error(`Unknown leaf shape: ${shape}`);
+  }
+
+  const canvas = createCanvas(size);
+  const ctx = canvas.getContext('2d');
+
+  ctx.clearRect(0, 0, size, size);
+  draw(ctx, size);
+
+  // Colour variation noise
+  const imageData = ctx.getImageData(0, 0, size, size);
+  const d = imageData.data;
+  for (let i = 0; i < d.length; i += 4) {
+    if (d[i + 3] > 0) {
+      const v = (Math.random() - 0.5) * 18;
+      d[i] = Math.max(0, Math.min(255, d[i] + v));
+      d[i + 1] = Math.max(0, Math.min(255, d[i + 1] + v));
+      d[i + 2] = Math.max(0, Math.min(255, d[i + 2] + v * 0.5));
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+/**
+ * A square 2D canvas that doesn't need the DOM where OffscreenCanvas exists
+ * (workers, headless builds), falling back to a <canvas> element.
+ */
+function createCanvas(size) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(size, size);
+  }
+  if (typeof document === 'undefined') {
+    throw new Error('No canvas available to draw the leaf texture');
+  }
   const canvas = document.createElement('canvas');
   canvas.width = size;
   canvas.height = size;
-  const ctx = canvas.getContext('2d');
+  return canvas;
+}
 
-  ctx.clearRect(0, 0, size, size);
+/**
+ * Generate a procedural oak leaf texture on a canvas.
+ * PLACEHOLDER — replace with a real texture for production.
+ */
+export function generateOakLeafTexture(size = 512) {
+  return generateLeafTexture('oak', size);
+}
+
+// ── Leaf outlines ────────────────────────────────────────────
+// Each draws a leaf pointing up (tip at top, stem at bottom) centred on
+// the canvas, leaving transparent background for the alpha test.
 
+function drawOakLeaf(ctx, size) {
   const cx = size / 2;
   const cy = size / 2;
   const leafLength = size * 0.42;
@@ -88,22 +142,124 @@ export function generateOakLeafTexture(size = 512) {
     ctx.quadraticCurveTo(cx - baseW * 0.5, y - 5, cx - baseW - lobeW * 0.7, y - 3);
     ctx.stroke();
   }
+}
 
-  // Colour variation noise
-  const imageData = ctx.getImageData(0, 0, size, size);
-  const d = imageData.data;
-  for (let i = 0; i < d.length; i += 4) {
-    if (d[i + 3] > 0) {
-      const v = (Math.random() - 0.5) * 18;
-      d[i] = Math.max(0, Math.min(255, d[i] + v));
-      d[i + 1] = Math.max(0, Math.min(255, d[i + 1] + v));
-      d[i + 2] = Math.max(0, Math.min(255, d[i + 2] + v * 0.5));
+function drawOvateLeaf(ctx, size) {
+  const cx = size / 2;
+  const cy = size / 2;
+  const len = size * 0.44;
+  const width = size * 0.26;
+  const teeth = 14;
+
+  // Serrated egg-shaped blade: widest below the middle, pointed tip
+  ctx.fillStyle = '#4a8a36';
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - len);
+  for (const side of [1, -1]) {
+    for (let i = 1; i <= teeth; i++) {
+      const t = side > 0 ? i / teeth : 1 - i / teeth;
+      const w = width * Math.pow(Math.sin(t * Math.PI), 0.8) * (1 - 0.25 * t);
+      const tooth = i % 2 === 0 ? 1 : 0.92;
+      ctx.lineTo(cx + side * w * tooth, cy - len + t * len * 1.8);
     }
   }
-  ctx.putImageData(imageData, 0, 0);
+  ctx.closePath();
+  ctx.fill();
 
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
-  tex.needsUpdate = true;
-  return tex;
+  drawMidrib(ctx, cx, cy - len * 0.9, cy + len, 2.2, '#3a7030');
+  drawSideVeins(ctx, cx, cy - len * 0.6, cy + len * 0.6, 6, width * 0.8, '#3a7030');
+}
+
+function drawLanceolateLeaf(ctx, size) {
+  const cx = size / 2;
+  const cy = size / 2;
+  const len = size * 0.48;
+  const width = size * 0.07;
+
+  // Long, narrow willow blade tapering at both ends
+  ctx.fillStyle = '#6a9a4a';
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - len);
+  ctx.quadraticCurveTo(cx + width * 2, cy, cx, cy + len);
+  ctx.quadraticCurveTo(cx - width * 2, cy, cx, cy - len);
+  ctx.closePath();
+  ctx.fill();
+
+  drawMidrib(ctx, cx, cy - len * 0.95, cy + len, 1.5, '#557f3a');
 }
+
+function drawNeedleCluster(ctx, size) {
+  const cx = size / 2;
+  const base = size * 0.92;
+  const len = size * 0.82;
+  const needles = 9;
+
+  // Fan of needles from a shared fascicle, like a pine shoot tip
+  ctx.strokeStyle = '#2f5a2a';
+  ctx.lineCap = 'round';
+  for (let i = 0; i < needles; i++) {
+    const a = ((i / (needles - 1)) - 0.5) * 0.9;
+    ctx.lineWidth = size * 0.018;
+    ctx.beginPath();
+    ctx.moveTo(cx, base);
+    ctx.lineTo(cx + Math.sin(a) * len, base - Math.cos(a) * len);
+    ctx.stroke();
+  }
+}
+
+function drawPalmateLeaf(ctx, size) {
+  const cx = size / 2;
+  const cy = size * 0.62;
+  const leaflets = 5;
+  const len = size * 0.38;
+  const width = size * 0.08;
+
+  // Compound leaf: leaflets radiating from the petiole tip (baobab)
+  ctx.fillStyle = '#4f7f35';
+  for (let i = 0; i < leaflets; i++) {
+    const a = ((i / (leaflets - 1)) - 0.5) * 2.2;
+    const l = len * (1 - Math.abs(a) * 0.2);
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(a);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.quadraticCurveTo(width, -l * 0.5, 0, -l);
+    ctx.quadraticCurveTo(-width, -l * 0.5, 0, 0);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  drawMidrib(ctx, cx, cy, size * 0.95, 2.5, '#3d6a2a');
+}
+
+function drawMidrib(ctx, x, top, bottom, width, colour) {
+  ctx.strokeStyle = colour;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  ctx.moveTo(x, top);
+  ctx.lineTo(x, bottom);
+  ctx.stroke();
+}
+
+function drawSideVeins(ctx, x, top, bottom, count, reach, colour) {
+  ctx.strokeStyle = colour;
+  ctx.lineWidth = 1.2;
+  for (let i = 0; i < count; i++) {
+    const y = top + (i / (count - 1)) * (bottom - top);
+    for (const side of [1, -1]) {
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.quadraticCurveTo(x + side * reach * 0.5, y - 4, x + side * reach, y - reach * 0.35);
+      ctx.stroke();
+    }
+  }
+}
+
+const LEAF_SHAPES = {
+  oak: drawOakLeaf,
+  ovate: drawOvateLeaf,
+  lanceolate: drawLanceolateLeaf,
+  needle: drawNeedleCluster,
+  palmate: drawPalmateLeaf,
+};
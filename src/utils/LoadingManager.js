@@ -12,7 +12,7 @@ export class LoadingManager {
   }
 
   registerSteps(steps) {
-    this.steps = steps.map((s) => ({ ...s, _completed: false }));
+    this.steps = steps.map((s) => ({ ...s, _completed: false, _fraction: 0 }));
     this._totalWeight = steps.reduce((sum, s) => sum + s.weight, 0);
     this._completedWeight = 0;
   }
@@ -22,12 +22,9 @@ export class LoadingManager {
     if (!step || step._completed) return;
 
     step._completed = true;
+    step._fraction = 1;
     this._completedWeight += step.weight;
-    const progress = (this._completedWeight / this._totalWeight) * 100;
-
-    if (this.progressBar) {
-      this.progressBar.style.width = `${progress}%`;
-    }
+    this._updateBar();
 
     // Show next incomplete step name
     const next = this.steps.find((s) => !s._completed);
@@ -36,6 +33,39 @@ export class LoadingManager {
     }
   }
 
+  /**
+   * Report partial progress within a step (e.g. from a worker); reaching
+   * 1 completes it.
+   * @param {string} stepName
+   * @param {number} fraction - 0–1
+   */
+  setStepProgress(stepName, fraction) {
+    const step = this.steps.find((s) => s.name === stepName);
+    if (!step || step._completed) return;
+    if (fraction >= 1) {
+      this.completeStep(stepName);
+      return;
+    }
+
+    step._fraction = fraction;
+    this._updateBar();
+    if (this.textEl) {
+      this.textEl.textContent = `${step.name}... ${Math.round(fraction * 100)}%`;
+    }
+  }
+
+  _updateBar() {
+    let weight = this._completedWeight;
+    for (const s of this.steps) {
+      if (!s._completed) weight += s.weight * s._fraction;
+    }
+    const progress = (weight / this._totalWeight) * 100;
+
+    if (this.progressBar) {
+      this.progressBar.style.width = `${progress}%`;
+    }
+  }
+
   async hide() {
     if (!this.screen) return;
 
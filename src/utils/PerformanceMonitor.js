@@ -1,3 +1,7 @@
+// Trunk and leaf LOD switch distances per quality level, as a fraction of
+// the configured ones — lower quality swaps to cheaper meshes sooner
+const LOD_DISTANCE_SCALE = [0.4, 0.6, 0.8, 1];
+
 /**
  * PerformanceMonitor — Watches FPS and auto-degrades quality if needed.
  */
@@ -12,6 +16,7 @@ export class PerformanceMonitor {
     this._checkInterval = 2000;
     this._qualityLevel = 3; // 0=minimum, 1=low, 2=medium, 3=high
     this._startTime = performance.now();
+    this._lodDistances = config.trunkLOD ? config.trunkLOD.levels.map((l) => l.distance) : [];
   }
 
   recordFrame(deltaMs) {
@@ -54,7 +59,13 @@ export class PerformanceMonitor {
   }
 
   _applyQuality() {
-    const { postProcessing, leafChunks, sunLight, renderer } = this.config;
+    const { postProcessing, leafSystem, trunkLOD, sunLight, renderer, maxViewDistance } = this.config;
+    const lodScale = LOD_DISTANCE_SCALE[this._qualityLevel];
+
+    if (trunkLOD) {
+      trunkLOD.levels.forEach((level, i) => { level.distance = this._lodDistances[i] * lodScale; });
+    }
+    if (leafSystem) leafSystem.setLodScale(lodScale, maxViewDistance);
 
     switch (this._qualityLevel) {
       case 0: // Minimum
@@ -68,9 +79,6 @@ export class PerformanceMonitor {
           if (sunLight.shadow.map) { sunLight.shadow.map.dispose(); sunLight.shadow.map = null; }
           renderer.shadowMap.needsUpdate = true;
         }
-        if (leafChunks) {
-          leafChunks.forEach((chunk, i) => { chunk.visible = i % 2 === 0; });
-        }
         break;
 
       case 1: // Low
@@ -87,9 +95,6 @@ export class PerformanceMonitor {
           if (sunLight.shadow.map) { sunLight.shadow.map.dispose(); sunLight.shadow.map = null; }
           renderer.shadowMap.needsUpdate = true;
         }
-        if (leafChunks) {
-          leafChunks.forEach((chunk) => { chunk.visible = true; });
-        }
         break;
 
       case 2: // Medium
@@ -106,9 +111,6 @@ export class PerformanceMonitor {
           if (sunLight.shadow.map) { sunLight.shadow.map.dispose(); sunLight.shadow.map = null; }
           renderer.shadowMap.needsUpdate = true;
         }
-        if (leafChunks) {
-          leafChunks.forEach((chunk) => { chunk.visible = true; });
-        }
         break;
 
       case 3: // High (full)
@@ -125,9 +127,6 @@ export class PerformanceMonitor {
           if (sunLight.shadow.map) { sunLight.shadow.map.dispose(); sunLight.shadow.map = null; }
           renderer.shadowMap.needsUpdate = true;
         }
-        if (leafChunks) {
-          leafChunks.forEach((chunk) => { chunk.visible = true; });
-        }
         break;
     }
   }
@@ -0,0 +1,160 @@
+/**
+ * Uniform spatial hash grid over 3D points.
+ * Stores integer ids in cubic cells so neighbourhood queries only touch
+ * the cells overlapping the search radius. Items can be appended at any
+ * time, which suits algorithms that grow their point set incrementally.
+ */
+
+// Cell coordinates are offset into [0, 2^17) per axis so a cell key
+// packs into 51 bits — a single, exactly representable JS number.
+const AXIS_OFFSET = 1 << 16;
+const AXIS_RANGE = 1 << 17;
+
+export class SpatialHashGrid {
+  /**
+   * @param {number} cellSize - edge length of a cell; ideally ≥ the typical query radius
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // cellKey → id[]
+  }
+
+  _cellCoord(v) {
+    return Math.floor(v / this.cellSize);
+  }
+
+  _key(cx, cy, cz) {
+    return ((cx + AXIS_OFFSET) * AXIS_RANGE + (cy + AXIS_OFFSET)) * AXIS_RANGE + (cz + AXIS_OFFSET);
+  }
+
+  _keyAt(position) {
+    return this._key(
+      this._cellCoord(position.x),
+      this._cellCoord(position.y),
+      this._cellCoord(position.z)
+    );
+  }
+
+  /**
+   * Insert an id at a position.
+   * @param {number} id
+   * @param {THREE.Vector3} position
+   */
+  insert(id, position) {
+    const key = this._keyAt(position);
+    let bucket = this.cells.get(key);
+    if (!bucket) {
+      bucket = [];
+      this.cells.set(key, bucket);
+    }
+    bucket.push(id);
+  }
+
+  /**
+   * Insert an id into every cell a sphere overlaps, for items with an
+   * extent. A query of radius 0 at a point then finds every sphere that
+   * may contain it. (Not removable with remove().)
+   * @param {number} id
+   * @param {THREE.Vector3} center
+   * @param {number} radius
+   */
+  insertSphere(id, center, radius) {
+    const size = this.cellSize;
+    const r2 = radius * radius;
+    const x0 = this._cellCoord(center.x - radius);
+    const x1 = this._cellCoord(center.x + radius);
+    const y0 = this._cellCoord(center.y - radius);
+    const y1 = this._cellCoord(center.y + radius);
+    const z0 = this._cellCoord(center.z - radius);
+    const z1 = this._cellCoord(center.z + radius);
+
+    for (let cx = x0; cx <= x1; cx++) {
+      const dx = axisGap(center.x, cx * size, size);
+      for (let cy = y0; cy <= y1; cy++) {
+        const dy = axisGap(center.y, cy * size, size);
+        const dxy = dx * dx + dy * dy;
+        if (dxy > r2) continue;
+        for (let cz = z0; cz <= z1; cz++) {
+          const dz = axisGap(center.z, cz * size, size);
+          if (dxy + dz * dz > r2) continue;
+          const key = this._key(cx, cy, cz);
+          let bucket = this.cells.get(key);
+          if (!bucket) {
+            bucket = [];
+            this.cells.set(key, bucket);
+          }
+          bucket.push(id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove an id previously inserted at the same position (swap-remove
+   * within its cell, so bucket order is not preserved).
+   * @param {number} id
+   * @param {THREE.Vector3} position
+   * @returns {boolean} whether the id was found
+   */
+  remove(id, position) {
+    const bucket = this.cells.get(this._keyAt(position));
+    if (!bucket) return false;
+    const i = bucket.indexOf(id);
+    if (i < 0) return false;
+    bucket[i] = bucket[bucket.length - 1];
+    bucket.pop();
+    return true;
+  }
+
+  /**
+   * Collect the ids of every cell overlapping the sphere around a point.
+   * Candidates are not distance-filtered — callers test the exact metric.
+   *
+   * @param {THREE.Vector3} point - query centre
+   * @param {number} radius - search radius
+   * @param {number[]} out - reused output array, cleared before filling
+   * @returns {number[]} out
+   */
+  query(point, radius, out) {
+    out.length = 0;
+    const size = this.cellSize;
+    const r2 = radius * radius;
+    const x0 = this._cellCoord(point.x - radius);
+    const x1 = this._cellCoord(point.x + radius);
+    const y0 = this._cellCoord(point.y - radius);
+    const y1 = this._cellCoord(point.y + radius);
+    const z0 = this._cellCoord(point.z - radius);
+    const z1 = this._cellCoord(point.z + radius);
+
+    for (let cx = x0; cx <= x1; cx++) {
+      const dx = axisGap(point.x, cx * size, size);
+      for (let cy = y0; cy <= y1; cy++) {
+        const dy = axisGap(point.y, cy * size, size);
+        const dxy = dx * dx + dy * dy;
+        if (dxy > r2) continue;
+        for (let cz = z0; cz <= z1; cz++) {
+          const dz = axisGap(point.z, cz * size, size);
+          // Skip cells whose closest point lies outside the sphere
+          if (dxy + dz * dz > r2) continue;
+          const bucket = this.cells.get(this._key(cx, cy, cz));
+          if (!bucket) continue;
+          for (let i = 0; i < bucket.length; i++) out.push(bucket[i]);
+        }
+      }
+    }
+    return out;
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+}
+
+/**
+ * Distance from v to the interval [min, min + size] along one axis.
+ */
+function axisGap(v, min, size) {
+  if (v < min) return min - v;
+  if (v > min + size) return v - min - size;
+  return 0;
+}
@@ -0,0 +1,73 @@
+/**
+ * TreeCache — IndexedDB store for generated trees in the binary pack
+ * format. Each slot (one per species) holds the latest tree and the key it
+ * was generated for; a lookup with a different key — any config parameter
+ * or the generator version changed — is a miss and the next save replaces
+ * it, so stale trees never pile up.
+ *
+ * Every failure (no IndexedDB, private browsing, quota) degrades to a
+ * cache miss.
+ */
+const DB_NAME = 'oak-portfolio';
+const DB_VERSION = 1;
+const STORE = 'trees';
+
+export class TreeCache {
+  constructor() {
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB unavailable'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  async _request(mode, makeRequest) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * @param {string} slot
+   * @param {string} key - cache key the tree must have been saved under
+   * @returns {Promise<ArrayBuffer|null>}
+   */
+  async load(slot, key) {
+    try {
+      const entry = await this._request('readonly', (store) => store.get(slot));
+      return entry && entry.key === key ? entry.buffer : null;
+    } catch (err) {
+      console.warn('[TreeCache] Load failed:', err);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} slot
+   * @param {string} key
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<void>}
+   */
+  async save(slot, key, buffer) {
+    try {
+      await this._request('readwrite', (store) => store.put({ key, buffer }, slot));
+    } catch (err) {
+      console.warn('[TreeCache] Save failed:', err);
+    }
+  }
+}
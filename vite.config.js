@@ -1,9 +1,11 @@
 import { defineConfig } from 'vite';
 import glsl from 'vite-plugin-glsl';
+import { bakeTrees } from './plugins/bakeTrees.js';
 
 export default defineConfig({
   plugins: [
-    glsl()
+    glsl(),
+    bakeTrees(),
   ],
   assetsInclude: ['**/*.hdr', '**/*.ktx2', '**/*.glb'],
 });